@@ -0,0 +1,103 @@
+/**
+ * System messages for the room chat
+ *
+ * Clients may only post text messages. Joins, leaves, renames, host changes and
+ * moderation reach the chat as system messages written here, one per entry of the
+ * room's event log (roomEvents/{roomId}). Names are taken from the room itself
+ * wherever it still has them, so a logged event cannot put arbitrary text in the chat.
+ */
+
+const ROOM_EVENT_TYPE = {
+  MEMBER_JOINED: 'member-joined',
+  MEMBER_LEFT: 'member-left',
+  MEMBER_RENAMED: 'member-renamed',
+  HOST_TRANSFERRED: 'host-transferred',
+  MEMBER_KICKED: 'member-kicked',
+  MEMBER_BANNED: 'member-banned'
+};
+
+// Longest display name the database rules accept
+const MAX_NAME_LENGTH = 20;
+
+const nameOf = (value) => (typeof value === 'string' && value ? value.slice(0, MAX_NAME_LENGTH) : null);
+
+/**
+ * Turn a room event into the system message to post, if any
+ *
+ * @param {Object} event - The event ({ type, actorId, payload })
+ * @param {Object} roomData - Current room data
+ * @returns {string|null} Message text, or null when the event is not shown in the chat
+ */
+function describeRoomEvent(event, roomData) {
+  const members = roomData.members || {};
+  const payload = event.payload || {};
+  const actor = event.actorId ? members[event.actorId] : null;
+
+  switch (event.type) {
+    case ROOM_EVENT_TYPE.MEMBER_JOINED: {
+      if (!actor) return null;
+      const verb = payload.rejoined ? 'rejoined' : 'joined';
+      return actor.role === 'spectator' ? `${actor.name} ${verb} as a spectator` : `${actor.name} ${verb} the room`;
+    }
+    case ROOM_EVENT_TYPE.MEMBER_LEFT:
+      return actor ? `${actor.name} left the room` : null;
+    case ROOM_EVENT_TYPE.MEMBER_RENAMED: {
+      const previousName = nameOf(payload.previousName);
+      if (!actor || !previousName || previousName === actor.name) return null;
+      return `${previousName} is now known as ${actor.name}`;
+    }
+    case ROOM_EVENT_TYPE.HOST_TRANSFERRED: {
+      // Skipped when the host has moved on again since
+      const newHost = members[payload.to];
+      return newHost && roomData.hostId === payload.to ? `${newHost.name} is now the host` : null;
+    }
+    case ROOM_EVENT_TYPE.MEMBER_KICKED: {
+      const kick = roomData.kicks?.[payload.memberId];
+      if (!kick || kick.by !== event.actorId) return null;
+      return `${nameOf(payload.name) || 'A member'} was kicked`;
+    }
+    case ROOM_EVENT_TYPE.MEMBER_BANNED: {
+      const ban = roomData.bans?.[payload.memberId];
+      if (!ban || ban.by !== event.actorId) return null;
+      return `${nameOf(ban.name) || 'A member'} was banned`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Post the system message for a new room event
+ *
+ * @param {Object} db - Firebase database instance
+ * @param {string} roomId - The room ID
+ * @param {Object} event - The event that was logged
+ * @param {Object} serverValue - admin.database.ServerValue
+ * @returns {Promise<string|null>} The posted text, or null when nothing was posted
+ */
+async function postEventMessage(db, roomId, event, serverValue) {
+  const roomData = (await db.ref(`rooms/${roomId}`).get()).val();
+  if (!roomData || !event) {
+    return null;
+  }
+
+  const text = describeRoomEvent(event, roomData);
+  if (!text) {
+    return null;
+  }
+
+  const messageId = db.ref(`roomChats/${roomId}/messages`).push().key;
+  await db.ref().update({
+    [`roomChats/${roomId}/messages/${messageId}`]: {
+      authorName: 'System',
+      text,
+      type: 'system',
+      createdAt: serverValue.TIMESTAMP
+    },
+    [`roomChats/${roomId}/messageCount`]: serverValue.increment(1)
+  });
+
+  return text;
+}
+
+module.exports = { describeRoomEvent, postEventMessage };
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+
+/**
+ * External sessions: how our game backend hands a player to Firebase Auth
+ *
+ * The backend signs a short-lived session and sends the player to the app with it:
+ *   payload   = base64url(JSON.stringify({ sub, jti, role, tier, iat, exp }))
+ *   signature = hex(HMAC-SHA256(payload, EXTERNAL_SESSION_SECRET))
+ * issueCustomToken verifies it and mints a Firebase custom token for uid "ext_<sub>".
+ * jti is a random ID the backend gives every session; each session can be
+ * exchanged only once (consumeExternalSession), so a leaked link cannot be replayed.
+ *
+ * Only the claims listed here are ever put in a token, and only with the listed
+ * values, so a session can never mint reserved JWT/Firebase claims or platform roles.
+ */
+
+// Longest accepted session lifetime (exp - iat) and allowed clock skew, in seconds
+const MAX_SESSION_TTL_S = 5 * 60;
+const CLOCK_SKEW_S = 30;
+
+// External user IDs become part of the Firebase uid (max 128 characters)
+const SUBJECT_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Session IDs are also Firestore document IDs under ExternalSessions
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// gRPC status Firestore reports when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+const ALLOWED_CLAIMS = {
+  role: ["player", "tester"],
+  tier: ["free", "premium"]
+};
+
+/**
+ * Error for sessions that must be refused; status is the HTTP status to answer with
+ */
+class ExternalSessionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ExternalSessionError";
+    this.status = status;
+  }
+}
+
+/**
+ * Sign a session (used by the game backend, and for testing against the emulator)
+ * @param {Object} session - { sub, jti, role, tier, iat, exp }
+ * @param {string} secret - Shared HMAC secret
+ * @returns {Object} { payload, signature }
+ */
+function signExternalSession(session, secret) {
+  const payload = Buffer.from(JSON.stringify(session)).toString("base64url");
+  const signature = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  return { payload, signature };
+}
+
+/**
+ * Verify a signed session and turn it into a uid and custom claims
+ * @param {string} payload - base64url encoded session JSON
+ * @param {string} signature - hex HMAC-SHA256 of payload
+ * @param {string} secret - Shared HMAC secret
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Object} { uid, claims, sessionId, expiresAt } - expiresAt in milliseconds
+ * @throws {ExternalSessionError} When the session is malformed, forged, expired or asks for unknown claims
+ */
+function verifyExternalSession(payload, signature, secret, nowMs = Date.now()) {
+  if (typeof payload !== "string" || typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) {
+    throw new ExternalSessionError(400, "payload and signature are required");
+  }
+
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"))) {
+    throw new ExternalSessionError(401, "Invalid signature");
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ExternalSessionError(400, "Malformed payload");
+  }
+
+  const now = Math.floor(nowMs / 1000);
+  if (!Number.isInteger(session.iat) || !Number.isInteger(session.exp)) {
+    throw new ExternalSessionError(400, "iat and exp must be integers (seconds)");
+  }
+  if (session.iat > now + CLOCK_SKEW_S || session.exp <= now - CLOCK_SKEW_S) {
+    throw new ExternalSessionError(401, "Session expired or not yet valid");
+  }
+  if (session.exp - session.iat > MAX_SESSION_TTL_S) {
+    throw new ExternalSessionError(401, `Sessions may last at most ${MAX_SESSION_TTL_S} seconds`);
+  }
+
+  if (typeof session.sub !== "string" || !SUBJECT_PATTERN.test(session.sub)) {
+    throw new ExternalSessionError(400, "sub must be 1-100 letters, digits, '_' or '-'");
+  }
+
+  if (typeof session.jti !== "string" || !SESSION_ID_PATTERN.test(session.jti)) {
+    throw new ExternalSessionError(400, "jti must be 16-64 letters, digits, '_' or '-'");
+  }
+
+  // Build the claims from scratch: nothing from the session is copied blindly
+  const claims = { ext: true };
+  for (const [claim, allowedValues] of Object.entries(ALLOWED_CLAIMS)) {
+    if (session[claim] === undefined) continue;
+    if (!allowedValues.includes(session[claim])) {
+      throw new ExternalSessionError(400, `${claim} must be one of: ${allowedValues.join(", ")}`);
+    }
+    claims[claim] = session[claim];
+  }
+
+  return {
+    uid: `ext_${session.sub}`,
+    claims,
+    sessionId: session.jti,
+    // Kept until the session could no longer pass the expiry check anyway
+    expiresAt: (session.exp + CLOCK_SKEW_S) * 1000
+  };
+}
+
+/**
+ * Mark a verified session as used, refusing it when it already was
+ * create() fails if the document exists, so of two concurrent exchanges of the
+ * same session only one succeeds. Records can be removed once expiresAt has
+ * passed (a Firestore TTL policy on ExternalSessions.expiresAt does that).
+ * @param {Object} firestore - Admin SDK Firestore instance
+ * @param {Object} session - Result of verifyExternalSession
+ * @returns {Promise<void>}
+ * @throws {ExternalSessionError} When the session was already exchanged
+ */
+async function consumeExternalSession(firestore, { uid, sessionId, expiresAt }) {
+  try {
+    await firestore.doc(`ExternalSessions/${sessionId}`).create({
+      uid,
+      usedAt: new Date(),
+      expiresAt: new Date(expiresAt)
+    });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      throw new ExternalSessionError(401, "Session already used");
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ExternalSessionError,
+  consumeExternalSession,
+  signExternalSession,
+  verifyExternalSession
+};
@@ -1,24 +1,39 @@
 const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onValueCreated, onValueDeleted, onValueWritten } = require("firebase-functions/v2/database");
+const { defineSecret } = require("firebase-functions/params");
 const admin = require("firebase-admin");
+const { buildSessionSummary } = require("./sessionSummary");
+const { verifyExternalSession, consumeExternalSession, ExternalSessionError } = require("./externalSession");
+const { PLATFORM_ROLES, applyPlatformRole } = require("./platformRoles");
+const { loadRoomState, reconcileRoomInDatabase, syncMemberStatus } = require("./roomLifecycle");
+const { postEventMessage } = require("./chatMessages");
 
 // Initialize Firebase Admin
 admin.initializeApp();
 
 // Constants
-const ONE_HOUR_MS = 60 * 60 * 1000; // 1 hour in milliseconds
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Database triggers must be deployed in the region of the Realtime Database instance
+const DATABASE_REGION = "asia-southeast1";
+
+// Shared with the game backend, which signs the sessions exchanged by issueCustomToken
+// Set with: firebase functions:secrets:set EXTERNAL_SESSION_SECRET
+const externalSessionSecret = defineSecret("EXTERNAL_SESSION_SECRET");
 
 /**
  * Helper function to analyze and identify rooms that should be deleted
  *
- * Cleanup Rules:
- * 1. Remove rooms with status="closed"
- * 2. Remove rooms that have been open for more than 1 hour
+ * Cleanup Rules (getDeletionReason in shared/roomState.mjs):
+ * 1. Remove closed rooms once their deleteAt has passed (or a minute after closing)
+ * 2. Remove rooms created more than 1 hour ago
  *
+ * @param {Object} roomState - The loaded roomState module
  * @param {Object} rooms - Object containing all rooms from Firebase
  * @param {number} currentTime - Current timestamp in milliseconds
  * @returns {Array} Array of room objects that should be deleted
  */
-function identifyRoomsToDelete(rooms, currentTime) {
+function identifyRoomsToDelete(roomState, rooms, currentTime) {
   if (!rooms) {
     return [];
   }
@@ -26,30 +41,15 @@ function identifyRoomsToDelete(rooms, currentTime) {
   const roomsToDelete = [];
 
   for (const [roomId, roomData] of Object.entries(rooms)) {
-    let shouldDelete = false;
-    let reason = "";
-
-    // Rule 1: Room status is "closed"
-    if (roomData.roomStatus === "closed" || roomData.stats?.status === "closed") {
-      shouldDelete = true;
-      reason = "Room status is closed";
-    }
+    const reason = roomState.getDeletionReason(roomData, currentTime, { checkAge: true });
 
-    // Rule 2: Room has been open for more than 1 hour
-    if (!shouldDelete && roomData.createdAt) {
-      const roomAge = currentTime - roomData.createdAt;
-      if (roomAge > ONE_HOUR_MS) {
-        shouldDelete = true;
-        reason = `Room open for ${Math.floor(roomAge / 1000 / 60)} minutes (>1 hour)`;
-      }
-    }
-
-    if (shouldDelete) {
+    if (reason) {
       roomsToDelete.push({
         roomId,
+        gameId: roomData.gameId,
         reason,
         createdAt: roomData.createdAt,
-        roomStatus: roomData.roomStatus
+        isClosed: roomState.isRoomClosed(roomData)
       });
     }
   }
@@ -57,8 +57,66 @@ function identifyRoomsToDelete(rooms, currentTime) {
   return roomsToDelete;
 }
 
+/**
+ * Archive a deleted room to Firestore
+ * Only this function writes the archive; Firestore rules refuse it from clients:
+ *   GameHistory/{gameId}/Events/{eventId} - the event log (roomEvents/{roomId})
+ *   GameHistory/{gameId}                  - session summary
+ *   Users/{userId}/GameStats/{gameId}     - link to the summary for every participant
+ * Every write uses fixed document IDs, so a retried archive overwrites instead of duplicating.
+ * @param {Object} db - Firebase database instance
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Room data as it was when deleted
+ * @returns {Promise<Object>} The session summary
+ */
+async function archiveRoom(db, roomId, roomData) {
+  const firestore = admin.firestore();
+  const snapshot = await db.ref(`roomEvents/${roomId}`).once("value");
+  const events = Object.entries(snapshot.val() || {})
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([id, event]) => ({ id, ...event }));
+
+  const summary = buildSessionSummary(roomId, roomData, events, { closeReason: "Room deleted" });
+  const historyPath = `GameHistory/${roomData.gameId}`;
+
+  // One summary doc, then events and participant links, in batches of at most 500 writes
+  const writes = [
+    [firestore.doc(historyPath), { ...summary, archivedAt: admin.firestore.Timestamp.now() }, {}],
+    ...events.map(({ id, ...event }) => [
+      firestore.doc(`${historyPath}/Events/${id}`), { roomId, ...event }, {}
+    ]),
+    ...summary.participants.map((participant) => [
+      firestore.doc(`Users/${participant.userId}/GameStats/${roomData.gameId}`),
+      {
+        roomId,
+        history_ref: historyPath,
+        closed_at: admin.firestore.Timestamp.fromMillis(summary.closedAt),
+        final_role: participant.role,
+        time_in_room_ms: participant.timeInRoomMs,
+        close_reason: summary.closeReason,
+        removed: participant.removed,
+        hosted: participant.hosted
+      },
+      { merge: true }
+    ])
+  ];
+
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = firestore.batch();
+    for (const [docRef, data, options] of writes.slice(i, i + FIRESTORE_BATCH_LIMIT)) {
+      batch.set(docRef, data, options);
+    }
+    await batch.commit();
+  }
+
+  return summary;
+}
+
 /**
  * Helper function to delete rooms from the database
+ * Rooms that are still open are closed first, with a room-closed event, so the
+ * archive written by archiveDeletedRoom says why they ended. Event logs are left
+ * for archiveDeletedRoom, which removes them once archived.
  * @param {Object} db - Firebase database instance
  * @param {Array} roomsToDelete - Array of rooms to delete
  * @returns {Promise<number>} Number of rooms deleted
@@ -68,15 +126,195 @@ async function deleteRooms(db, roomsToDelete) {
     return 0;
   }
 
+  const now = Date.now();
+  const closeUpdates = {};
+  for (const room of roomsToDelete.filter((entry) => !entry.isClosed)) {
+    const closeReason = `Deleted by cleanupRooms: ${room.reason}`;
+    const eventId = db.ref(`roomEvents/${room.roomId}`).push().key;
+    closeUpdates[`rooms/${room.roomId}/roomStatus`] = "closed";
+    closeUpdates[`rooms/${room.roomId}/status`] = "closed";
+    closeUpdates[`rooms/${room.roomId}/closedAt`] = now;
+    closeUpdates[`rooms/${room.roomId}/closeReason`] = closeReason;
+    closeUpdates[`roomEvents/${room.roomId}/${eventId}`] = {
+      type: "room-closed",
+      actorId: null,
+      payload: { closeReason },
+      at: now,
+      recordedBy: "cleanupRooms"
+    };
+  }
+
+  if (Object.keys(closeUpdates).length > 0) {
+    await db.ref().update(closeUpdates);
+  }
+
   const updates = {};
   for (const room of roomsToDelete) {
     updates[`rooms/${room.roomId}`] = null;
+    updates[`roomSecrets/${room.roomId}`] = null;
+    updates[`roomGrants/${room.roomId}`] = null;
+    updates[`roomChats/${room.roomId}`] = null;
   }
 
   await db.ref().update(updates);
   return roomsToDelete.length;
 }
 
+/**
+ * Archive every room when it is deleted, whoever deleted it (a client's room
+ * cleaner or cleanupRooms), then remove its event log.
+ * Retried on failure: the event log stays in place until the archive succeeds.
+ */
+exports.archiveDeletedRoom = onValueDeleted({
+  ref: "/rooms/{roomId}",
+  region: DATABASE_REGION,
+  retry: true
+}, async (event) => {
+  const { roomId } = event.params;
+  const roomData = event.data.val();
+  const db = admin.database();
+
+  if (!roomData || !roomData.gameId) {
+    console.log(`📚 Room ${roomId} has no game to archive`);
+    await db.ref(`roomEvents/${roomId}`).remove();
+    return;
+  }
+
+  const summary = await archiveRoom(db, roomId, roomData);
+  await db.ref(`roomEvents/${roomId}`).remove();
+  console.log(`📚 Room ${roomId} archived to GameHistory/${roomData.gameId} (${summary.participantCount} participants)`);
+});
+
+/**
+ * Add a new room to its creator's game history
+ * Firestore rules only let clients record the rooms they join, as player or
+ * spectator; the creator's record, with the admin role, is written here from
+ * the room's hostId at creation.
+ */
+exports.recordRoomCreated = onValueCreated({
+  ref: "/rooms/{roomId}",
+  region: DATABASE_REGION
+}, async (event) => {
+  const { roomId } = event.params;
+  const roomData = event.data.val();
+
+  if (!roomData || !roomData.gameId || typeof roomData.hostId !== "string") {
+    return;
+  }
+
+  const createdAt = typeof roomData.createdAt === "number" ? roomData.createdAt : Date.now();
+  await admin.firestore().doc(`Users/${roomData.hostId}/GameStats/${roomData.gameId}`).set({
+    created_at: admin.firestore.Timestamp.fromMillis(createdAt),
+    initial_score: 0,
+    role: "admin",
+    roomId
+  }, { merge: true });
+  console.log(`📚 Room ${roomId} recorded in the game history of ${roomData.hostId}`);
+});
+
+/**
+ * Recompute a room's status after a presence change, transferring host and
+ * closing it when needed (see roomLifecycle.js)
+ * A room that just became empty is checked again once the empty grace period is
+ * over, so it closes even when no client is left to notice.
+ * @param {string} roomId - The room ID
+ * @returns {Promise<void>}
+ */
+async function reconcileAfterPresenceChange(roomId) {
+  const db = admin.database();
+  const outcome = await reconcileRoomInDatabase(db, roomId);
+  if (!outcome) {
+    return;
+  }
+
+  logReconcileOutcome(roomId, outcome);
+
+  const roomState = await loadRoomState();
+  const { room } = outcome;
+  const { closesAt } = roomState.getAutoClose(room, Date.now());
+  if (room.status === roomState.ROOM_STATUS.EMPTY && closesAt) {
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, closesAt - Date.now())));
+
+    const finalOutcome = await reconcileRoomInDatabase(db, roomId);
+    if (finalOutcome) {
+      logReconcileOutcome(roomId, finalOutcome);
+    }
+  }
+}
+
+/**
+ * Log what a reconcile changed
+ * @param {string} roomId - The room ID
+ * @param {Object} outcome - reconcileRoom's result
+ */
+function logReconcileOutcome(roomId, outcome) {
+  if (outcome.hostTransfer) {
+    console.log(`👑 Room ${roomId}: host transferred to ${outcome.hostTransfer.toName} (${outcome.hostTransfer.to})`);
+  }
+  if (outcome.closeReason) {
+    console.log(`🚪 Room ${roomId} closed: ${outcome.closeReason}`);
+  } else if (outcome.changed) {
+    console.log(`📊 Room ${roomId} is ${outcome.room.status}`, outcome.room.stats);
+  }
+}
+
+/**
+ * Derive a member's status whenever one of their connections comes, goes or changes
+ * A disconnecting tab only removes its own connection, so this is what marks the
+ * member away or offline once no open tab is left to do it
+ */
+exports.onMemberConnectionsWritten = onValueWritten({
+  ref: "/rooms/{roomId}/members/{userId}/connections",
+  region: DATABASE_REGION,
+  timeoutSeconds: 30
+}, async (event) => {
+  const { roomId, userId } = event.params;
+  const status = await syncMemberStatus(admin.database(), roomId, userId);
+  if (status) {
+    console.log(`👤 Room ${roomId}: ${userId} is ${status}`);
+  }
+});
+
+/**
+ * Keep room status, stats and host up to date whenever a member's presence changes
+ * usePresence and onMemberConnectionsWritten write members/{userId}/status
+ */
+exports.onMemberStatusWritten = onValueWritten({
+  ref: "/rooms/{roomId}/members/{userId}/status",
+  region: DATABASE_REGION,
+  timeoutSeconds: 30
+}, async (event) => {
+  await reconcileAfterPresenceChange(event.params.roomId);
+});
+
+/**
+ * Same as onMemberStatusWritten for the lastDisconnectAt marker that every
+ * client's onDisconnect handler bumps when its connection drops
+ */
+exports.onRoomDisconnect = onValueWritten({
+  ref: "/rooms/{roomId}/lastDisconnectAt",
+  region: DATABASE_REGION,
+  timeoutSeconds: 30
+}, async (event) => {
+  await reconcileAfterPresenceChange(event.params.roomId);
+});
+
+/**
+ * Post joins, leaves, renames, host changes and moderation to the room chat
+ * Clients may only send text messages, so every system message comes from here
+ * (see chatMessages.js).
+ */
+exports.onRoomEventCreated = onValueCreated({
+  ref: "/roomEvents/{roomId}/{eventId}",
+  region: DATABASE_REGION
+}, async (event) => {
+  const { roomId } = event.params;
+  const text = await postEventMessage(admin.database(), roomId, event.data.val(), admin.database.ServerValue);
+  if (text) {
+    console.log(`💬 Room ${roomId}: ${text}`);
+  }
+});
+
 /**
  * Scheduled Cloud Function to cleanup rooms
  * Runs every 5 minutes
@@ -101,8 +339,20 @@ exports.cleanupRooms = onSchedule({
       return null;
     }
 
+    const roomState = await loadRoomState();
+
+    // Idle rooms produce no presence writes, so their timeout is checked here
+    for (const [roomId, roomData] of Object.entries(rooms)) {
+      if (!roomState.isRoomClosed(roomData)) {
+        const outcome = await reconcileRoomInDatabase(db, roomId);
+        if (outcome) {
+          logReconcileOutcome(roomId, outcome);
+        }
+      }
+    }
+
     const now = Date.now();
-    const roomsToDelete = identifyRoomsToDelete(rooms, now);
+    const roomsToDelete = identifyRoomsToDelete(roomState, rooms, now);
 
     if (roomsToDelete.length > 0) {
       console.log(`Found ${roomsToDelete.length} rooms to delete:`);
@@ -145,8 +395,9 @@ exports.manualCleanupRooms = require("firebase-functions/v2/https").onRequest(as
       return res.json({ success: true, message: "No rooms found", deletedCount: 0 });
     }
 
+    const roomState = await loadRoomState();
     const now = Date.now();
-    const roomsToDelete = identifyRoomsToDelete(rooms, now);
+    const roomsToDelete = identifyRoomsToDelete(roomState, rooms, now);
     const deletedCount = await deleteRooms(db, roomsToDelete);
 
     res.json({
@@ -161,3 +412,77 @@ exports.manualCleanupRooms = require("firebase-functions/v2/https").onRequest(as
     res.status(500).json({ success: false, error: error.message });
   }
 });
+
+/**
+ * Exchange a session signed by our game backend for a Firebase custom token
+ * POST { payload, signature } (see externalSession.js) → { success, token }
+ * The client signs in with signInWithCustomToken; the token carries only the
+ * allowlisted claims (role, tier) plus ext: true. Each session is exchanged at
+ * most once (ExternalSessions/{jti} in Firestore).
+ */
+exports.issueCustomToken = require("firebase-functions/v2/https").onRequest({
+  secrets: [externalSessionSecret],
+  cors: true
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Use POST" });
+  }
+
+  try {
+    const { payload, signature } = req.body || {};
+    const session = verifyExternalSession(payload, signature, externalSessionSecret.value());
+    await consumeExternalSession(admin.firestore(), session);
+
+    const { uid, claims } = session;
+    const token = await admin.auth().createCustomToken(uid, claims);
+
+    console.log(`🔑 Issued custom token for ${uid}`, claims);
+    res.json({ success: true, token });
+
+  } catch (error) {
+    if (error instanceof ExternalSessionError) {
+      console.warn(`🔑 Refused external session: ${error.message}`);
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    console.error("Error issuing custom token:", error);
+    res.status(500).json({ success: false, error: "Could not issue token" });
+  }
+});
+
+/**
+ * Grant or revoke a platform role (admin, moderator) - callable by admins only
+ * data: { uid, platformRole } where platformRole is null to revoke
+ * The first admin is created with functions/scripts/setPlatformRole.js.
+ */
+exports.setPlatformRole = require("firebase-functions/v2/https").onCall(async (request) => {
+  const { HttpsError } = require("firebase-functions/v2/https");
+
+  if (request.auth?.token?.platformRole !== "admin") {
+    throw new HttpsError("permission-denied", "Only platform admins can change platform roles");
+  }
+
+  const { uid, platformRole = null } = request.data || {};
+  if (typeof uid !== "string" || !uid) {
+    throw new HttpsError("invalid-argument", "uid is required");
+  }
+  if (platformRole !== null && !PLATFORM_ROLES.includes(platformRole)) {
+    throw new HttpsError("invalid-argument", `platformRole must be one of: ${PLATFORM_ROLES.join(", ")} (or null)`);
+  }
+  // Prevents an admin from locking everyone out by demoting themselves
+  if (uid === request.auth.uid) {
+    throw new HttpsError("failed-precondition", "Admins cannot change their own platform role");
+  }
+
+  try {
+    await applyPlatformRole(uid, platformRole, request.auth.uid);
+    console.log(`🛡️ ${request.auth.uid} set platform role of ${uid} to ${platformRole || "none"}`);
+    return { success: true, uid, platformRole };
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      throw new HttpsError("not-found", `No user with uid ${uid}`);
+    }
+    console.error("Error setting platform role:", error);
+    throw new HttpsError("internal", "Could not set platform role");
+  }
+});
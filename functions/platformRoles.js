@@ -0,0 +1,55 @@
+const admin = require("firebase-admin");
+
+/**
+ * Platform roles: cross-room powers stored as the `platformRole` custom claim
+ *   admin     - everything a moderator can do, plus granting/revoking platform roles
+ *   moderator - force-close any room, see unlisted rooms, kick/ban/mute anyone
+ * Security rules read auth.token.platformRole. Firestore PlatformRoles/{uid}
+ * mirrors the claims so the admin UI can list staff.
+ */
+const PLATFORM_ROLES = ["admin", "moderator"];
+
+/**
+ * Set or clear a user's platform role
+ * Other custom claims (e.g. role/tier from issueCustomToken) are kept.
+ * The user sees the change after their ID token refreshes (at most an hour,
+ * immediately after getIdToken(true)).
+ * @param {string} uid - User to change
+ * @param {string|null} platformRole - One of PLATFORM_ROLES, or null to revoke
+ * @param {string} grantedBy - uid of the admin (or "cli" for the bootstrap script)
+ * @returns {Promise<Object>} The user's new custom claims
+ */
+async function applyPlatformRole(uid, platformRole, grantedBy) {
+  if (platformRole !== null && !PLATFORM_ROLES.includes(platformRole)) {
+    throw new Error(`platformRole must be one of: ${PLATFORM_ROLES.join(", ")} (or null)`);
+  }
+
+  const user = await admin.auth().getUser(uid);
+  const claims = { ...(user.customClaims || {}) };
+  if (platformRole) {
+    claims.platformRole = platformRole;
+  } else {
+    delete claims.platformRole;
+  }
+
+  await admin.auth().setCustomUserClaims(uid, claims);
+
+  const roleRef = admin.firestore().doc(`PlatformRoles/${uid}`);
+  if (platformRole) {
+    await roleRef.set({
+      role: platformRole,
+      displayName: user.displayName || user.email || null,
+      grantedBy,
+      updatedAt: admin.firestore.Timestamp.now()
+    });
+  } else {
+    await roleRef.delete();
+  }
+
+  return claims;
+}
+
+module.exports = {
+  PLATFORM_ROLES,
+  applyPlatformRole
+};
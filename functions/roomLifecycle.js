@@ -0,0 +1,146 @@
+/**
+ * Server-side room lifecycle
+ *
+ * What useRoomSupervisor otherwise decides in the browser, decided once per change here:
+ *   - room status (active / idle / empty), stats, inactiveSince and onlineMemberCount,
+ *     from each member's status across all their connections
+ *   - automatic host transfer when the host goes offline, or away while players are online
+ *   - closing rooms that stayed empty or idle for too long
+ *
+ * The decisions come from shared/roomState.mjs, the same module the web app uses,
+ * so a room is never closed on one side and active on the other.
+ */
+
+let roomStateModule = null;
+
+/**
+ * Load the shared room state rules
+ * They are an ES module (the web app imports them as-is), so CommonJS loads them with import()
+ * @returns {Promise<Object>} The roomState module
+ */
+async function loadRoomState() {
+  if (!roomStateModule) {
+    roomStateModule = await import("./shared/roomState.mjs");
+  }
+  return roomStateModule;
+}
+
+/**
+ * Work out the next state of an open room
+ * Pure: returns a new room object (or the same one when nothing changes) plus
+ * what happened, so the caller can run it inside a transaction and log events after.
+ *
+ * @param {Object} roomState - The loaded roomState module
+ * @param {Object} roomData - Current room data
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { room, changed, hostTransfer: {from,to,toName,previousHostStatus,policy}|null, closeReason: string|null }
+ */
+function reconcileRoom(roomState, roomData, now) {
+  const decision = roomState.decideRoomActions(roomData, now);
+  const { room, changed } = roomState.applyRoomActions(roomData, decision, now);
+
+  let hostTransfer = null;
+  if (decision.hostTransfer) {
+    const { from, to } = decision.hostTransfer;
+    hostTransfer = {
+      from,
+      to,
+      toName: roomData.members[to].name,
+      previousHostStatus: roomState.getMemberStatus(roomData.members[from]) || null,
+      policy: roomData.successionPolicy || roomState.DEFAULT_SUCCESSION_POLICY
+    };
+  }
+
+  return { room, changed, hostTransfer, closeReason: decision.closeReason };
+}
+
+/**
+ * Reconcile a room in a transaction and log what changed to roomEvents/{roomId}
+ * @param {Object} db - Firebase database instance
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Object|null>} reconcileRoom's result, or null when the room does not exist
+ */
+async function reconcileRoomInDatabase(db, roomId) {
+  const roomState = await loadRoomState();
+  let outcome = null;
+
+  const { committed } = await db.ref(`rooms/${roomId}`).transaction((roomData) => {
+    // Also covers the first call, which runs before the room is loaded
+    if (!roomData) {
+      outcome = null;
+      return roomData;
+    }
+
+    outcome = reconcileRoom(roomState, roomData, Date.now());
+    // Returning undefined aborts the transaction, so unchanged rooms are not rewritten
+    return outcome.changed ? outcome.room : undefined;
+  }, undefined, false);
+
+  if (!outcome || !committed) {
+    return outcome;
+  }
+
+  const events = {};
+  const logEvent = (type, payload) => {
+    const eventId = db.ref(`roomEvents/${roomId}`).push().key;
+    events[`roomEvents/${roomId}/${eventId}`] = {
+      type,
+      actorId: null,
+      payload,
+      at: Date.now(),
+      recordedBy: "roomLifecycle"
+    };
+  };
+
+  if (outcome.hostTransfer) {
+    logEvent("host-transferred", outcome.hostTransfer);
+  }
+  if (outcome.closeReason) {
+    logEvent("room-closed", { closeReason: outcome.closeReason });
+  }
+  if (Object.keys(events).length > 0) {
+    await db.ref().update(events);
+  }
+
+  return outcome;
+}
+
+/**
+ * Set a member's status from their connections (tabs and devices)
+ * Clients drop only their own connection when they disconnect, since another tab
+ * may still be open, so the member goes away or offline here.
+ *
+ * @param {Object} db - Firebase database instance
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The member's user ID
+ * @returns {Promise<string|null>} The status written, or null when it was already right or the member is gone
+ */
+async function syncMemberStatus(db, roomId, userId) {
+  const roomState = await loadRoomState();
+  let status = null;
+
+  const { committed } = await db.ref(`rooms/${roomId}/members/${userId}`).transaction((member) => {
+    status = null;
+    // Never recreate a member who left, was kicked or whose room was deleted
+    if (!member) {
+      return member;
+    }
+
+    const derived = roomState.getConnectionsStatus(member.connections);
+    if (member.status === derived) {
+      return undefined;
+    }
+
+    status = derived;
+    return { ...member, status, lastChanged: Date.now() };
+  }, undefined, false);
+
+  return committed ? status : null;
+}
+
+module.exports = {
+  loadRoomState,
+  reconcileRoom,
+  reconcileRoomInDatabase,
+  syncMemberStatus
+};
@@ -0,0 +1,30 @@
+/**
+ * Grant or revoke a platform role from the command line
+ * Needed once to create the first admin; after that admins use the admin panel.
+ *
+ * Usage (with application default credentials, or against the emulators with
+ * FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST set):
+ *   node scripts/setPlatformRole.js <uid> admin|moderator|none
+ */
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const { applyPlatformRole } = require("../platformRoles");
+
+const [uid, role] = process.argv.slice(2);
+
+if (!uid || !role) {
+  console.error("Usage: node scripts/setPlatformRole.js <uid> admin|moderator|none");
+  process.exit(1);
+}
+
+applyPlatformRole(uid, role === "none" ? null : role, "cli")
+  .then((claims) => {
+    console.log(`✅ Custom claims of ${uid}:`, claims);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("❌ Could not set platform role:", error.message);
+    process.exit(1);
+  });
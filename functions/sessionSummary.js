@@ -0,0 +1,122 @@
+/**
+ * Session summary for the game history
+ *
+ * Built from the final RTDB room and its event log when the room is deleted
+ * (archiveDeletedRoom), and stored in Firestore GameHistory/{gameId}. All times
+ * are milliseconds since the epoch. participantIds lets Firestore rules give
+ * every participant read access to the summary.
+ *
+ * Time in room is an estimate: a member who is offline at the end is counted
+ * until their last status change, everyone else until the room closed.
+ */
+
+const ROOM_EVENT_TYPE = {
+  MEMBER_JOINED: 'member-joined',
+  HOST_TRANSFERRED: 'host-transferred',
+  MEMBER_KICKED: 'member-kicked',
+  MEMBER_BANNED: 'member-banned'
+};
+
+const numberOrNull = (value) => (typeof value === 'number' ? value : null);
+
+/**
+ * Build the summary of a finished room
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Final room data from RTDB
+ * @param {Array} events - Room events, oldest first ([{ id, type, actorId, payload, at }])
+ * @param {Object} [options]
+ * @param {number} [options.now] - Used as the end time when the room has no closedAt
+ * @param {string} [options.closeReason] - Used when the room has no closeReason
+ * @returns {Object} Session summary
+ */
+function buildSessionSummary(roomId, roomData, events = [], { now = Date.now(), closeReason = null } = {}) {
+  const createdAt = numberOrNull(roomData.createdAt);
+  const closedAt = numberOrNull(roomData.closedAt) ?? now;
+  const members = roomData.members || {};
+
+  const participants = Object.entries(members).map(([userId, member]) => {
+    const joinedAt = numberOrNull(member.joinedAt) ?? createdAt;
+    const leftAt = member.status === 'offline' ? (numberOrNull(member.lastChanged) ?? closedAt) : closedAt;
+
+    return {
+      userId,
+      name: member.name || null,
+      role: member.role || 'player',
+      joinedAt,
+      leftAt,
+      timeInRoomMs: joinedAt !== null ? Math.max(0, leftAt - joinedAt) : null,
+      removed: false,
+      hosted: false
+    };
+  });
+
+  // Kicked and banned members no longer have a member entry; recover them from the log
+  const removedIds = new Set(
+    events
+      .filter((event) => event.type === ROOM_EVENT_TYPE.MEMBER_KICKED || event.type === ROOM_EVENT_TYPE.MEMBER_BANNED)
+      .map((event) => event.payload?.memberId)
+      .filter((userId) => userId && !members[userId])
+  );
+  removedIds.forEach((userId) => {
+    const joinEvent = events.find((event) => event.type === ROOM_EVENT_TYPE.MEMBER_JOINED && event.actorId === userId);
+    const removeEvent = [...events].reverse().find((event) => event.payload?.memberId === userId);
+    const joinedAt = numberOrNull(joinEvent?.at);
+    const leftAt = numberOrNull(removeEvent?.at);
+
+    participants.push({
+      userId,
+      name: joinEvent?.payload?.name || null,
+      role: joinEvent?.payload?.role || 'player',
+      joinedAt,
+      leftAt,
+      timeInRoomMs: joinedAt !== null && leftAt !== null ? Math.max(0, leftAt - joinedAt) : null,
+      removed: true,
+      hosted: false
+    });
+  });
+
+  const hostChanges = events
+    .filter((event) => event.type === ROOM_EVENT_TYPE.HOST_TRANSFERRED)
+    .map((event) => ({
+      from: event.payload?.from || null,
+      to: event.payload?.to || null,
+      policy: event.payload?.policy || null,
+      at: numberOrNull(event.at)
+    }));
+
+  // Everyone who held the host role: the creator (the first host handing off, or
+  // the host at the end when it never changed) and every host handed to since
+  const hostIds = new Set([roomData.hostId, ...hostChanges.flatMap(({ from, to }) => [from, to])].filter(Boolean));
+  participants.forEach((participant) => {
+    participant.hosted = hostIds.has(participant.userId);
+  });
+
+  // Spectators are not players (late joiners waiting for the next round are)
+  const presentCount = Object.values(members).filter(
+    (m) => m.status && m.status !== 'offline' && (m.role !== 'spectator' || m.lateJoin)
+  ).length;
+
+  return {
+    gameId: roomData.gameId,
+    roomId,
+    createdAt,
+    closedAt,
+    durationMs: createdAt !== null ? Math.max(0, closedAt - createdAt) : null,
+    closeReason: roomData.closeReason || closeReason,
+    visibility: roomData.visibility || 'public',
+    maxMembers: roomData.maxMembers || null,
+    successionPolicy: roomData.successionPolicy || null,
+    roundsPlayed: roomData.game?.round || 0,
+    peakPlayers: Math.max(roomData.peakPlayers || 0, presentCount),
+    participantCount: participants.length,
+    participantIds: participants.map((participant) => participant.userId),
+    participants,
+    hostChangeCount: hostChanges.length,
+    hostChanges,
+    finalStats: roomData.stats || null,
+    eventCount: events.length
+  };
+}
+
+module.exports = { buildSessionSummary };
@@ -0,0 +1,551 @@
+/**
+ * Room state: pure functions shared by the web app and Cloud Functions
+ *
+ * The single definition of how a room's state is derived from its members: each
+ * member's presence across their connections, player counts, room status, whether a room is closed, when it auto-closes, when it
+ * may be deleted and who becomes host next. The web app imports this file
+ * directly (src/utils/roomState.js re-exports it); Cloud Functions load it with
+ * import() (functions/roomLifecycle.js). It lives under functions/ because only
+ * that directory is deployed.
+ *
+ * No imports, no Firebase, no clock: every function takes the time and the
+ * timeouts it needs, so both sides reach the same answer for the same room.
+ * database.rules.json cannot import it; the rule conditions it mirrors are noted.
+ */
+
+export const ROOM_STATUS = {
+  ACTIVE: 'active',
+  IDLE: 'idle',
+  EMPTY: 'empty',
+  CLOSED: 'closed',
+  OPEN: 'open'
+};
+
+export const MEMBER_STATUS = {
+  ONLINE: 'online',
+  AWAY: 'away',
+  OFFLINE: 'offline'
+};
+
+export const MEMBER_ROLE = {
+  HOST: 'host',
+  CO_HOST: 'co-host',
+  PLAYER: 'player',
+  SPECTATOR: 'spectator'
+};
+
+// Timeouts both sides use unless told otherwise (src/config/roomMonitor.js reads these)
+export const ROOM_LIFECYCLE_DEFAULTS = {
+  ENABLED: true,
+  AUTO_CLOSE_ENABLED: true,
+  // Room with every player offline
+  EMPTY_AUTO_CLOSE_TIMEOUT: 3 * 1000,
+  // Room with every connected player away
+  IDLE_AUTO_CLOSE_TIMEOUT: 5 * 60 * 1000,
+  // Closed room kept for its members to read the close reason (sets deleteAt)
+  DELETE_CLOSED_ROOM_AFTER: 30 * 1000,
+  // Closed room without a due deleteAt may be deleted this long after closedAt (database.rules.json)
+  CLOSED_ROOM_GRACE: 60 * 1000,
+  // Room nobody is connected to that non-members may close (database.rules.json)
+  GHOST_ROOM_MIN_AGE: 60 * 1000,
+  // Open room the server closes and deletes regardless of activity
+  MAX_ROOM_AGE: 60 * 60 * 1000
+};
+
+export const SUCCESSION_POLICY = {
+  // Co-hosts first, then the longest-tenured member
+  CO_HOST_FIRST: 'co-host-first',
+  // Member who joined the room earliest
+  LONGEST_TENURED: 'longest-tenured',
+  // Member with the lowest measured latency (as written by usePresence)
+  LOWEST_LATENCY: 'lowest-latency',
+  // Order chosen by the host in rooms/{roomId}/successionOrder
+  PRIORITY_ORDER: 'priority-order'
+};
+
+export const DEFAULT_SUCCESSION_POLICY = SUCCESSION_POLICY.CO_HOST_FIRST;
+
+/**
+ * Check whether a member only watches
+ * Late joiners waiting for a seat count as players
+ * @param {Object} member - Member data
+ * @returns {boolean}
+ */
+export function isSpectator(member) {
+  return member?.role === MEMBER_ROLE.SPECTATOR && !member.lateJoin;
+}
+
+/**
+ * Get the members that count as players
+ * @param {Object} members - Room members object
+ * @returns {Array} Array of [userId, memberData] tuples
+ */
+export function getPlayerEntries(members = {}) {
+  return Object.entries(members || {}).filter(([, member]) => !isSpectator(member));
+}
+
+/**
+ * Get the members that are spectating
+ * @param {Object} members - Room members object
+ * @returns {Array} Array of [userId, memberData] tuples
+ */
+export function getSpectatorEntries(members = {}) {
+  return Object.entries(members || {}).filter(([, member]) => isSpectator(member));
+}
+
+/**
+ * Presence of one user across connections (tabs, devices)
+ * Online if any connection is visible, away if every one is hidden
+ * @param {Object} connections - members/{userId}/connections ({ [connectionId]: { state } })
+ * @returns {string} online, away or offline (no connection)
+ */
+export function getConnectionsStatus(connections = {}) {
+  const states = Object.values(connections || {}).map((connection) => connection?.state);
+
+  if (states.includes(MEMBER_STATUS.ONLINE)) return MEMBER_STATUS.ONLINE;
+  if (states.length > 0) return MEMBER_STATUS.AWAY;
+  return MEMBER_STATUS.OFFLINE;
+}
+
+/**
+ * Effective status of a member
+ * Derived from their live connections while they have any. Without one, the
+ * status field decides: the last connection marks it offline on disconnect, and
+ * joinRoom marks it online before the first connection registers.
+ * @param {Object} member - Member data
+ * @returns {string|undefined} online, away or offline (the stored status when there is no connection)
+ */
+export function getMemberStatus(member) {
+  if (member?.connections && Object.keys(member.connections).length > 0) {
+    return getConnectionsStatus(member.connections);
+  }
+  return member?.status;
+}
+
+/**
+ * Members as they will be once one connection goes away
+ * Used to work out what a connection's onDisconnect writes should hold
+ * @param {Object} members - Room members object
+ * @param {string} userId - Owner of the connection
+ * @param {string} connectionId - Connection that goes away
+ * @returns {Object} New members object (the input is not modified)
+ */
+export function removeConnection(members = {}, userId, connectionId) {
+  const member = members?.[userId];
+  if (!member) return members || {};
+
+  const connections = { ...member.connections };
+  delete connections[connectionId];
+
+  const remaining = { ...member, connections };
+  if (Object.keys(connections).length === 0) {
+    delete remaining.connections;
+    remaining.status = MEMBER_STATUS.OFFLINE;
+  }
+
+  return { ...members, [userId]: remaining };
+}
+
+/**
+ * Check whether a member holds one of the seats of a full room
+ * Present members (online or away) keep their seats in the order they took
+ * them (seatedAt; members without one were seated first), ties broken by user
+ * ID. Two users who join at once can both write themselves into the last seat;
+ * this decides which of them keeps it.
+ * @param {Array} entries - [userId, memberData] tuples of one seat type (players or spectators)
+ * @param {string} userId - Member to check
+ * @param {number} capacity - Number of seats
+ * @returns {boolean}
+ */
+export function isSeated(entries = [], userId, capacity) {
+  const seatedAt = (member) => (typeof member.seatedAt === 'number' ? member.seatedAt : 0);
+
+  return entries
+    .filter(([, member]) => getMemberStatus(member) !== MEMBER_STATUS.OFFLINE)
+    .sort(([idA, a], [idB, b]) => seatedAt(a) - seatedAt(b) || (idA < idB ? -1 : idA > idB ? 1 : 0))
+    .slice(0, capacity)
+    .some(([id]) => id === userId);
+}
+
+/**
+ * Count players by status
+ * Spectators are left out so they never keep a room active
+ * @param {Object} members - Room members object
+ * @returns {Object} { activePlayers, awayPlayers, offlinePlayers, totalPlayers }
+ */
+export function calculatePlayerCounts(members = {}) {
+  const players = getPlayerEntries(members);
+
+  return {
+    activePlayers: players.filter(([, m]) => getMemberStatus(m) === MEMBER_STATUS.ONLINE).length,
+    awayPlayers: players.filter(([, m]) => getMemberStatus(m) === MEMBER_STATUS.AWAY).length,
+    offlinePlayers: players.filter(([, m]) => getMemberStatus(m) === MEMBER_STATUS.OFFLINE).length,
+    totalPlayers: players.length
+  };
+}
+
+/**
+ * Count members with a live connection (online or away), spectators included
+ * This is what onlineMemberCount should hold
+ * @param {Object} members - Room members object
+ * @returns {number}
+ */
+export function countOnlineMembers(members = {}) {
+  return Object.values(members || {})
+    .map(getMemberStatus)
+    .filter((status) => status === MEMBER_STATUS.ONLINE || status === MEMBER_STATUS.AWAY)
+    .length;
+}
+
+/**
+ * Derive the room status from player counts
+ * @param {Object} playerCounts - Result of calculatePlayerCounts
+ * @returns {string} active, idle or empty
+ */
+export function determineRoomStatus({ activePlayers, awayPlayers, offlinePlayers }) {
+  if (activePlayers === 0 && awayPlayers === 0 && offlinePlayers > 0) {
+    return ROOM_STATUS.EMPTY;
+  }
+  if (activePlayers === 0 && awayPlayers > 0) {
+    return ROOM_STATUS.IDLE;
+  }
+  return ROOM_STATUS.ACTIVE;
+}
+
+/**
+ * Check whether a room is closed
+ * Either field counts: closeRoom writes both, but a room is never treated as
+ * open once one of them says closed
+ * @param {Object} room - Room data
+ * @returns {boolean}
+ */
+export function isRoomClosed(room) {
+  return room?.roomStatus === ROOM_STATUS.CLOSED || room?.status === ROOM_STATUS.CLOSED;
+}
+
+// Members created before joinedAt/latency existed sort last
+const orMax = (value) => (typeof value === 'number' ? value : Number.MAX_SAFE_INTEGER);
+
+const byTenure = ([, a], [, b]) => orMax(a.joinedAt) - orMax(b.joinedAt);
+
+const STATUS_TIER = {
+  [MEMBER_STATUS.ONLINE]: 0,
+  [MEMBER_STATUS.AWAY]: 1
+};
+
+const POLICY_COMPARATORS = {
+  [SUCCESSION_POLICY.CO_HOST_FIRST]: () => (entryA, entryB) => {
+    const rankA = entryA[1].role === MEMBER_ROLE.CO_HOST ? 0 : 1;
+    const rankB = entryB[1].role === MEMBER_ROLE.CO_HOST ? 0 : 1;
+    return rankA - rankB || byTenure(entryA, entryB);
+  },
+
+  [SUCCESSION_POLICY.LONGEST_TENURED]: () => byTenure,
+
+  [SUCCESSION_POLICY.LOWEST_LATENCY]: () => (entryA, entryB) =>
+    orMax(entryA[1].latency) - orMax(entryB[1].latency) || byTenure(entryA, entryB),
+
+  [SUCCESSION_POLICY.PRIORITY_ORDER]: (successionOrder = []) => {
+    const position = (userId) => {
+      const index = successionOrder.indexOf(userId);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    return (entryA, entryB) => position(entryA[0]) - position(entryB[0]) || byTenure(entryA, entryB);
+  }
+};
+
+/**
+ * Rank all members who could become host, best candidate first
+ * Ranked by status (online before away; offline members and spectators are never
+ * eligible), then the room's policy, then user ID, so the ranking never depends
+ * on object key order.
+ *
+ * @param {Object} members - Room members object ({ [userId]: memberData })
+ * @param {string} currentHostId - Current host, excluded from the ranking
+ * @param {string} policy - One of SUCCESSION_POLICY (unknown values fall back to the default)
+ * @param {string[]} successionOrder - User IDs in priority order (PRIORITY_ORDER only)
+ * @returns {Array} Array of [userId, memberData] tuples
+ */
+export function rankSuccessors(members = {}, currentHostId, policy = DEFAULT_SUCCESSION_POLICY, successionOrder = []) {
+  const comparatorFactory = POLICY_COMPARATORS[policy] || POLICY_COMPARATORS[DEFAULT_SUCCESSION_POLICY];
+  const comparePolicy = comparatorFactory(successionOrder || []);
+
+  return Object.entries(members || {})
+    .filter(([userId, memberData]) =>
+      userId !== currentHostId && getMemberStatus(memberData) in STATUS_TIER && !isSpectator(memberData)
+    )
+    .sort((entryA, entryB) =>
+      STATUS_TIER[getMemberStatus(entryA[1])] - STATUS_TIER[getMemberStatus(entryB[1])] ||
+      comparePolicy(entryA, entryB) ||
+      (entryA[0] < entryB[0] ? -1 : entryA[0] > entryB[0] ? 1 : 0)
+    );
+}
+
+/**
+ * Pick the member who should become host
+ * @param {Object} roomData - Room data (members, successionPolicy, successionOrder)
+ * @param {string} currentHostId - Current host to exclude
+ * @returns {Array|null} [newHostId, newHostData] or null if nobody is eligible
+ */
+export function selectSuccessor(roomData, currentHostId) {
+  const ranked = rankSuccessors(
+    roomData?.members,
+    currentHostId,
+    roomData?.successionPolicy,
+    roomData?.successionOrder
+  );
+  return ranked[0] || null;
+}
+
+/**
+ * Decide whether host should move automatically
+ * Always when the host is offline; when the host is away, only to an online player
+ * @param {Object} roomData - Room data
+ * @returns {Object|null} { from, to } or null
+ */
+export function decideHostTransfer(roomData) {
+  const hostEntry = Object.entries(roomData?.members || {}).find(([, member]) => member.role === MEMBER_ROLE.HOST);
+  if (!hostEntry) return null;
+
+  const [hostId, hostData] = hostEntry;
+  const hostStatus = getMemberStatus(hostData);
+  if (hostStatus !== MEMBER_STATUS.OFFLINE && hostStatus !== MEMBER_STATUS.AWAY) return null;
+
+  const successor = selectSuccessor(roomData, hostId);
+  if (!successor) return null;
+  if (hostStatus === MEMBER_STATUS.AWAY && getMemberStatus(successor[1]) !== MEMBER_STATUS.ONLINE) return null;
+
+  return { from: hostId, to: successor[0] };
+}
+
+/**
+ * Work out when an inactive room closes
+ * @param {Object} roomData - Room data, with status and inactiveSince as they are (or will be) stored
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {Object} { closeReason: string|null, closesAt: number|null } closeReason is set once it is due
+ */
+export function getAutoClose(roomData, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  const none = { closeReason: null, closesAt: null };
+  const { status, inactiveSince } = roomData || {};
+
+  if (!config.ENABLED || !config.AUTO_CLOSE_ENABLED || isRoomClosed(roomData) || typeof inactiveSince !== 'number') {
+    return none;
+  }
+  if (status !== ROOM_STATUS.EMPTY && status !== ROOM_STATUS.IDLE) {
+    return none;
+  }
+
+  const timeout = status === ROOM_STATUS.EMPTY ? config.EMPTY_AUTO_CLOSE_TIMEOUT : config.IDLE_AUTO_CLOSE_TIMEOUT;
+  const closesAt = inactiveSince + timeout;
+  if (now < closesAt) {
+    return { closeReason: null, closesAt };
+  }
+
+  const seconds = Math.round((now - inactiveSince) / 1000);
+  return {
+    closeReason: status === ROOM_STATUS.EMPTY
+      ? `Auto-closed: Room empty for ${seconds}s`
+      : `Auto-closed: Room idle for ${Math.round(seconds / 60)}m`,
+    closesAt
+  };
+}
+
+/**
+ * Decide what should change in a room
+ * Returns room fields to write rather than a new room, so a client can send them
+ * as a multi-path update; applyRoomActions turns the decision into the next room.
+ *
+ * @param {Object} roomData - Room data
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {Object} {
+ *   updates: status fields to write (status, statusUpdatedAt, inactiveSince, lastActiveAt, stats, onlineMemberCount,
+ *     peakPlayers),
+ *   hostTransfer: { from, to } or null,
+ *   closeReason: reason when the room should close now, else null,
+ *   nextCheckAt: when to decide again if nothing changes before then, else null
+ * }
+ */
+export function decideRoomActions(roomData, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  const decision = { updates: {}, hostTransfer: null, closeReason: null, nextCheckAt: null };
+
+  if (!roomData || isRoomClosed(roomData)) {
+    return decision;
+  }
+
+  const counts = calculatePlayerCounts(roomData.members);
+  const status = determineRoomStatus(counts);
+  const { updates } = decision;
+
+  const stats = roomData.stats || {};
+  if (stats.activePlayers !== counts.activePlayers ||
+      stats.awayPlayers !== counts.awayPlayers ||
+      stats.offlinePlayers !== counts.offlinePlayers ||
+      stats.totalPlayers !== counts.totalPlayers) {
+    updates.stats = { ...counts, lastChecked: now };
+  }
+
+  const onlineMemberCount = countOnlineMembers(roomData.members);
+  if (roomData.onlineMemberCount !== onlineMemberCount) {
+    updates.onlineMemberCount = onlineMemberCount;
+  }
+
+  const presentPlayers = counts.activePlayers + counts.awayPlayers;
+  if (presentPlayers > (roomData.peakPlayers || 0)) {
+    updates.peakPlayers = presentPlayers;
+  }
+
+  let inactiveSince = typeof roomData.inactiveSince === 'number' ? roomData.inactiveSince : null;
+  if (roomData.status !== status) {
+    updates.status = status;
+    updates.statusUpdatedAt = now;
+
+    if (status === ROOM_STATUS.ACTIVE) {
+      inactiveSince = null;
+      updates.lastActiveAt = now;
+    } else if (status === ROOM_STATUS.EMPTY || inactiveSince === null) {
+      // The empty grace period starts when the last player leaves, even in an idle room
+      inactiveSince = now;
+    }
+    if (inactiveSince !== (roomData.inactiveSince ?? null)) {
+      updates.inactiveSince = inactiveSince;
+    }
+  }
+
+  decision.hostTransfer = decideHostTransfer(roomData);
+
+  const { closeReason, closesAt } = getAutoClose({ ...roomData, status, inactiveSince }, now, config);
+  decision.closeReason = closeReason;
+  decision.nextCheckAt = closeReason ? null : closesAt;
+
+  return decision;
+}
+
+/**
+ * Fields that close a room
+ * @param {string} closeReason - Why the room closed
+ * @param {number} now - Close time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {Object} { roomStatus, status, closedAt, closeReason, deleteAt }
+ */
+export function buildClosedFields(closeReason, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  return {
+    roomStatus: ROOM_STATUS.CLOSED,
+    status: ROOM_STATUS.CLOSED,
+    closedAt: now,
+    closeReason,
+    deleteAt: now + config.DELETE_CLOSED_ROOM_AFTER
+  };
+}
+
+/**
+ * Apply a decision from decideRoomActions to a room
+ * Never mutates its input.
+ *
+ * @param {Object} roomData - Room data the decision was made on
+ * @param {Object} decision - Result of decideRoomActions
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {Object} { room: next room data, changed: boolean }
+ */
+export function applyRoomActions(roomData, decision, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  if (!roomData || isRoomClosed(roomData)) {
+    return { room: roomData, changed: false };
+  }
+
+  const room = { ...roomData, ...decision.updates, members: { ...(roomData.members || {}) } };
+  let changed = Object.keys(decision.updates).length > 0;
+
+  if (decision.hostTransfer) {
+    const { from, to } = decision.hostTransfer;
+    room.members[from] = { ...room.members[from], role: MEMBER_ROLE.PLAYER };
+    // A late joiner made host plays from now on, not from the next round
+    const successor = { ...room.members[to], role: MEMBER_ROLE.HOST, lastChanged: now };
+    delete successor.lateJoin;
+    room.members[to] = successor;
+    room.hostId = to;
+    changed = true;
+  }
+
+  if (decision.closeReason) {
+    Object.assign(room, buildClosedFields(decision.closeReason, now, config));
+    changed = true;
+  }
+
+  return { room, changed };
+}
+
+/**
+ * Check whether someone who is not a member may close a room
+ * Mirrors the ghost-room condition in database.rules.json: the room is still
+ * open and either has been marked empty for longer than the empty timeout, or
+ * no open room view has renewed the steward lease for longer than the ghost
+ * grace period while the host has no connection left.
+ * @param {Object} room - Room data
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {boolean}
+ */
+export function isGhostRoom(room, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  if (room?.roomStatus !== ROOM_STATUS.OPEN) return false;
+
+  const emptyTooLong = room.status === ROOM_STATUS.EMPTY &&
+    typeof room.inactiveSince === 'number' &&
+    now - room.inactiveSince > config.EMPTY_AUTO_CLOSE_TIMEOUT;
+  const hostConnections = room.members?.[room.hostId]?.connections;
+  const stewardLapsed = !(typeof room.steward?.expiresAt === 'number' &&
+    now - room.steward.expiresAt <= config.GHOST_ROOM_MIN_AGE);
+  const abandoned = stewardLapsed &&
+    typeof room.hostId === 'string' &&
+    Object.keys(hostConnections || {}).length === 0 &&
+    typeof room.createdAt === 'number' &&
+    now - room.createdAt > config.GHOST_ROOM_MIN_AGE;
+
+  return emptyTooLong || abandoned;
+}
+
+/**
+ * Check whether a closed room may be deleted
+ * Mirrors the delete condition in database.rules.json: deleteAt has passed, or
+ * the room closed more than CLOSED_ROOM_GRACE ago.
+ * @param {Object} room - Room data
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [config] - See ROOM_LIFECYCLE_DEFAULTS
+ * @returns {boolean}
+ */
+export function isClosedRoomDue(room, now, config = ROOM_LIFECYCLE_DEFAULTS) {
+  if (!isRoomClosed(room)) return false;
+
+  return (typeof room.deleteAt === 'number' && room.deleteAt <= now) ||
+    (typeof room.closedAt === 'number' && room.closedAt < now - config.CLOSED_ROOM_GRACE);
+}
+
+/**
+ * Decide whether a room should be deleted, and why
+ * Closed rooms once isClosedRoomDue; with checkAge, also any room older than
+ * MAX_ROOM_AGE (only the server may delete a room that is still open).
+ * @param {Object} room - Room data
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [options] - { checkAge: boolean, config }
+ * @returns {string|null} Reason, or null to keep the room
+ */
+export function getDeletionReason(room, now, { checkAge = false, config = ROOM_LIFECYCLE_DEFAULTS } = {}) {
+  if (!room) return null;
+
+  if (isClosedRoomDue(room, now, config)) {
+    return 'Room status is closed';
+  }
+
+  if (checkAge && typeof room.createdAt === 'number') {
+    const roomAge = now - room.createdAt;
+    if (roomAge > config.MAX_ROOM_AGE) {
+      const minutes = Math.floor(roomAge / 1000 / 60);
+      return isRoomClosed(room)
+        ? `Room closed, created ${minutes} minutes ago`
+        : `Room open for ${minutes} minutes (>${Math.round(config.MAX_ROOM_AGE / 60000)} minutes)`;
+    }
+  }
+
+  return null;
+}
@@ -1,16 +1,43 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from './hooks/useAuth';
+import { useProfile } from './hooks/useProfile';
 import { useRoomCleaner } from './hooks/useRoomCleaner';
 import Login from './components/Login';
 import CreateRoom from './components/CreateRoom';
 import RoomView from './components/RoomView';
+import { signInWithExternalSession } from './services/auth';
+import {
+  parseInviteFromUrl,
+  clearInviteFromUrl,
+  parseExternalSessionFromUrl,
+  clearExternalSessionFromUrl
+} from './utils/roomUtils';
 
 function App() {
-  const { user, loading } = useAuth();
+  const { user, claims, loading } = useAuth();
+  const { profile, loading: profileLoading } = useProfile(user);
   const [currentRoom, setCurrentRoom] = useState(null);
+  // Invite from the page URL; survives the login screen and is consumed by the lobby
+  const [pendingInvite, setPendingInvite] = useState(() => parseInviteFromUrl(window.location.search));
+  // Session handed over by the game backend; exchanged for a Firebase login once
+  const [externalSession, setExternalSession] = useState(() => parseExternalSessionFromUrl(window.location.search));
+  const [externalSessionError, setExternalSessionError] = useState('');
+
+  // Sessions are single-use; StrictMode runs the effect twice in development
+  const sessionExchangeStartedRef = useRef(false);
+
+  useEffect(() => {
+    if (!externalSession || sessionExchangeStartedRef.current) return;
+    sessionExchangeStartedRef.current = true;
+
+    clearExternalSessionFromUrl();
+    signInWithExternalSession(externalSession.payload, externalSession.signature)
+      .catch((err) => setExternalSessionError(`Could not sign in from the game: ${err.message}`))
+      .finally(() => setExternalSession(null));
+  }, []);
 
   // Global room cleaner - automatically deletes closed rooms
-  useRoomCleaner();
+  const roomCleaner = useRoomCleaner(user?.uid);
 
   const handleRoomCreated = (roomId, gameId) => {
     setCurrentRoom(roomId);
@@ -20,11 +47,16 @@ function App() {
     setCurrentRoom(roomId);
   };
 
+  const handleInviteHandled = () => {
+    clearInviteFromUrl();
+    setPendingInvite(null);
+  };
+
   const handleLeaveRoom = () => {
     setCurrentRoom(null);
   };
 
-  if (loading) {
+  if (loading || profileLoading || externalSession) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center">
         <div className="text-white text-xl">Loading...</div>
@@ -32,19 +64,25 @@ function App() {
     );
   }
 
-  if (!user) {
-    return <Login />;
+  // The profile step is part of the login: nobody enters the lobby without a name
+  if (!user || !profile) {
+    return <Login user={user} initialError={externalSessionError} />;
   }
 
   if (currentRoom) {
-    return <RoomView roomId={currentRoom} user={user} onLeave={handleLeaveRoom} />;
+    return <RoomView roomId={currentRoom} user={user} profile={profile} onLeave={handleLeaveRoom} />;
   }
 
   return (
     <CreateRoom
       user={user}
+      profile={profile}
+      platformRole={claims.platformRole || null}
+      roomCleaner={roomCleaner}
       onRoomCreated={handleRoomCreated}
       onRoomJoined={handleRoomJoined}
+      pendingInvite={pendingInvite}
+      onInviteHandled={handleInviteHandled}
     />
   );
 }
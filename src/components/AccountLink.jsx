@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { linkWithEmail, linkWithGoogle, switchToExistingAccount } from '../services/auth';
+import { ACCOUNT_ERROR } from '../services/errors';
+
+// Lets a guest (anonymous) user keep their uid - and with it their profile and
+// game history - by attaching an email/password or Google sign-in to it
+export default function AccountLink({ onLinked, onCancel }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const runLink = async (link) => {
+    setLoading(true);
+    setError('');
+    try {
+      await link();
+      onLinked?.();
+    } catch (err) {
+      if (err.code !== ACCOUNT_ERROR.CREDENTIAL_IN_USE) {
+        setError(err.message);
+        return;
+      }
+
+      // The sign-in method already has its own account; both cannot be merged
+      const switchAccount = confirm(
+        `${err.message}.\n\nSwitch to that account? Games you played as a guest stay with the guest account.`
+      );
+      if (!switchAccount) return;
+
+      try {
+        await switchToExistingAccount(err);
+      } catch (switchErr) {
+        setError(switchErr.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEmailLink = (e) => {
+    e.preventDefault();
+    runLink(() => linkWithEmail(email.trim(), password));
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        You are playing as a guest. Save your account to keep your name and game history on other devices.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleEmailLink} className="space-y-2">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          required
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (6+ characters)"
+          minLength={6}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          required
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Saving...' : 'Save with email'}
+        </button>
+      </form>
+
+      <button
+        onClick={() => runLink(linkWithGoogle)}
+        disabled={loading}
+        className="w-full bg-white border-2 border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Save with Google
+      </button>
+
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          className="w-full text-sm text-gray-500 hover:text-gray-700 underline"
+        >
+          Not now
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { subscribeToAllRooms, forceCloseRoom, kickMember, banMember, ROOM_VISIBILITY } from '../services/room';
+import { setPlatformRole, subscribeToPlatformStaff, PLATFORM_ROLE } from '../services/platform';
+import { getMemberStatus } from '../utils/roomState';
+
+// Platform staff tools: every room (including unlisted ones) with force-close and
+// kick/ban for any member; admins also manage who is staff
+export default function AdminPanel({ user, platformRole, roomCleaner, onBack }) {
+  const [rooms, setRooms] = useState([]);
+  const [roomsError, setRoomsError] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [grantUserId, setGrantUserId] = useState('');
+  const [grantRole, setGrantRole] = useState(PLATFORM_ROLE.MODERATOR);
+  const [busy, setBusy] = useState(false);
+  const isAdmin = platformRole === PLATFORM_ROLE.ADMIN;
+
+  useEffect(() => {
+    // Every room, unlisted ones included: the database rules only allow this for staff
+    const unsubscribe = subscribeToAllRooms((allRooms) => {
+      setRooms(allRooms);
+      setRoomsError(null);
+    }, false, true, setRoomsError);
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    const unsubscribe = subscribeToPlatformStaff(setStaff);
+    return () => unsubscribe();
+  }, [isAdmin]);
+
+  const handleForceClose = async (roomId) => {
+    const reason = window.prompt(`Reason for closing room ${roomId}:`, 'Closed by a moderator');
+    if (reason === null) return; // Cancelled
+
+    try {
+      await forceCloseRoom(roomId, user.uid, reason.trim() || undefined);
+    } catch (err) {
+      console.error('Error force-closing room:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleModeration = async (action, roomId, memberId, memberName) => {
+    const reason = window.prompt(`Reason to ${action} ${memberName} (optional):`);
+    if (reason === null) return; // Cancelled
+
+    try {
+      const trimmedReason = reason.trim() || undefined;
+      if (action === 'kick') {
+        await kickMember(roomId, user.uid, memberId, trimmedReason);
+      } else if (action === 'ban') {
+        await banMember(roomId, user.uid, memberId, trimmedReason);
+      }
+    } catch (err) {
+      console.error(`Error trying to ${action} member:`, err);
+      alert(err.message);
+    }
+  };
+
+  const handleSetRole = async (userId, role) => {
+    setBusy(true);
+    try {
+      await setPlatformRole(userId, role);
+      setGrantUserId('');
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 max-w-2xl w-full">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">🛡️ Admin</h1>
+            <p className="text-sm text-gray-600">Signed in as {platformRole}</p>
+            <p className="text-xs text-gray-500">
+              Room cleaner:{' '}
+              {roomCleaner?.leader ? (
+                <>
+                  {roomCleaner.isLeader ? 'this tab' : <span className="font-mono">{roomCleaner.leader.holderId}</span>}
+                  {roomCleaner.leader.since && ` since ${new Date(roomCleaner.leader.since).toLocaleTimeString()}`}
+                  {` (token ${roomCleaner.leader.token})`}
+                </>
+              ) : (
+                'nobody'
+              )}
+            </p>
+          </div>
+          <button
+            onClick={onBack}
+            className="text-sm text-gray-500 hover:text-gray-700 underline"
+          >
+            ← Lobby
+          </button>
+        </div>
+
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">Open rooms ({rooms.length})</h2>
+        {roomsError ? (
+          <div className="text-sm text-red-600 mb-6">
+            Could not load rooms. A new staff role only takes effect once your sign-in refreshes.
+          </div>
+        ) : rooms.length === 0 ? (
+          <div className="text-sm text-gray-400 mb-6">No open rooms</div>
+        ) : (
+          <div className="space-y-3 mb-6 max-h-[28rem] overflow-y-auto">
+            {rooms.map((room) => (
+              <div key={room.roomId} className="p-3 border-2 border-gray-200 rounded-lg">
+                <div className="flex justify-between items-center">
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono font-bold text-gray-800">{room.roomId}</span>
+                    {room.visibility && room.visibility !== ROOM_VISIBILITY.PUBLIC && (
+                      <span className="text-xs font-semibold px-2 py-0.5 rounded bg-purple-100 text-purple-700">
+                        {room.visibility}
+                      </span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleForceClose(room.roomId)}
+                    className="text-xs bg-red-500 hover:bg-red-600 text-white font-semibold px-3 py-1 rounded"
+                  >
+                    Force close
+                  </button>
+                </div>
+                <ul className="mt-2 space-y-1">
+                  {Object.entries(room.members || {}).map(([memberId, member]) => (
+                    <li key={memberId} className="flex justify-between items-center text-sm">
+                      <span className={getMemberStatus(member) === 'offline' ? 'text-gray-400' : 'text-gray-700'}>
+                        {member.name} <span className="text-xs text-gray-400">({member.role}, {getMemberStatus(member)})</span>
+                      </span>
+                      {memberId !== user.uid && (
+                        <span className="flex gap-2 text-xs">
+                          <button onClick={() => handleModeration('kick', room.roomId, memberId, member.name)} className="text-orange-600 hover:text-orange-700 underline">
+                            Kick
+                          </button>
+                          <button onClick={() => handleModeration('ban', room.roomId, memberId, member.name)} className="text-red-600 hover:text-red-700 underline">
+                            Ban
+                          </button>
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isAdmin && (
+          <>
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">Platform staff</h2>
+            <ul className="space-y-1 mb-3">
+              {staff.map((member) => (
+                <li key={member.userId} className="flex justify-between items-center text-sm">
+                  <span className="text-gray-700">
+                    {member.displayName || member.userId.substring(0, 8)}
+                    <span className="ml-2 text-xs text-gray-400 font-mono">{member.userId}</span>
+                  </span>
+                  <span className="flex gap-2 items-center text-xs">
+                    <span className="font-semibold">{member.role}</span>
+                    {member.userId !== user.uid && (
+                      <button
+                        onClick={() => handleSetRole(member.userId, null)}
+                        disabled={busy}
+                        className="text-red-600 hover:text-red-700 underline disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (grantUserId.trim()) handleSetRole(grantUserId.trim(), grantRole);
+              }}
+              className="flex gap-2"
+            >
+              <input
+                type="text"
+                value={grantUserId}
+                onChange={(e) => setGrantUserId(e.target.value)}
+                placeholder="User ID"
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono"
+              />
+              <select
+                value={grantRole}
+                onChange={(e) => setGrantRole(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 text-sm"
+              >
+                <option value={PLATFORM_ROLE.MODERATOR}>Moderator</option>
+                <option value={PLATFORM_ROLE.ADMIN}>Admin</option>
+              </select>
+              <button
+                type="submit"
+                disabled={busy || !grantUserId.trim()}
+                className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 rounded-lg text-sm disabled:opacity-50"
+              >
+                Grant
+              </button>
+            </form>
+            <p className="mt-2 text-xs text-gray-500">
+              Changes apply when the user&apos;s sign-in token refreshes (within an hour, or on their next sign-in).
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
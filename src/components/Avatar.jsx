@@ -0,0 +1,14 @@
+// Round avatar: the member's emoji, or the first letter of their name, on their color
+export default function Avatar({ name, color, emoji, size = 'md' }) {
+  const sizeClasses = size === 'sm' ? 'w-6 h-6 text-xs' : size === 'lg' ? 'w-14 h-14 text-2xl' : 'w-9 h-9 text-base';
+
+  return (
+    <div
+      className={`${sizeClasses} rounded-full flex items-center justify-center font-bold text-white shrink-0`}
+      style={{ backgroundColor: color || '#9ca3af' }}
+      title={name}
+    >
+      {emoji || (name || '?').charAt(0).toUpperCase()}
+    </div>
+  );
+}
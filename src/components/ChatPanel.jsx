@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeToChat, loadOlderMessages, sendChatMessage, watchChatHistory, CHAT_MESSAGE_TYPE } from '../services/chat';
+import { CHAT_CONFIG } from '../config/chat';
+
+export default function ChatPanel({ roomId, user, authorName, isMuted, isHost }) {
+  const [recentMessages, setRecentMessages] = useState([]);
+  const [olderMessages, setOlderMessages] = useState([]);
+  const [hasOlder, setHasOlder] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+
+  // Follow the latest page of messages
+  useEffect(() => {
+    setOlderMessages([]);
+    setHasOlder(true);
+
+    const unsubscribe = subscribeToChat(roomId, (messages) => {
+      setRecentMessages(messages);
+      if (messages.length < CHAT_CONFIG.PAGE_SIZE) {
+        setHasOlder(false);
+      }
+    });
+
+    return () => unsubscribe();
+  }, [roomId]);
+
+  // Only the host may delete other members' messages, so the host keeps the history short
+  useEffect(() => {
+    if (!isHost) return;
+    return watchChatHistory(roomId);
+  }, [roomId, isHost]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [recentMessages]);
+
+  // Older pages and the live page can overlap when new messages push the window forward
+  const recentIds = new Set(recentMessages.map((m) => m.id));
+  const messages = [...olderMessages.filter((m) => !recentIds.has(m.id)), ...recentMessages];
+
+  const handleLoadOlder = async () => {
+    if (messages.length === 0) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await loadOlderMessages(roomId, messages[0].id);
+      setOlderMessages((previous) => [...page, ...previous]);
+      if (page.length < CHAT_CONFIG.PAGE_SIZE) {
+        setHasOlder(false);
+      }
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setSending(true);
+    try {
+      await sendChatMessage(roomId, user.uid, authorName, draft);
+      setDraft('');
+    } catch (err) {
+      console.error('Error sending message:', err);
+      alert(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const formatTime = (timestamp) =>
+    timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6 mb-4">
+      <h2 className="text-xl font-bold text-gray-800 mb-3">Chat</h2>
+
+      <div ref={listRef} className="h-64 overflow-y-auto border border-gray-200 rounded-lg p-3 space-y-2 bg-gray-50">
+        {hasOlder && messages.length > 0 && (
+          <div className="text-center">
+            <button
+              onClick={handleLoadOlder}
+              disabled={loadingOlder}
+              className="text-xs text-blue-600 hover:text-blue-700 underline disabled:opacity-50"
+            >
+              {loadingOlder ? 'Loading...' : 'Load older messages'}
+            </button>
+          </div>
+        )}
+
+        {messages.length === 0 && (
+          <div className="text-center text-sm text-gray-400 py-8">No messages yet. Say hi!</div>
+        )}
+
+        {messages.map((message) => (
+          message.type === CHAT_MESSAGE_TYPE.SYSTEM ? (
+            <div key={message.id} className="text-center text-xs text-gray-500 italic">
+              {message.text} · {formatTime(message.createdAt)}
+            </div>
+          ) : (
+            <div key={message.id} className="text-sm">
+              <span className={`font-semibold ${message.authorId === user.uid ? 'text-blue-600' : 'text-gray-800'}`}>
+                {message.authorName}
+              </span>
+              <span className="ml-2 text-xs text-gray-400">{formatTime(message.createdAt)}</span>
+              <div className="text-gray-700 break-words">{message.text}</div>
+            </div>
+          )
+        ))}
+      </div>
+
+      <form onSubmit={handleSend} className="flex gap-2 mt-3">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={isMuted ? 'You are muted' : 'Type a message...'}
+          maxLength={CHAT_CONFIG.MAX_MESSAGE_LENGTH}
+          disabled={isMuted || sending}
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm disabled:bg-gray-100"
+        />
+        <button
+          type="submit"
+          disabled={isMuted || sending || !draft.trim()}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+}
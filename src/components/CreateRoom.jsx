@@ -1,14 +1,40 @@
-import { useState, useEffect } from 'react';
-import { createGameRoom, joinRoom, subscribeToAllRooms } from '../services/room';
+import { useState, useEffect, useRef } from 'react';
+import { createGameRoom, joinRoom, subscribeToAllRooms, ROOM_VISIBILITY } from '../services/room';
+import { ROOM_ERROR } from '../services/errors';
 import { signOut } from '../services/auth';
 import { useConnectionStatus } from '../hooks/useConnectionStatus';
 import { PRESENCE_CONFIG } from '../config/presence';
 import { AFK_CONFIG } from '../config/afk';
-
-export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
+import { ROOM_CONFIG } from '../config/room';
+import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { SUCCESSION_POLICY_LABELS, DEFAULT_SUCCESSION_POLICY } from '../utils/hostSuccession';
+import { getPlayerEntries, getSpectatorEntries, isGhostRoom } from '../utils/roomUtils';
+import { countOnlineMembers, getMemberStatus, isRoomClosed } from '../utils/roomState';
+import GameHistory from './GameHistory';
+import ProfileForm from './ProfileForm';
+import AccountLink from './AccountLink';
+import AdminPanel from './AdminPanel';
+import { isPlatformStaff } from '../services/platform';
+import Avatar from './Avatar';
+
+// Spectator capacities offered when creating a room
+const SPECTATOR_LIMIT_OPTIONS = [0, 5, 10, 20, 50, 100];
+
+export default function CreateRoom({ user, profile, platformRole, roomCleaner, onRoomCreated, onRoomJoined, pendingInvite, onInviteHandled }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [activeRooms, setActiveRooms] = useState([]);
+  const [maxMembers, setMaxMembers] = useState(ROOM_CONFIG.DEFAULT_MAX_MEMBERS);
+  const [visibility, setVisibility] = useState(ROOM_VISIBILITY.PUBLIC);
+  const [roomPassword, setRoomPassword] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [successionPolicy, setSuccessionPolicy] = useState(DEFAULT_SUCCESSION_POLICY);
+  const [maxSpectators, setMaxSpectators] = useState(ROOM_CONFIG.DEFAULT_MAX_SPECTATORS);
+  const [showHistory, setShowHistory] = useState(false);
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [showAccountLink, setShowAccountLink] = useState(false);
+  const [showAdmin, setShowAdmin] = useState(false);
+  const inviteHandledRef = useRef(false);
   const { isConnected, lastPing } = useConnectionStatus();
 
   useEffect(() => {
@@ -21,21 +47,23 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
 
       // Clean up ghost rooms (rooms with 0 online members)
       // This provides distributed cleanup - anyone viewing the lobby helps clean up!
+      // Not needed when the roomLifecycle Cloud Functions close empty rooms
       rooms.forEach((room) => {
+        if (ROOM_MONITOR_CONFIG.SERVER_LIFECYCLE) return;
+
         // Skip already closed rooms
-        if (room.isClosed || room.roomStatus === 'closed') return;
+        if (isRoomClosed(room)) return;
 
         // Skip if we've already tried to close this room
         if (closedGhostRooms.has(room.roomId)) return;
 
-        const members = room.members || {};
-        const membersList = Object.entries(members);
-        const onlineCount = membersList.filter(([, m]) => m.status === 'online').length;
-        const awayCount = membersList.filter(([, m]) => m.status === 'away').length;
+        const memberCount = Object.keys(room.members || {}).length;
 
-        // If no one is online or away, this is a ghost room - close it
-        if (onlineCount === 0 && awayCount === 0 && membersList.length > 0) {
-          console.log(`🧹 [Lobby Ghost Cleaner] Detected: ${room.roomId} (${membersList.length} members, 0 online, 0 away)`);
+        // If no one is online or away, this is a ghost room - close it.
+        // Database rules only let non-members close rooms that are empty or
+        // abandoned long enough, so fresher rooms are left to their members
+        if (memberCount > 0 && countOnlineMembers(room.members) === 0 && isGhostRoom(room)) {
+          console.log(`🧹 [Lobby Ghost Cleaner] Detected: ${room.roomId} (${memberCount} members, 0 online, 0 away)`);
 
           // Mark as being closed to prevent duplicate attempts
           closedGhostRooms.add(room.roomId);
@@ -65,7 +93,13 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
     setLoading(true);
     setError('');
     try {
-      const { roomId, gameId } = await createGameRoom(user.uid);
+      const { roomId, gameId } = await createGameRoom(user.uid, {
+        maxMembers,
+        maxSpectators,
+        visibility,
+        successionPolicy,
+        password: visibility === ROOM_VISIBILITY.PASSWORD ? roomPassword : undefined
+      });
       onRoomCreated(roomId, gameId);
     } catch (err) {
       setError(err.message);
@@ -74,12 +108,31 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
     }
   };
 
-  const handleJoinRoom = async (roomId) => {
+  const handleJoinRoom = async (roomId, credentials = {}) => {
     setLoading(true);
     setError('');
     try {
-      await joinRoom(roomId, user.uid);
-      onRoomJoined(roomId);
+      let joinCredentials = credentials;
+
+      // Keep asking for the password until it is accepted or the user cancels
+      for (;;) {
+        try {
+          await joinRoom(roomId, user.uid, joinCredentials);
+          onRoomJoined(roomId);
+          return;
+        } catch (err) {
+          const needsPassword = err.code === ROOM_ERROR.PASSWORD_REQUIRED || err.code === ROOM_ERROR.WRONG_PASSWORD;
+          if (!needsPassword) throw err;
+
+          const promptMessage = err.code === ROOM_ERROR.WRONG_PASSWORD
+            ? `Incorrect password. Enter the password for room ${roomId}:`
+            : `Room ${roomId} is password protected. Enter the password:`;
+          const password = window.prompt(promptMessage);
+          if (password === null) return;
+
+          joinCredentials = { password, asSpectator: credentials.asSpectator };
+        }
+      }
     } catch (err) {
       setError(err.message || 'Failed to join room.');
     } finally {
@@ -87,6 +140,24 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
     }
   };
 
+  const handleJoinByCode = (e, asSpectator = false) => {
+    e.preventDefault();
+    const code = joinCode.trim().toUpperCase();
+    if (code) {
+      handleJoinRoom(code, { asSpectator });
+    }
+  };
+
+  // Join the room from an invite link once the user is signed in
+  useEffect(() => {
+    if (!pendingInvite || inviteHandledRef.current) return;
+    inviteHandledRef.current = true;
+
+    console.log(`🔗 [CreateRoom] Joining room ${pendingInvite.roomId} from invite link`);
+    handleJoinRoom(pendingInvite.roomId, { inviteToken: pendingInvite.inviteToken || undefined })
+      .finally(() => onInviteHandled());
+  }, [pendingInvite]);
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -95,22 +166,86 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
     }
   };
 
+  if (showHistory) {
+    return <GameHistory user={user} onBack={() => setShowHistory(false)} />;
+  }
+
+  if (showAdmin && isPlatformStaff(platformRole)) {
+    return <AdminPanel user={user} platformRole={platformRole} roomCleaner={roomCleaner} onBack={() => setShowAdmin(false)} />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full">
         <div className="flex justify-between items-center mb-6">
-          <div>
-            <h1 className="text-2xl font-bold text-gray-800">Game Lobby</h1>
-            <p className="text-sm text-gray-600">User: {user.uid.substring(0, 8)}...</p>
+          <div className="flex items-center gap-3">
+            <Avatar name={profile.displayName} color={profile.color} emoji={profile.emoji} />
+            <div>
+              <h1 className="text-2xl font-bold text-gray-800">Game Lobby</h1>
+              <p className="text-sm text-gray-600">
+                {profile.displayName}
+                <button
+                  onClick={() => setEditingProfile(!editingProfile)}
+                  className="ml-2 text-xs text-blue-600 hover:text-blue-700 underline"
+                >
+                  {editingProfile ? 'close' : 'edit'}
+                </button>
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-3">
+            {isPlatformStaff(platformRole) && (
+              <button
+                onClick={() => setShowAdmin(true)}
+                className="text-sm text-red-600 hover:text-red-700 underline"
+              >
+                🛡️ Admin
+              </button>
+            )}
+            <button
+              onClick={() => setShowHistory(true)}
+              className="text-sm text-blue-600 hover:text-blue-700 underline"
+            >
+              📚 My Games
+            </button>
+            <button
+              onClick={handleSignOut}
+              className="text-sm text-gray-500 hover:text-gray-700 underline"
+            >
+              Sign Out
+            </button>
           </div>
-          <button
-            onClick={handleSignOut}
-            className="text-sm text-gray-500 hover:text-gray-700 underline"
-          >
-            Sign Out
-          </button>
         </div>
 
+        {user.isAnonymous && (
+          <div className="mb-4 p-3 rounded-lg border-2 border-amber-200 bg-amber-50">
+            {showAccountLink ? (
+              <AccountLink onLinked={() => setShowAccountLink(false)} onCancel={() => setShowAccountLink(false)} />
+            ) : (
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-amber-800">Guest account</span>
+                <button
+                  onClick={() => setShowAccountLink(true)}
+                  className="text-sm text-blue-600 hover:text-blue-700 underline"
+                >
+                  🔒 Save account
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {editingProfile && (
+          <div className="mb-4 p-4 border-2 border-blue-200 rounded-lg">
+            <ProfileForm
+              user={user}
+              initialProfile={profile}
+              onSaved={() => setEditingProfile(false)}
+              onCancel={() => setEditingProfile(false)}
+            />
+          </div>
+        )}
+
         {/* Connection Status Indicator */}
         <div className={`mb-4 p-3 rounded-lg border-2 ${
           isConnected
@@ -147,15 +282,129 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
           </div>
         )}
 
+        {/* Room Visibility */}
+        <div className="flex items-center justify-between mb-3">
+          <label htmlFor="visibility" className="text-sm font-medium text-gray-700">
+            Visibility
+          </label>
+          <select
+            id="visibility"
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            disabled={loading}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            <option value={ROOM_VISIBILITY.PUBLIC}>🌐 Public</option>
+            <option value={ROOM_VISIBILITY.UNLISTED}>👻 Unlisted (code/link only)</option>
+            <option value={ROOM_VISIBILITY.PASSWORD}>🔑 Password protected</option>
+          </select>
+        </div>
+
+        {visibility === ROOM_VISIBILITY.PASSWORD && (
+          <input
+            type="password"
+            value={roomPassword}
+            onChange={(e) => setRoomPassword(e.target.value)}
+            placeholder={`Room password (min ${ROOM_CONFIG.MIN_PASSWORD_LENGTH} characters)`}
+            disabled={loading}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm mb-3"
+          />
+        )}
+
+        {/* Room Capacity */}
+        <div className="flex items-center justify-between mb-3">
+          <label htmlFor="maxMembers" className="text-sm font-medium text-gray-700">
+            Max players
+          </label>
+          <select
+            id="maxMembers"
+            value={maxMembers}
+            onChange={(e) => setMaxMembers(Number(e.target.value))}
+            disabled={loading}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {Array.from(
+              { length: ROOM_CONFIG.MAX_MEMBERS_LIMIT - ROOM_CONFIG.MIN_MEMBERS_LIMIT + 1 },
+              (_, i) => ROOM_CONFIG.MIN_MEMBERS_LIMIT + i
+            ).map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Spectator Capacity */}
+        <div className="flex items-center justify-between mb-3">
+          <label htmlFor="maxSpectators" className="text-sm font-medium text-gray-700">
+            Max spectators
+          </label>
+          <select
+            id="maxSpectators"
+            value={maxSpectators}
+            onChange={(e) => setMaxSpectators(Number(e.target.value))}
+            disabled={loading}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {SPECTATOR_LIMIT_OPTIONS.map((count) => (
+              <option key={count} value={count}>{count === 0 ? 'None' : count}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Host Succession Policy */}
+        <div className="flex items-center justify-between mb-3">
+          <label htmlFor="successionPolicy" className="text-sm font-medium text-gray-700">
+            Next host
+          </label>
+          <select
+            id="successionPolicy"
+            value={successionPolicy}
+            onChange={(e) => setSuccessionPolicy(e.target.value)}
+            disabled={loading}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {Object.entries(SUCCESSION_POLICY_LABELS).map(([policy, label]) => (
+              <option key={policy} value={policy}>{label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Create Room Button */}
         <button
           onClick={handleCreateRoom}
           disabled={loading || !isConnected}
-          className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold py-4 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed mb-6"
+          className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold py-4 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed mb-3"
         >
           {loading ? 'Creating...' : '+ Create New Room'}
         </button>
 
+        {/* Join by Code (works for unlisted rooms too) */}
+        <form onSubmit={handleJoinByCode} className="flex gap-2 mb-6">
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Room code, e.g. XY7Z9A"
+            maxLength={6}
+            disabled={loading || !isConnected}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 font-mono uppercase"
+          />
+          <button
+            type="submit"
+            disabled={loading || !isConnected || !joinCode.trim()}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Join
+          </button>
+          <button
+            type="button"
+            onClick={(e) => handleJoinByCode(e, true)}
+            disabled={loading || !isConnected || !joinCode.trim()}
+            className="bg-gray-500 hover:bg-gray-600 text-white font-semibold px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Watch
+          </button>
+        </form>
+
         {/* All Rooms List */}
         <div>
           <h3 className="font-semibold text-gray-700 mb-3 flex items-center justify-between">
@@ -187,9 +436,14 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
               {activeRooms.map((room) => {
                 const members = room.members || {};
                 const membersList = Object.entries(members);
-                const onlineCount = membersList.filter(([, m]) => m.status === 'online').length;
-                const awayCount = membersList.filter(([, m]) => m.status === 'away').length;
-                const isClosed = room.isClosed || room.roomStatus === 'closed';
+                // Seats are counted for players only; spectators have their own limit
+                const playersList = getPlayerEntries(members);
+                const onlineCount = playersList.filter(([, m]) => getMemberStatus(m) === 'online').length;
+                const awayCount = playersList.filter(([, m]) => getMemberStatus(m) === 'away').length;
+                const spectatorCount = getSpectatorEntries(members).filter(([, m]) => getMemberStatus(m) !== 'offline').length;
+                const isClosed = isRoomClosed(room);
+                const maxMembers = room.maxMembers || ROOM_CONFIG.DEFAULT_MAX_MEMBERS;
+                const isFull = !isClosed && onlineCount + awayCount >= maxMembers;
                 const isOpen = !isClosed;
 
                 return (
@@ -219,16 +473,30 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
                           }`}>
                             {isClosed ? '🔒 CLOSED' : '🟢 OPEN'}
                           </span>
+                          {room.visibility === ROOM_VISIBILITY.PASSWORD && (
+                            <span className="text-xs font-semibold px-2.5 py-1 rounded-full bg-purple-100 text-purple-700">
+                              🔑 PASSWORD
+                            </span>
+                          )}
+                          {isFull && (
+                            <span className="text-xs font-semibold px-2.5 py-1 rounded-full bg-orange-100 text-orange-700">
+                              FULL
+                            </span>
+                          )}
                         </div>
 
                         <div className="flex items-center gap-4 text-xs text-gray-600">
                           <span className="font-medium">👥 {membersList.length} member{membersList.length !== 1 ? 's' : ''}</span>
                           {!isClosed && (
                             <>
+                              <span className="font-medium">🪑 {onlineCount + awayCount}/{maxMembers}</span>
                               <span className="text-green-600 font-medium">✓ {onlineCount} online</span>
                               {awayCount > 0 && (
                                 <span className="text-yellow-600 font-medium">⏸ {awayCount} away</span>
                               )}
+                              {spectatorCount > 0 && (
+                                <span className="text-gray-500 font-medium">👀 {spectatorCount} watching</span>
+                              )}
                             </>
                           )}
                         </div>
@@ -243,7 +511,7 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
                       <div className="text-right ml-4">
                         <div className="text-xs text-gray-500 space-y-1">
                           {membersList.slice(0, 3).map(([memberId, memberData]) => {
-                            const status = memberData.status || 'offline';
+                            const status = getMemberStatus(memberData) || 'offline';
                             const dotColor = status === 'online' ? 'bg-green-500' :
                                            status === 'away' ? 'bg-yellow-500' : 'bg-gray-400';
 
@@ -277,6 +545,18 @@ export default function CreateRoom({ user, onRoomCreated, onRoomJoined }) {
                         >
                           → Click to Join
                         </button>
+                        {(room.maxSpectators ?? ROOM_CONFIG.DEFAULT_MAX_SPECTATORS) > 0 && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (!loading) handleJoinRoom(room.roomId, { asSpectator: true });
+                            }}
+                            disabled={loading}
+                            className="ml-4 text-xs text-gray-600 font-semibold hover:text-gray-700"
+                          >
+                            👀 Watch
+                          </button>
+                        )}
                       </div>
                     )}
                   </div>
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { loadGameHistoryPage, loadProfileStats } from '../services/gameHistory';
+
+// createGameRoom stores the creator as "admin"; everywhere else they are the host
+const ROLE_LABELS = {
+  admin: 'Host',
+  host: 'Host',
+  'co-host': 'Co-host',
+  player: 'Player',
+  spectator: 'Spectator'
+};
+
+const formatDuration = (ms) => {
+  if (typeof ms !== 'number') return '—';
+
+  const totalMinutes = Math.round(ms / 60000);
+  if (totalMinutes < 1) return '< 1 min';
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes} min`;
+};
+
+const formatDate = (timestamp) =>
+  timestamp ? timestamp.toDate().toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const describeOutcome = (game) => {
+  if (!game.closed_at) return { text: 'In progress', className: 'text-green-600' };
+  if (game.removed) return { text: 'Removed by host', className: 'text-red-600' };
+  return { text: game.close_reason || 'Closed', className: 'text-gray-600' };
+};
+
+export default function GameHistory({ user, onBack }) {
+  const [games, setGames] = useState([]);
+  const [lastDoc, setLastDoc] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+
+    Promise.all([loadGameHistoryPage(user.uid), loadProfileStats(user.uid)])
+      .then(([page, profileStats]) => {
+        setGames(page.games);
+        setLastDoc(page.lastDoc);
+        setHasMore(page.hasMore);
+        setStats(profileStats);
+      })
+      .catch((err) => {
+        console.error('Error loading history:', err);
+        setError('Could not load your game history');
+      })
+      .finally(() => setLoading(false));
+  }, [user.uid]);
+
+  const handleLoadMore = async () => {
+    setLoading(true);
+    try {
+      const page = await loadGameHistoryPage(user.uid, { after: lastDoc });
+      setGames((previous) => [...previous, ...page.games]);
+      setLastDoc(page.lastDoc);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      console.error('Error loading more games:', err);
+      setError('Could not load more games');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">My Games</h1>
+            <p className="text-sm text-gray-600">User: {user.uid.substring(0, 8)}...</p>
+          </div>
+          <button
+            onClick={onBack}
+            className="text-sm text-gray-500 hover:text-gray-700 underline"
+          >
+            ← Lobby
+          </button>
+        </div>
+
+        {/* Profile */}
+        <div className="grid grid-cols-3 gap-2 mb-6 text-center">
+          <div className="bg-blue-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-blue-700">{stats ? stats.gamesPlayed : '—'}</div>
+            <div className="text-xs text-gray-600">Games played</div>
+          </div>
+          <div className="bg-purple-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-purple-700">{stats ? stats.gamesHosted : '—'}</div>
+            <div className="text-xs text-gray-600">Games hosted</div>
+          </div>
+          <div className="bg-green-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-green-700">{stats ? formatDuration(stats.totalTimeMs) : '—'}</div>
+            <div className="text-xs text-gray-600">Total time</div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        {/* History */}
+        {!loading && games.length === 0 && !error ? (
+          <div className="text-center text-sm text-gray-400 py-8">No games yet. Create or join a room!</div>
+        ) : (
+          <div className="space-y-2">
+            {games.map((game) => {
+              const outcome = describeOutcome(game);
+              return (
+                <div key={game.gameId} className="p-3 border-2 border-gray-200 rounded-lg">
+                  <div className="flex justify-between items-center">
+                    <span className="font-mono font-bold text-gray-800">{game.roomId}</span>
+                    <span className="text-xs font-semibold text-gray-600">
+                      {ROLE_LABELS[game.final_role || game.role] || game.final_role || game.role}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{formatDate(game.created_at)}</span>
+                    <span>{formatDuration(game.time_in_room_ms)}</span>
+                  </div>
+                  <div className={`text-xs mt-1 ${outcome.className}`}>{outcome.text}</div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {loading && (
+          <div className="text-center text-sm text-gray-500 py-4">Loading...</div>
+        )}
+
+        {hasMore && !loading && (
+          <button
+            onClick={handleLoadMore}
+            className="w-full mt-4 bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 rounded-lg transition duration-200"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
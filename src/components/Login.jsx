@@ -1,15 +1,21 @@
 import { useState } from 'react';
-import { signInAnonymous } from '../services/auth';
+import { signInAnonymous, signInWithEmail, signUpWithEmail, signInWithGoogle, signOut } from '../services/auth';
+import ProfileForm from './ProfileForm';
 
-export default function Login() {
+// Two steps: sign in, then (first login only) choose how others see you.
+// App keeps showing this screen until the user has a profile.
+export default function Login({ user, initialError = '' }) {
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isNewAccount, setIsNewAccount] = useState(false);
 
-  const handleAnonymousLogin = async () => {
+  const runSignIn = async (signIn) => {
     setLoading(true);
     setError('');
     try {
-      await signInAnonymous();
+      await signIn();
     } catch (err) {
       setError(err.message);
     } finally {
@@ -17,6 +23,13 @@ export default function Login() {
     }
   };
 
+  const handleAnonymousLogin = () => runSignIn(signInAnonymous);
+
+  const handleEmailLogin = (e) => {
+    e.preventDefault();
+    runSignIn(() => (isNewAccount ? signUpWithEmail : signInWithEmail)(email.trim(), password));
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full">
@@ -33,13 +46,79 @@ export default function Login() {
           </div>
         )}
 
-        <button
-          onClick={handleAnonymousLogin}
-          disabled={loading}
-          className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          {loading ? 'Signing in...' : 'Sign in Anonymously'}
-        </button>
+        {user ? (
+          <>
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">Choose your name and avatar</h2>
+            <ProfileForm user={user} submitLabel="Continue" />
+            <button
+              onClick={() => signOut().catch((err) => setError(err.message))}
+              className="w-full mt-3 text-sm text-gray-500 hover:text-gray-700 underline"
+            >
+              Sign Out
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={handleAnonymousLogin}
+              disabled={loading}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Signing in...' : 'Sign in Anonymously'}
+            </button>
+            <p className="mt-2 text-xs text-gray-500 text-center">
+              Guests can save their account later without losing their games
+            </p>
+
+            <div className="flex items-center gap-3 my-6">
+              <div className="flex-1 border-t border-gray-200"></div>
+              <span className="text-xs text-gray-400">or</span>
+              <div className="flex-1 border-t border-gray-200"></div>
+            </div>
+
+            <form onSubmit={handleEmailLogin} className="space-y-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                required
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={isNewAccount ? 'Password (6+ characters)' : 'Password'}
+                minLength={isNewAccount ? 6 : undefined}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                required
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gray-800 hover:bg-gray-900 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isNewAccount ? 'Create account' : 'Sign in with email'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsNewAccount(!isNewAccount)}
+                className="w-full text-xs text-blue-600 hover:text-blue-700 underline"
+              >
+                {isNewAccount ? 'I already have an account' : 'New here? Create an account'}
+              </button>
+            </form>
+
+            <button
+              onClick={() => runSignIn(signInWithGoogle)}
+              disabled={loading}
+              className="w-full mt-3 bg-white border-2 border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Sign in with Google
+            </button>
+          </>
+        )}
 
         <div className="mt-8 text-xs text-gray-500 text-center">
           <p>This POC demonstrates Firebase RTDB presence detection</p>
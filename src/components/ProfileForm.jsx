@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { saveUserProfile } from '../services/profile';
+import { PROFILE_CONFIG } from '../config/profile';
+import { normalizeDisplayName, validateDisplayName, getDefaultAvatarColor } from '../utils/profile';
+import Avatar from './Avatar';
+
+export default function ProfileForm({ user, initialProfile, submitLabel = 'Save', onSaved, onCancel }) {
+  const [displayName, setDisplayName] = useState(initialProfile?.displayName || '');
+  const [color, setColor] = useState(initialProfile?.color || getDefaultAvatarColor(user.uid));
+  const [emoji, setEmoji] = useState(initialProfile?.emoji || null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const nameError = validateDisplayName(normalizeDisplayName(displayName));
+    if (nameError) {
+      setError(nameError);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const profile = await saveUserProfile(user.uid, { displayName, color, emoji });
+      onSaved?.(profile);
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center gap-3">
+        <Avatar name={displayName} color={color} emoji={emoji} size="lg" />
+        <div className="flex-1">
+          <label className="block text-sm font-semibold text-gray-700 mb-1">Display name</label>
+          <input
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            maxLength={PROFILE_CONFIG.MAX_NAME_LENGTH}
+            placeholder="How others see you"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            autoFocus
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-1">Color</label>
+        <div className="flex flex-wrap gap-2">
+          {PROFILE_CONFIG.AVATAR_COLORS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setColor(option)}
+              className={`w-8 h-8 rounded-full border-4 ${color === option ? 'border-gray-800' : 'border-transparent'}`}
+              style={{ backgroundColor: option }}
+              aria-label={`Color ${option}`}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-1">Emoji (optional)</label>
+        <div className="flex flex-wrap gap-1">
+          <button
+            type="button"
+            onClick={() => setEmoji(null)}
+            className={`px-2 h-8 rounded text-xs border-2 ${emoji === null ? 'border-gray-800' : 'border-gray-200'}`}
+          >
+            None
+          </button>
+          {PROFILE_CONFIG.AVATAR_EMOJIS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setEmoji(option)}
+              className={`w-8 h-8 rounded border-2 ${emoji === option ? 'border-gray-800' : 'border-gray-200'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg transition duration-200"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { subscribeToRoomEvents, ROOM_EVENT } from '../services/roomEvents';
+
+// Icon and description for each event type
+const EVENT_FORMATS = {
+  [ROOM_EVENT.ROOM_CREATED]: { icon: '🏁', describe: (e) => `Room created (${e.payload?.visibility || 'public'}, ${e.payload?.maxMembers || '?'} players)` },
+  [ROOM_EVENT.MEMBER_JOINED]: { icon: '➡️', describe: (e) => `${e.payload?.name || 'Someone'} ${e.payload?.rejoined ? 'rejoined' : 'joined'} as ${e.payload?.role || 'player'}` },
+  [ROOM_EVENT.MEMBER_LEFT]: { icon: '⬅️', describe: (e) => `${e.payload?.name || 'Someone'} left` },
+  [ROOM_EVENT.MEMBER_RENAMED]: { icon: '✏️', describe: (e) => `${e.payload?.previousName || 'Someone'} is now known as ${e.payload?.name}` },
+  [ROOM_EVENT.HOST_TRANSFERRED]: { icon: '👑', describe: (e) => `Host → ${e.payload?.toName || e.payload?.to} (${e.payload?.policy === 'manual' ? 'handoff' : `host ${e.payload?.previousHostStatus || 'left'}`})` },
+  [ROOM_EVENT.MEMBER_KICKED]: { icon: '🥾', describe: (e) => `Member kicked${e.payload?.reason ? `: ${e.payload.reason}` : ''}` },
+  [ROOM_EVENT.MEMBER_BANNED]: { icon: '⛔', describe: (e) => `Member banned${e.payload?.reason ? `: ${e.payload.reason}` : ''}` },
+  [ROOM_EVENT.AFK_TIMEOUT]: { icon: '💤', describe: () => 'Host did not respond to the AFK check' },
+  [ROOM_EVENT.ROOM_CLOSED]: { icon: '🔒', describe: (e) => e.payload?.closeReason || 'Room closed' }
+};
+
+export default function RoomTimeline({ roomId }) {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRoomEvents(roomId, setEvents);
+    return () => unsubscribe();
+  }, [roomId]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6 mt-4">
+      <h2 className="text-xl font-bold text-gray-800 mb-3">Room Timeline</h2>
+
+      {events.length === 0 ? (
+        <div className="text-sm text-gray-400">No events yet</div>
+      ) : (
+        <ol className="space-y-2 max-h-64 overflow-y-auto">
+          {[...events].reverse().map((event) => {
+            const format = EVENT_FORMATS[event.type] || { icon: '•', describe: () => event.type };
+            return (
+              <li key={event.id} className="flex items-start gap-3 text-sm">
+                <span>{format.icon}</span>
+                <span className="flex-1 text-gray-700">{format.describe(event)}</span>
+                <span className="text-xs text-gray-400 font-mono">
+                  {event.at ? new Date(event.at).toLocaleTimeString() : ''}
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -1,35 +1,60 @@
 import { useState, useEffect } from 'react';
-import { subscribeToRoom, leaveRoom, closeRoom } from '../services/room';
+import {
+  subscribeToRoom,
+  leaveRoom,
+  closeRoom,
+  getInviteLink,
+  kickMember,
+  banMember,
+  unbanMember,
+  setMemberMuted,
+  promoteToHost,
+  setCoHost,
+  setSuccessionOrder,
+  setMemberReady,
+  startGame,
+  cancelCountdown,
+  endGame,
+  returnToLobby,
+  updateMemberProfile,
+  ROOM_VISIBILITY
+} from '../services/room';
+import {
+  rankSuccessors,
+  SUCCESSION_POLICY,
+  SUCCESSION_POLICY_LABELS,
+  DEFAULT_SUCCESSION_POLICY
+} from '../utils/hostSuccession';
+import { ROOM_PHASE, ROOM_PHASE_LABELS, getReadyState } from '../utils/roomPhase';
+import { getSpectatorEntries } from '../utils/roomUtils';
+import { getMemberStatus, isRoomClosed } from '../utils/roomState';
 import { usePresence } from '../hooks/usePresence';
-import { useRoomMonitor } from '../hooks/useRoomMonitor';
-import { useRoomStatusUpdater } from '../hooks/useRoomStatusUpdater';
-import { useDisconnectMonitor } from '../hooks/useDisconnectMonitor';
-import { useHostTransfer } from '../hooks/useHostTransfer';
+import { useRoomSupervisor } from '../hooks/useRoomSupervisor';
+import { useGamePhase } from '../hooks/useGamePhase';
 import AfkCheckModal from './AfkCheckModal';
+import ChatPanel from './ChatPanel';
+import RoomTimeline from './RoomTimeline';
+import ProfileForm from './ProfileForm';
+import Avatar from './Avatar';
+import { logRoomEvent, ROOM_EVENT } from '../services/roomEvents';
 import { AFK_CONFIG } from '../config/afk';
 import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { GAME_CONFIG } from '../config/game';
 
-export default function RoomView({ roomId, user, onLeave }) {
+export default function RoomView({ roomId, user, profile, onLeave }) {
   const [roomData, setRoomData] = useState(null);
+  const [editingProfile, setEditingProfile] = useState(false);
   const { isConnected, latency } = usePresence(roomId, user.uid);
   const [showAfkModal, setShowAfkModal] = useState(false);
   const [afkCheckDismissed, setAfkCheckDismissed] = useState(false);
   const [isHost, setIsHost] = useState(false);
   const [timeUntilAutoClose, setTimeUntilAutoClose] = useState(null);
 
-  // Enable room monitoring for host (handles auto-close timing)
-  useRoomMonitor(roomId, user.uid, isHost);
+  // Room status, host succession and auto-close; one elected client writes them
+  const { newHostName } = useRoomSupervisor(roomId, user.uid);
 
-  // Enable automatic room status updates for ALL users
-  // This ensures room status updates even when host is offline
-  useRoomStatusUpdater(roomId);
-
-  // CRITICAL: Monitor disconnections and auto-close if all players offline
-  // This works even when browsers are completely closed!
-  useDisconnectMonitor(roomId);
-
-  // Monitor host status and transfer host when host leaves
-  const { newHostName, isHost: isHostFromTransfer } = useHostTransfer(roomId, user.uid);
+  // Follow the game phase and run the synchronized start countdown
+  const { phase, countdownRemaining } = useGamePhase(roomId, roomData?.game);
 
   // Calculate time until auto-close
   useEffect(() => {
@@ -73,6 +98,20 @@ export default function RoomView({ roomId, user, onLeave }) {
         return;
       }
 
+      // Check if current user was removed by the host
+      if (!data.members || !data.members[user.uid]) {
+        const ban = data.bans?.[user.uid];
+        const kick = data.kicks?.[user.uid];
+
+        if (ban || kick) {
+          const action = ban ? 'banned' : 'kicked';
+          const reason = (ban || kick).reason;
+          alert(`You were ${action} from this room${reason ? `: ${reason}` : '.'}`);
+          onLeave();
+          return;
+        }
+      }
+
       setRoomData(data);
 
       // Check if current user is host
@@ -82,7 +121,7 @@ export default function RoomView({ roomId, user, onLeave }) {
       }
 
       // Check if room was closed
-      if (data.roomStatus === 'closed' || data.status === 'closed') {
+      if (isRoomClosed(data)) {
         alert('Room is closed. Click back to see all rooms.');
         onLeave();
       }
@@ -112,6 +151,21 @@ export default function RoomView({ roomId, user, onLeave }) {
     return () => clearTimeout(afkTimer);
   }, [roomData, user.uid, afkCheckDismissed]);
 
+  // Live rename: copy profile changes (from this or another tab) into our member entry
+  const myEntry = roomData?.members?.[user.uid];
+  useEffect(() => {
+    if (!profile || !myEntry) return;
+
+    const isUpToDate = myEntry.name === profile.displayName &&
+      myEntry.color === profile.color &&
+      (myEntry.emoji || null) === profile.emoji;
+    if (isUpToDate) return;
+
+    updateMemberProfile(roomId, user.uid, profile).catch((err) => {
+      console.error('Error updating member profile:', err);
+    });
+  }, [roomId, user.uid, profile, myEntry?.name, myEntry?.color, myEntry?.emoji]);
+
   const handleLeave = async () => {
     try {
       await leaveRoom(roomId, user.uid);
@@ -127,6 +181,117 @@ export default function RoomView({ roomId, user, onLeave }) {
     alert('Room ID copied to clipboard!');
   };
 
+  // Hosts share a link with the invite token so recipients skip the password prompt
+  const copyInviteLink = async () => {
+    try {
+      const inviteLink = await getInviteLink(roomId, isHost);
+      await navigator.clipboard.writeText(inviteLink);
+      alert(isHost || roomData?.visibility !== ROOM_VISIBILITY.PASSWORD
+        ? 'Invite link copied to clipboard!'
+        : 'Invite link copied! Recipients will still need the room password.');
+    } catch (err) {
+      console.error('Error copying invite link:', err);
+      alert('Could not create invite link.');
+    }
+  };
+
+  // Host moderation actions
+  const handleModeration = async (action, memberId, memberName) => {
+    const reason = window.prompt(`Reason to ${action} ${memberName} (optional):`);
+    if (reason === null) return; // Cancelled
+
+    try {
+      const trimmedReason = reason.trim() || undefined;
+      if (action === 'kick') {
+        await kickMember(roomId, user.uid, memberId, trimmedReason);
+      } else if (action === 'ban') {
+        await banMember(roomId, user.uid, memberId, trimmedReason);
+      } else if (action === 'mute') {
+        await setMemberMuted(roomId, user.uid, memberId, true, trimmedReason);
+      }
+    } catch (err) {
+      console.error(`Error trying to ${action} member:`, err);
+      alert(err.message);
+    }
+  };
+
+  const handlePromoteToHost = async (memberId, memberName) => {
+    if (!window.confirm(`Make ${memberName} the host? You will become a regular player.`)) return;
+
+    try {
+      await promoteToHost(roomId, user.uid, memberId);
+    } catch (err) {
+      console.error('Error promoting member to host:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleSetCoHost = async (memberId, isCoHost) => {
+    try {
+      await setCoHost(roomId, user.uid, memberId, isCoHost);
+    } catch (err) {
+      console.error('Error updating co-host:', err);
+      alert(err.message);
+    }
+  };
+
+  // Move a member up (-1) or down (+1) in the explicit succession order
+  const handleMoveInSuccession = async (memberId, direction) => {
+    const order = successionRanking.map(([id]) => id);
+    const index = order.indexOf(memberId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+      await setSuccessionOrder(roomId, user.uid, order);
+    } catch (err) {
+      console.error('Error updating succession order:', err);
+      alert(err.message);
+    }
+  };
+
+  // Game phase actions
+  const handlePhaseAction = async (action) => {
+    try {
+      if (action === 'ready') {
+        await setMemberReady(roomId, user.uid, true);
+      } else if (action === 'unready') {
+        await setMemberReady(roomId, user.uid, false);
+      } else if (action === 'start') {
+        await startGame(roomId, user.uid);
+      } else if (action === 'cancel') {
+        await cancelCountdown(roomId, user.uid);
+      } else if (action === 'end') {
+        await endGame(roomId, user.uid);
+      } else if (action === 'lobby') {
+        await returnToLobby(roomId, user.uid);
+      }
+    } catch (err) {
+      console.error(`Error running game action ${action}:`, err);
+      alert(err.message);
+    }
+  };
+
+  const handleUnmute = async (memberId) => {
+    try {
+      await setMemberMuted(roomId, user.uid, memberId, false);
+    } catch (err) {
+      console.error('Error unmuting member:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleUnban = async (memberId) => {
+    try {
+      await unbanMember(roomId, user.uid, memberId);
+    } catch (err) {
+      console.error('Error unbanning member:', err);
+      alert(err.message);
+    }
+  };
+
   const handleAfkConfirm = () => {
     setShowAfkModal(false);
     setAfkCheckDismissed(true);
@@ -137,7 +302,8 @@ export default function RoomView({ roomId, user, onLeave }) {
     console.log('AFK timeout - closing room');
     setShowAfkModal(false);
     try {
-      await closeRoom(roomId);
+      await logRoomEvent(roomId, ROOM_EVENT.AFK_TIMEOUT, user.uid, { timeout: AFK_CONFIG.RESPONSE_TIMEOUT });
+      await closeRoom(roomId, 'Auto-closed: Host did not respond to AFK check', user.uid);
       alert('Room is closed. Click back to see all rooms.');
       onLeave();
     } catch (err) {
@@ -156,6 +322,26 @@ export default function RoomView({ roomId, user, onLeave }) {
 
   const members = roomData.members || {};
   const membersList = Object.entries(members);
+  const mutes = roomData.mutes || {};
+  const bannedList = Object.entries(roomData.bans || {});
+  const myMute = mutes[user.uid];
+  const isCoHost = members[user.uid]?.role === 'co-host';
+
+  // Who would become host next, using the same deterministic ranking as transferHost
+  const successionPolicy = roomData.successionPolicy || DEFAULT_SUCCESSION_POLICY;
+  const currentHostId = membersList.find(([, m]) => m.role === 'host')?.[0];
+  const successionRanking = rankSuccessors(members, currentHostId, successionPolicy, roomData.successionOrder);
+  const nextHost = successionRanking[0]?.[1];
+  const isPriorityOrder = successionPolicy === SUCCESSION_POLICY.PRIORITY_ORDER;
+
+  // Ready check
+  const me = members[user.uid];
+  const isSpectator = me?.role === 'spectator';
+  const isWatchOnly = isSpectator && !me?.lateJoin;
+  const spectatorCount = getSpectatorEntries(members).length;
+  const { readyCount, playerCount, allReady } = getReadyState(members);
+  const canStart = allReady && playerCount >= GAME_CONFIG.MIN_PLAYERS_TO_START;
+  const showReady = phase === ROOM_PHASE.LOBBY || phase === ROOM_PHASE.COUNTDOWN;
 
   // Format time until auto-close
   const formatTimeRemaining = (ms) => {
@@ -182,6 +368,19 @@ export default function RoomView({ roomId, user, onLeave }) {
           </div>
         )}
 
+        {/* Muted Notification */}
+        {myMute && (
+          <div className="bg-gray-700 text-white rounded-lg shadow-xl p-4 mb-4">
+            <div className="flex items-center gap-3">
+              <div className="text-3xl">🔇</div>
+              <div>
+                <div className="font-bold text-lg">You have been muted by the host</div>
+                {myMute.reason && <div className="text-sm">{myMute.reason}</div>}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Auto-close warning banner */}
         {timeUntilAutoClose !== null && (roomData.status === 'empty' || roomData.status === 'idle') && (
           <div className={`${roomData.status === 'empty' ? 'bg-red-600' : 'bg-orange-500'} text-white rounded-lg shadow-xl p-4 mb-4 animate-pulse`}>
@@ -222,6 +421,17 @@ export default function RoomView({ roomId, user, onLeave }) {
                 >
                   Copy
                 </button>
+                <button
+                  onClick={copyInviteLink}
+                  className="text-blue-500 hover:text-blue-600 text-sm underline"
+                >
+                  Copy Invite Link
+                </button>
+                {roomData.visibility && roomData.visibility !== ROOM_VISIBILITY.PUBLIC && (
+                  <span className="text-xs font-semibold px-2 py-1 rounded bg-purple-100 text-purple-700">
+                    {roomData.visibility === ROOM_VISIBILITY.PASSWORD ? '🔑 Password' : '👻 Unlisted'}
+                  </span>
+                )}
               </div>
             </div>
             <button
@@ -252,10 +462,101 @@ export default function RoomView({ roomId, user, onLeave }) {
           </div>
         </div>
 
+        {/* Game Phase */}
+        <div className="bg-white rounded-lg shadow-xl p-6 mb-4">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-bold text-gray-800">
+                {ROOM_PHASE_LABELS[phase] || phase}
+                {roomData.game?.round > 0 && (
+                  <span className="ml-2 text-sm font-normal text-gray-500">Round {roomData.game.round}</span>
+                )}
+              </h2>
+              {showReady && (
+                <div className="text-sm text-gray-600 mt-1">
+                  Ready: <span className="font-semibold">{readyCount}/{playerCount}</span>
+                  {playerCount < GAME_CONFIG.MIN_PLAYERS_TO_START && (
+                    <span className="text-gray-500"> (need {GAME_CONFIG.MIN_PLAYERS_TO_START} players)</span>
+                  )}
+                </div>
+              )}
+              {phase === ROOM_PHASE.COUNTDOWN && countdownRemaining !== null && (
+                <div className="text-4xl font-mono font-bold text-purple-600 mt-2">
+                  {Math.ceil(countdownRemaining / 1000)}
+                </div>
+              )}
+              {isWatchOnly && (
+                <div className="text-sm text-gray-500 mt-1">
+                  👀 You are spectating this room
+                </div>
+              )}
+              {isSpectator && me?.lateJoin && (
+                <div className="text-sm text-gray-500 mt-1">
+                  👀 Game in progress – you are spectating and will play from the next round
+                </div>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {showReady && !isSpectator && (
+                <button
+                  onClick={() => handlePhaseAction(me?.ready ? 'unready' : 'ready')}
+                  className={`${me?.ready ? 'bg-gray-400 hover:bg-gray-500' : 'bg-green-500 hover:bg-green-600'} text-white px-4 py-2 rounded-lg transition duration-200`}
+                >
+                  {me?.ready ? 'Not Ready' : "I'm Ready"}
+                </button>
+              )}
+              {isHost && phase === ROOM_PHASE.LOBBY && (
+                <button
+                  onClick={() => handlePhaseAction('start')}
+                  disabled={!canStart}
+                  className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg transition duration-200"
+                >
+                  Start Game
+                </button>
+              )}
+              {isHost && phase === ROOM_PHASE.COUNTDOWN && (
+                <button
+                  onClick={() => handlePhaseAction('cancel')}
+                  className="bg-orange-500 hover:bg-orange-600 text-white px-4 py-2 rounded-lg transition duration-200"
+                >
+                  Cancel
+                </button>
+              )}
+              {isHost && phase === ROOM_PHASE.IN_GAME && (
+                <button
+                  onClick={() => handlePhaseAction('end')}
+                  className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                >
+                  End Game
+                </button>
+              )}
+              {isHost && phase === ROOM_PHASE.RESULTS && (
+                <button
+                  onClick={() => handlePhaseAction('lobby')}
+                  className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                >
+                  Back to Lobby
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <ChatPanel
+          roomId={roomId}
+          user={user}
+          authorName={me?.name || 'Unknown'}
+          isMuted={!!myMute}
+          isHost={isHost}
+        />
+
         <div className="bg-white rounded-lg shadow-xl p-6">
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-xl font-bold text-gray-800">
-              Members ({membersList.length})
+              Members ({membersList.length - spectatorCount})
+              {spectatorCount > 0 && (
+                <span className="ml-2 text-sm font-normal text-gray-500">👀 {spectatorCount} spectating</span>
+              )}
             </h2>
             <div className="flex items-center gap-3">
               <div className="text-sm">
@@ -281,6 +582,17 @@ export default function RoomView({ roomId, user, onLeave }) {
             </div>
           </div>
 
+          {editingProfile && (
+            <div className="mb-4 p-4 border-2 border-blue-200 rounded-lg">
+              <ProfileForm
+                user={user}
+                initialProfile={profile}
+                onSaved={() => setEditingProfile(false)}
+                onCancel={() => setEditingProfile(false)}
+              />
+            </div>
+          )}
+
           {/* Player Statistics */}
           {roomData.stats && (
             <div className="mb-4 p-3 bg-gray-50 rounded-lg">
@@ -308,14 +620,28 @@ export default function RoomView({ roomId, user, onLeave }) {
             </div>
           )}
 
+          {/* Host Succession */}
+          <div className="mb-4 text-sm text-gray-600">
+            <span className="font-semibold text-gray-700">Next host:</span>{' '}
+            {nextHost ? nextHost.name : 'nobody available'}
+            <span className="text-xs text-gray-500"> ({SUCCESSION_POLICY_LABELS[successionPolicy] || successionPolicy})</span>
+          </div>
+
           <div className="space-y-3">
             {membersList.map(([memberId, memberData]) => {
-              const status = memberData.status || 'offline';
+              const status = getMemberStatus(memberData) || 'offline';
               const isOnline = status === 'online';
               const isAway = status === 'away';
               const isOffline = status === 'offline';
               const isCurrentUser = memberId === user.uid;
-              const isHost = memberData.role === 'host';
+              const isMemberHost = memberData.role === 'host';
+              const isMemberCoHost = memberData.role === 'co-host';
+              const isMemberSpectator = memberData.role === 'spectator';
+              const isMemberWatchOnly = isMemberSpectator && !memberData.lateJoin;
+              const isMuted = !!mutes[memberId];
+              // Co-hosts can moderate players, but not the host or other co-hosts
+              const canModerate = !isCurrentUser && (isHost || (isCoHost && !isMemberHost && !isMemberCoHost));
+              const successionIndex = successionRanking.findIndex(([id]) => id === memberId);
               const memberLatency = memberData.latency;
 
               // Status colors and labels
@@ -340,17 +666,51 @@ export default function RoomView({ roomId, user, onLeave }) {
                           isOnline || isAway ? 'animate-pulse' : ''
                         }`}
                       ></div>
+                      <Avatar name={memberData.name} color={memberData.color} emoji={memberData.emoji} />
                       <div>
                         <div className="font-semibold text-gray-800">
                           {memberData.name}
                           {isCurrentUser && (
-                            <span className="ml-2 text-sm text-blue-600">(You)</span>
+                            <>
+                              <span className="ml-2 text-sm text-blue-600">(You)</span>
+                              <button
+                                onClick={() => setEditingProfile(!editingProfile)}
+                                className="ml-1 text-xs text-blue-600 hover:text-blue-700 underline"
+                              >
+                                {editingProfile ? 'close' : 'edit'}
+                              </button>
+                            </>
                           )}
-                          {isHost && (
+                          {isMemberHost && (
                             <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
                               HOST
                             </span>
                           )}
+                          {isMemberCoHost && (
+                            <span className="ml-2 text-xs bg-indigo-100 text-indigo-800 px-2 py-1 rounded">
+                              CO-HOST
+                            </span>
+                          )}
+                          {isMemberSpectator && (
+                            <span className="ml-2 text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                              👀 SPECTATOR
+                            </span>
+                          )}
+                          {showReady && memberData.ready && (
+                            <span className="ml-2 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                              ✅ READY
+                            </span>
+                          )}
+                          {isPriorityOrder && successionIndex !== -1 && (
+                            <span className="ml-2 text-xs bg-purple-100 text-purple-800 px-2 py-1 rounded">
+                              #{successionIndex + 1} in line
+                            </span>
+                          )}
+                          {isMuted && (
+                            <span className="ml-2 text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded">
+                              🔇 MUTED
+                            </span>
+                          )}
                         </div>
                         <div className="text-sm text-gray-500">
                           ID: {memberId.substring(0, 8)}...
@@ -376,12 +736,87 @@ export default function RoomView({ roomId, user, onLeave }) {
                       </div>
                     </div>
                   </div>
+
+                  {/* Host Moderation Actions */}
+                  {canModerate && (
+                    <div className="flex gap-3 mt-3 pt-3 border-t border-gray-200 text-xs">
+                      {isMuted ? (
+                        <button onClick={() => handleUnmute(memberId)} className="text-gray-600 hover:text-gray-800 underline">
+                          Unmute
+                        </button>
+                      ) : (
+                        <button onClick={() => handleModeration('mute', memberId, memberData.name)} className="text-gray-600 hover:text-gray-800 underline">
+                          Mute
+                        </button>
+                      )}
+                      <button onClick={() => handleModeration('kick', memberId, memberData.name)} className="text-orange-600 hover:text-orange-700 underline">
+                        Kick
+                      </button>
+                      <button onClick={() => handleModeration('ban', memberId, memberData.name)} className="text-red-600 hover:text-red-700 underline">
+                        Ban
+                      </button>
+                      {isHost && isPriorityOrder && successionIndex !== -1 && (
+                        <>
+                          <button
+                            onClick={() => handleMoveInSuccession(memberId, -1)}
+                            disabled={successionIndex === 0}
+                            className="text-purple-600 hover:text-purple-700 disabled:opacity-30"
+                            title="Move up in succession order"
+                          >
+                            ▲
+                          </button>
+                          <button
+                            onClick={() => handleMoveInSuccession(memberId, 1)}
+                            disabled={successionIndex === successionRanking.length - 1}
+                            className="text-purple-600 hover:text-purple-700 disabled:opacity-30"
+                            title="Move down in succession order"
+                          >
+                            ▼
+                          </button>
+                        </>
+                      )}
+                      {isHost && !isMemberWatchOnly && (
+                        <>
+                          <button onClick={() => handleSetCoHost(memberId, !isMemberCoHost)} className="ml-auto text-indigo-600 hover:text-indigo-700 underline">
+                            {isMemberCoHost ? 'Remove Co-host' : 'Make Co-host'}
+                          </button>
+                          {!isOffline && (
+                            <button onClick={() => handlePromoteToHost(memberId, memberData.name)} className="text-purple-600 hover:text-purple-700 underline">
+                              👑 Make Host
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
               );
             })}
           </div>
+
+          {/* Banned Users (Host and Co-hosts) */}
+          {(isHost || isCoHost) && bannedList.length > 0 && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <div className="text-sm font-semibold text-red-700 mb-2">Banned ({bannedList.length})</div>
+              <div className="space-y-1">
+                {bannedList.map(([bannedId, ban]) => (
+                  <div key={bannedId} className="flex items-center justify-between text-xs text-red-700">
+                    <span>
+                      {ban.name || bannedId.substring(0, 8)}
+                      {ban.reason && <span className="text-red-500 italic"> – {ban.reason}</span>}
+                    </span>
+                    <button onClick={() => handleUnban(bannedId)} className="underline hover:text-red-800">
+                      Unban
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
+        <RoomTimeline roomId={roomId} />
+
         <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-6 mt-4">
           <h3 className="font-bold text-yellow-800 mb-2">POC Verification Steps:</h3>
           <ol className="text-sm text-yellow-700 space-y-2 list-decimal list-inside">
@@ -420,6 +855,7 @@ export default function RoomView({ roomId, user, onLeave }) {
                 onlineMemberCount: roomData.onlineMemberCount,
                 status: roomData.status,
                 roomStatus: roomData.roomStatus,
+                game: roomData.game,
                 stats: roomData.stats,
                 isHost: isHost,
                 closeReason: roomData.closeReason,
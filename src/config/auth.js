@@ -0,0 +1,15 @@
+/**
+ * Auth Configuration
+ * Where the app exchanges game backend sessions for Firebase custom tokens
+ */
+
+const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID || 'tiny-entertainment';
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+
+export const AUTH_CONFIG = {
+  // URL of the issueCustomToken Cloud Function (functions/index.js)
+  // Defaults to the functions emulator when VITE_USE_FIREBASE_EMULATORS is set
+  CUSTOM_TOKEN_URL: import.meta.env.VITE_CUSTOM_TOKEN_URL || (useEmulators
+    ? `http://127.0.0.1:5001/${projectId}/us-central1/issueCustomToken`
+    : `https://us-central1-${projectId}.cloudfunctions.net/issueCustomToken`)
+};
@@ -0,0 +1,19 @@
+/**
+ * Chat Configuration
+ * Controls room chat history size and message limits
+ */
+
+export const CHAT_CONFIG = {
+  // Number of messages kept per room; older ones are deleted so RTDB stays small
+  MAX_MESSAGES: 200,
+
+  // How far past MAX_MESSAGES a room may grow before it is trimmed
+  // Trimming in batches avoids a delete after every single message
+  TRIM_SLACK: 20,
+
+  // Messages loaded when opening the chat and per "load older" page
+  PAGE_SIZE: 50,
+
+  // Longest message a member can send (also enforced by database.rules.json)
+  MAX_MESSAGE_LENGTH: 500
+};
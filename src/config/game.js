@@ -0,0 +1,13 @@
+/**
+ * Game Configuration
+ * Controls the ready check and the lobby → game countdown
+ */
+
+export const GAME_CONFIG = {
+  // Length of the synchronized countdown between "Start Game" and the game starting
+  // Every client counts down to the same server-time deadline
+  COUNTDOWN_DURATION: 5 * 1000, // 5 seconds
+
+  // Minimum number of present, ready players needed to start
+  MIN_PLAYERS_TO_START: 2
+};
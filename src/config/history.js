@@ -0,0 +1,9 @@
+/**
+ * Game History Configuration
+ * Controls the "My Games" screen in the lobby
+ */
+
+export const HISTORY_CONFIG = {
+  // Games loaded per page (Users/{uid}/GameStats, newest first)
+  PAGE_SIZE: 10
+};
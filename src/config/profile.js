@@ -0,0 +1,28 @@
+/**
+ * Profile Configuration
+ * Controls display names and avatars chosen by players
+ */
+
+export const PROFILE_CONFIG = {
+  // Display name length (also enforced by database.rules.json for member entries)
+  MIN_NAME_LENGTH: 2,
+  MAX_NAME_LENGTH: 20,
+
+  // Avatar colors a player can pick from
+  AVATAR_COLORS: [
+    '#ef4444', // red
+    '#f97316', // orange
+    '#eab308', // yellow
+    '#22c55e', // green
+    '#14b8a6', // teal
+    '#3b82f6', // blue
+    '#8b5cf6', // violet
+    '#ec4899' // pink
+  ],
+
+  // Optional emoji shown next to the name
+  AVATAR_EMOJIS: ['😀', '😎', '🤖', '👻', '🐱', '🐶', '🦊', '🐸', '🐼', '🦄', '🔥', '⭐', '🎮', '🚀'],
+
+  // Names containing any of these (after undoing common letter substitutions) are refused
+  BLOCKED_WORDS: ['fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'asshole', 'bastard', 'whore', 'slut', 'nigger', 'faggot', 'retard']
+};
@@ -0,0 +1,26 @@
+/**
+ * Room Configuration
+ * Controls room capacity and join behaviour
+ */
+
+export const ROOM_CONFIG = {
+  // Default maximum number of present (online/away) members per room
+  // Used when the creator does not choose a capacity
+  DEFAULT_MAX_MEMBERS: 8,
+
+  // Smallest and largest capacity a creator can choose
+  MIN_MEMBERS_LIMIT: 2,
+  MAX_MEMBERS_LIMIT: 50,
+
+  // Spectators have their own capacity and never take a player seat
+  // 0 disables spectating for a room
+  DEFAULT_MAX_SPECTATORS: 10,
+  MAX_SPECTATORS_LIMIT: 100,
+
+  // Minimum length for password-protected rooms
+  MIN_PASSWORD_LENGTH: 4,
+
+  // How long a kicked member must wait before they can rejoin
+  // (banned members can never rejoin)
+  KICK_REJOIN_COOLDOWN: 60 * 1000 // 1 minute
+};
@@ -1,27 +1,55 @@
+import { ROOM_LIFECYCLE_DEFAULTS } from '../utils/roomState';
+
 /**
  * Room Monitor Configuration
  * Controls automatic room status tracking and termination
+ * The timeouts come from the room state rules shared with Cloud Functions, so
+ * the client and the server always close and delete rooms at the same time
  */
 
 export const ROOM_MONITOR_CONFIG = {
   // Time before auto-closing when room is EMPTY (all players offline)
   // This is fast to clean up abandoned rooms
-  EMPTY_AUTO_CLOSE_TIMEOUT: 3 * 1000, // 3 seconds
+  EMPTY_AUTO_CLOSE_TIMEOUT: ROOM_LIFECYCLE_DEFAULTS.EMPTY_AUTO_CLOSE_TIMEOUT, // 3 seconds
 
   // Time before auto-closing when room is IDLE (all players away/tab hidden)
   // This is slower to give players time to come back
-  IDLE_AUTO_CLOSE_TIMEOUT: 5 * 60 * 1000, // 5 minutes
+  IDLE_AUTO_CLOSE_TIMEOUT: ROOM_LIFECYCLE_DEFAULTS.IDLE_AUTO_CLOSE_TIMEOUT, // 5 minutes
 
   // Time to wait before DELETING a closed room from RTDB
   // This allows time to read close reason and final stats
-  DELETE_CLOSED_ROOM_AFTER: 30 * 1000, // 30 seconds
+  DELETE_CLOSED_ROOM_AFTER: ROOM_LIFECYCLE_DEFAULTS.DELETE_CLOSED_ROOM_AFTER, // 30 seconds
+
+  // Age after which a room nobody has open (steward lease lapsed this long) may
+  // be closed by lobby viewers who are not members. database.rules.json enforces
+  // this value and EMPTY_AUTO_CLOSE_TIMEOUT for such closes; keep them in sync
+  GHOST_ROOM_MIN_AGE: ROOM_LIFECYCLE_DEFAULTS.GHOST_ROOM_MIN_AGE, // 1 minute
+
+  // Closed rooms may be deleted this long after closedAt even before deleteAt
+  // (database.rules.json enforces it too)
+  CLOSED_ROOM_GRACE: ROOM_LIFECYCLE_DEFAULTS.CLOSED_ROOM_GRACE, // 1 minute
 
-  // How often to check room status (in milliseconds)
-  CHECK_INTERVAL: 30 * 1000, // 30 seconds
+  // Open rooms older than this are closed and deleted by the cleanupRooms function
+  MAX_ROOM_AGE: ROOM_LIFECYCLE_DEFAULTS.MAX_ROOM_AGE, // 1 hour
+
+  // Lease held by the room steward, the one client that writes room status,
+  // host transfers and auto-close. Renewed every half TTL; when the steward
+  // disconnects without a trace, another member takes over after this long.
+  // database.rules.json caps leases at 60 seconds
+  STEWARD_LEASE_TTL: 30 * 1000, // 30 seconds
+
+  // Lease held by the one client that deletes closed rooms (system/cleanerLeader).
+  // Renewed every half TTL and expired when the leader disconnects; a leader
+  // that vanishes without a trace is replaced after this long (60 seconds at most)
+  CLEANER_LEASE_TTL: 30 * 1000, // 30 seconds
 
   // Enable/disable automatic room monitoring
   ENABLED: true,
 
   // Enable/disable auto-close feature
   AUTO_CLOSE_ENABLED: true,
+
+  // Room status, auto-close and automatic host transfer are done by the
+  // roomLifecycle Cloud Functions; the client hooks only observe the room
+  SERVER_LIFECYCLE: import.meta.env.VITE_SERVER_ROOM_LIFECYCLE === 'true',
 };
@@ -1,23 +1,38 @@
 import { useState, useEffect } from 'react';
-import { onAuthStateChanged } from 'firebase/auth';
+import { onIdTokenChanged } from 'firebase/auth';
 import { auth } from '../config/firebase';
 
 /**
  * Custom hook to manage authentication state
- * @returns {Object} Authentication state and user
+ * Follows ID token changes rather than just sign-in/sign-out: linking an
+ * anonymous account keeps the same user object (and uid) but issues a new
+ * token, and the UI must re-render to drop the "guest" state. Custom claims
+ * (e.g. platformRole) also arrive with a new token.
+ * @returns {Object} Authentication state, user and custom claims
  */
 export function useAuth() {
   const [user, setUser] = useState(null);
+  const [claims, setClaims] = useState({});
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+    const unsubscribe = onIdTokenChanged(auth, async (currentUser) => {
+      let currentClaims = {};
+      if (currentUser) {
+        try {
+          currentClaims = (await currentUser.getIdTokenResult()).claims;
+        } catch (error) {
+          console.warn('🔐 [useAuth] Could not read token claims:', error.message);
+        }
+      }
+
       setUser(currentUser);
+      setClaims(currentClaims);
       setLoading(false);
     });
 
     return () => unsubscribe();
   }, []);
 
-  return { user, loading };
+  return { user, claims, loading };
 }
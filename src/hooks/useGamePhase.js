@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../config/firebase';
+import { beginRound } from '../services/room';
+import { ROOM_PHASE } from '../utils/roomPhase';
+
+/**
+ * Hook to follow the room's game phase and run the synchronized countdown
+ * The countdown deadline is in server time, so the local clock is corrected
+ * with .info/serverTimeOffset. When the countdown reaches zero every client
+ * asks to begin the round; the phase transaction lets only one of them win.
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} game - rooms/{roomId}/game from the room subscription
+ * @returns {Object} { phase: string, countdownRemaining: number|null }
+ */
+export function useGamePhase(roomId, game) {
+  const [serverTimeOffset, setServerTimeOffset] = useState(0);
+  const [countdownRemaining, setCountdownRemaining] = useState(null);
+  const beginRequestedRef = useRef(null);
+
+  const phase = game?.phase || ROOM_PHASE.LOBBY;
+  const countdownEndsAt = phase === ROOM_PHASE.COUNTDOWN ? game?.countdownEndsAt : null;
+
+  // Track the difference between the local clock and the server clock
+  useEffect(() => {
+    const offsetRef = ref(db, '.info/serverTimeOffset');
+    const unsubscribe = onValue(offsetRef, (snapshot) => {
+      setServerTimeOffset(snapshot.val() || 0);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!roomId || !countdownEndsAt) {
+      setCountdownRemaining(null);
+      return;
+    }
+
+    const tick = () => {
+      const remaining = Math.max(0, countdownEndsAt - (Date.now() + serverTimeOffset));
+      setCountdownRemaining(remaining);
+
+      // Only ask once per countdown
+      if (remaining === 0 && beginRequestedRef.current !== countdownEndsAt) {
+        beginRequestedRef.current = countdownEndsAt;
+        beginRound(roomId)
+          .then((started) => {
+            if (started) {
+              console.log('🎮 [useGamePhase] Round started in room:', roomId);
+            }
+          })
+          .catch((error) => {
+            console.error('🎮 [useGamePhase] Error starting round:', error);
+            beginRequestedRef.current = null; // Try again on the next tick
+          });
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 100);
+
+    return () => clearInterval(interval);
+  }, [roomId, countdownEndsAt, serverTimeOffset]);
+
+  return { phase, countdownRemaining };
+}
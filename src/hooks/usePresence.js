@@ -1,8 +1,12 @@
 import { useEffect, useState } from 'react';
-import { ref, onValue, onDisconnect, set, serverTimestamp, get } from 'firebase/database';
+import { ref, onValue, onDisconnect, push, set, serverTimestamp } from 'firebase/database';
 import { db } from '../config/firebase';
 import { PRESENCE_CONFIG } from '../config/presence';
 import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { batchUpdate } from '../services/writes';
+import { isSpectator, getPlayerEntries } from '../utils/roomUtils';
+import { getConnectionsStatus, removeConnection } from '../utils/roomState';
+import { buildRoomEventUpdate, ROOM_EVENT } from '../services/roomEvents';
 
 // Constants for member status
 const MEMBER_STATUS = {
@@ -19,6 +23,16 @@ const ROOM_STATUS = {
  * Custom hook to manage user presence in a room
  * This is THE CORE FEATURE of the POC
  *
+ * Every tab or device registers its own record under
+ * members/{userId}/connections/{connectionId} ({ state: online|away }) and
+ * removes it on disconnect. The member's status is derived from all of them:
+ * online while any connection is visible, away while all are hidden, offline
+ * once none is left. Closing or hiding one tab therefore never marks someone
+ * offline or away while another is still open. A disconnect removes the
+ * connection, and only the member's last connection also marks them offline;
+ * the onMemberConnectionsWritten Cloud Function corrects the status whenever
+ * the connections change under it.
+ *
  * @param {string} roomId - The room ID
  * @param {string} userId - The user ID
  * @returns {Object} Connection status and latency
@@ -30,31 +44,51 @@ export function usePresence(roomId, userId) {
   useEffect(() => {
     if (!roomId || !userId) return;
 
+    const memberPath = `rooms/${roomId}/members/${userId}`;
+
     // Reference to .info/connected - Firebase's built-in presence system
     const connectedRef = ref(db, '.info/connected');
+    const roomRef = ref(db, `rooms/${roomId}`);
+    const userPingRef = ref(db, `${memberPath}/lastPing`);
+    const userLatencyRef = ref(db, `${memberPath}/latency`);
+
+    // This tab's own presence record, kept for the lifetime of the hook
+    const connectionId = push(ref(db, `${memberPath}/connections`)).key;
+    const connectionRef = ref(db, `${memberPath}/connections/${connectionId}`);
+    const memberStatusRef = ref(db, `${memberPath}/status`);
+    const memberLastChangedRef = ref(db, `${memberPath}/lastChanged`);
+
+    // This member as last seen, to derive the status that goes with our writes
+    let latestMember = null;
+
+    // Write this connection's state, and the member's status if it changes with it
+    const writeConnection = (state) => {
+      const connections = { ...latestMember?.connections, [connectionId]: { state } };
+      const status = getConnectionsStatus(connections);
+
+      const updates = {
+        [`${memberPath}/connections/${connectionId}`]: { state, lastChanged: serverTimestamp() }
+      };
+      if (latestMember?.status !== status) {
+        updates[`${memberPath}/status`] = status;
+        updates[`${memberPath}/lastChanged`] = serverTimestamp();
+      }
 
-    // Reference to this user's status in the room
-    const userStatusRef = ref(db, `rooms/${roomId}/members/${userId}/status`);
-    const userLastChangedRef = ref(db, `rooms/${roomId}/members/${userId}/lastChanged`);
-    const userPingRef = ref(db, `rooms/${roomId}/members/${userId}/lastPing`);
-    const userLatencyRef = ref(db, `rooms/${roomId}/members/${userId}/latency`);
-
-    // Track room subscription for cleanup
-    let roomUnsubscribe = null;
+      return batchUpdate(updates, { label: 'usePresence:connection' }).catch((error) => {
+        console.error(`[usePresence] Failed to set connection ${connectionId} to ${state} for ${userId}:`, error);
+      });
+    };
 
     // Handle tab visibility changes
     const handleVisibilityChange = () => {
       if (document.hidden) {
-        // Tab is hidden - mark as away
-        set(userStatusRef, MEMBER_STATUS.AWAY);
-        set(userLastChangedRef, serverTimestamp());
+        // Tab is hidden - this connection is away
+        writeConnection(MEMBER_STATUS.AWAY);
       } else {
-        // Tab is visible - mark as online (if connected)
-        const connectedCheck = ref(db, '.info/connected');
-        onValue(connectedCheck, (snapshot) => {
+        // Tab is visible - this connection is online (if connected)
+        onValue(connectedRef, (snapshot) => {
           if (snapshot.val()) {
-            set(userStatusRef, MEMBER_STATUS.ONLINE);
-            set(userLastChangedRef, serverTimestamp());
+            writeConnection(MEMBER_STATUS.ONLINE);
           }
         }, { onlyOnce: true });
       }
@@ -63,96 +97,98 @@ export function usePresence(roomId, userId) {
     // Listen for visibility changes
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
-    const unsubscribe = onValue(connectedRef, async (snapshot) => {
+    // References for room closure onDisconnect handlers
+    const statusRef = ref(db, `rooms/${roomId}/status`);
+    const roomStatusRef = ref(db, `rooms/${roomId}/roomStatus`);
+    const closedAtRef = ref(db, `rooms/${roomId}/closedAt`);
+    const closeReasonRef = ref(db, `rooms/${roomId}/closeReason`);
+    const deleteAtRef = ref(db, `rooms/${roomId}/deleteAt`);
+
+    // Event log entry written by the server if this last member disconnects
+    const closeReason = 'Auto-closed: Last member disconnected';
+    const [[closeEventPath, closeEvent]] = Object.entries(
+      buildRoomEventUpdate(roomId, ROOM_EVENT.ROOM_CLOSED, null, { closeReason })
+    );
+    const closeEventRef = ref(db, closeEventPath);
+
+    // Subscribe to room changes to update onDisconnect behavior
+    const roomUnsubscribe = onValue(roomRef, (snap) => {
+      const room = snap.val();
+      if (!room) return;
+
+      const members = room.members || {};
+      latestMember = members[userId] || null;
+
+      // Not registered yet, or the member left the room
+      const connections = latestMember?.connections || {};
+      if (!connections[connectionId]) return;
+
+      // The last connection marks the member offline when it drops; with another tab
+      // or device still open, the status is left to the connections that remain
+      const isLastConnection = Object.keys(connections).length === 1;
+      if (isLastConnection) {
+        onDisconnect(memberStatusRef).set(MEMBER_STATUS.OFFLINE);
+        onDisconnect(memberLastChangedRef).set(serverTimestamp());
+      } else {
+        onDisconnect(memberStatusRef).cancel();
+        onDisconnect(memberLastChangedRef).cancel();
+      }
+
+      // The roomLifecycle Cloud Functions close the room when its last player leaves
+      if (ROOM_MONITOR_CONFIG.SERVER_LIFECYCLE) return;
+
+      // Spectators do not keep the room open: a spectator never closes the room
+      // on disconnect, and the last player closes it even if spectators remain.
+      // A player with another tab or device open is not leaving yet
+      const isWatching = isSpectator(latestMember);
+      const totalPlayers = getPlayerEntries(members).length;
+
+      // CRITICAL: Dynamically set or cancel room closure based on member count
+      if (!isWatching && totalPlayers === 1 && isLastConnection) {
+        // You're alone - set up auto-close on disconnect
+        // One update: database rules only accept the closing fields together
+        // with roomStatus going to closed. Each field is stored as its own
+        // handler, so the cancels below still clear them one by one
+        const deleteTime = Date.now() + ROOM_MONITOR_CONFIG.DELETE_CLOSED_ROOM_AFTER;
+        onDisconnect(roomRef).update({
+          status: ROOM_STATUS.CLOSED,
+          roomStatus: ROOM_STATUS.CLOSED,
+          closedAt: serverTimestamp(),
+          closeReason,
+          deleteAt: deleteTime
+        })
+          .then(() => onDisconnect(closeEventRef).set(closeEvent))
+          .catch((error) => {
+            // Refused until the room stats show this player alone; armed again on the next snapshot
+            console.warn(`[usePresence] Could not arm auto-close for room ${roomId}:`, error.message);
+          });
+      } else {
+        // Others are present - CANCEL auto-close handlers
+        // Cancel the close handlers - the room steward closes multi-player rooms
+        onDisconnect(statusRef).cancel();
+        onDisconnect(roomStatusRef).cancel();
+        onDisconnect(closedAtRef).cancel();
+        onDisconnect(closeReasonRef).cancel();
+        onDisconnect(deleteAtRef).cancel();
+        onDisconnect(closeEventRef).cancel();
+      }
+    });
+
+    const unsubscribe = onValue(connectedRef, (snapshot) => {
       const connected = snapshot.val();
       setIsConnected(connected);
 
       if (connected) {
-        // Check if tab is visible
-        const initialStatus = document.hidden ? MEMBER_STATUS.AWAY : MEMBER_STATUS.ONLINE;
-
-        // Increment online member count when joining (using get for atomic read)
-        const onlineCountRef = ref(db, `rooms/${roomId}/onlineMemberCount`);
-        const roomRef = ref(db, `rooms/${roomId}`);
-
-        // Get current count atomically and increment
-        const roomSnapshot = await get(roomRef);
-        const room = roomSnapshot.val();
-        const currentCount = (room?.onlineMemberCount || 0) + 1;
-        await set(onlineCountRef, currentCount);
-
-        console.log(`[usePresence] User ${userId} joined. Online count: ${currentCount}`);
-
-        // When connected, set status based on tab visibility
-        set(userStatusRef, initialStatus);
-        set(userLastChangedRef, serverTimestamp());
-
-        // When this client disconnects, automatically set status to 'offline'
-        // This is the magic of Firebase RTDB's onDisconnect()
-        onDisconnect(userStatusRef).set(MEMBER_STATUS.OFFLINE);
-        onDisconnect(userLastChangedRef).set(serverTimestamp());
-
-        // CRITICAL: Decrement online count when disconnecting
-        const decrementRef = ref(db, `rooms/${roomId}/onlineMemberCount`);
-
-        // References for room closure onDisconnect handlers
-        const statusRef = ref(db, `rooms/${roomId}/status`);
-        const roomStatusRef = ref(db, `rooms/${roomId}/roomStatus`);
-        const closedAtRef = ref(db, `rooms/${roomId}/closedAt`);
-        const closeReasonRef = ref(db, `rooms/${roomId}/closeReason`);
-        const deleteAtRef = ref(db, `rooms/${roomId}/deleteAt`);
-
-        // Always set up the counter decrement
-        onDisconnect(decrementRef).set(0); // Will be updated dynamically below
-
-        // Clean up previous room subscription if it exists (for reconnection scenarios)
-        if (roomUnsubscribe) {
-          roomUnsubscribe();
-        }
+        // When this client disconnects, drop its own connection (the room
+        // subscription adds the offline status if it is the member's last one)
+        onDisconnect(connectionRef).remove();
 
-        // Subscribe to room changes to dynamically update onDisconnect behavior
-        roomUnsubscribe = onValue(roomRef, (snap) => {
-          const room = snap.val();
-          if (!room) return;
-
-          const currentCount = room?.onlineMemberCount || 0;
-          const totalMembers = room?.members ? Object.keys(room.members).length : 1;
-
-          console.log(`[usePresence] Member count update for ${userId}: Total members = ${totalMembers}`);
-
-          // Update the decrement value
-          const newCount = Math.max(currentCount - 1, 0);
-          onDisconnect(decrementRef).set(newCount);
-
-          // CRITICAL: Dynamically set or cancel room closure based on member count
-          if (totalMembers === 1) {
-            // You're alone - set up auto-close on disconnect
-            console.log(`[usePresence] ${userId} is ALONE. Setting up auto-close on disconnect`);
-
-            onDisconnect(statusRef).set(ROOM_STATUS.CLOSED);
-            onDisconnect(roomStatusRef).set(ROOM_STATUS.CLOSED);
-            onDisconnect(closedAtRef).set(serverTimestamp());
-            onDisconnect(closeReasonRef).set('Auto-closed: Last member disconnected');
-
-            const deleteTime = Date.now() + ROOM_MONITOR_CONFIG.DELETE_CLOSED_ROOM_AFTER;
-            onDisconnect(deleteAtRef).set(deleteTime);
-          } else {
-            // Others are present - CANCEL auto-close handlers
-            console.log(`[usePresence] ${userId} is NOT alone (${totalMembers} total). Canceling auto-close handlers`);
-
-            // Cancel the close handlers - let useDisconnectMonitor handle multi-player scenarios
-            onDisconnect(statusRef).cancel();
-            onDisconnect(roomStatusRef).cancel();
-            onDisconnect(closedAtRef).cancel();
-            onDisconnect(closeReasonRef).cancel();
-            onDisconnect(deleteAtRef).cancel();
-          }
-        });
+        // CRITICAL: Set up a trigger to force room status check when THIS connection drops
+        // The room steward and the roomLifecycle Cloud Functions watch it
+        onDisconnect(ref(db, `rooms/${roomId}/lastDisconnectAt`)).set(serverTimestamp());
 
-        // CRITICAL: Set up a trigger to force room status check when THIS user disconnects
-        // This writes to a timestamp that other clients monitor
-        const disconnectTriggerRef = ref(db, `rooms/${roomId}/lastDisconnectAt`);
-        onDisconnect(disconnectTriggerRef).set(serverTimestamp());
+        // When connected, set this connection's state based on tab visibility
+        writeConnection(document.hidden ? MEMBER_STATUS.AWAY : MEMBER_STATUS.ONLINE);
       }
     });
 
@@ -184,13 +220,28 @@ export function usePresence(roomId, userId) {
 
     return () => {
       unsubscribe();
-      if (roomUnsubscribe) roomUnsubscribe();
+      roomUnsubscribe();
       if (pingInterval) clearInterval(pingInterval);
       document.removeEventListener('visibilitychange', handleVisibilityChange);
-      // Clean up: set status to offline when component unmounts
+      // Clean up: remove this connection when component unmounts; the member only
+      // goes offline if it was their last one
+      // The member may have been kicked/banned, so drop the pending disconnect
+      // writes rather than letting them recreate a partial member entry later
       if (userId && roomId) {
-        set(userStatusRef, MEMBER_STATUS.OFFLINE);
-        set(userLastChangedRef, serverTimestamp());
+        onDisconnect(connectionRef).cancel();
+        onDisconnect(memberStatusRef).cancel();
+        onDisconnect(memberLastChangedRef).cancel();
+
+        const remaining = removeConnection({ [userId]: latestMember || {} }, userId, connectionId)[userId];
+        const updates = { [`${memberPath}/connections/${connectionId}`]: null };
+        if (latestMember && !remaining.connections) {
+          updates[`${memberPath}/status`] = MEMBER_STATUS.OFFLINE;
+          updates[`${memberPath}/lastChanged`] = serverTimestamp();
+        }
+
+        batchUpdate(updates, { label: 'usePresence:leave' }).catch((error) => {
+          console.error(`[usePresence] Failed to remove connection ${connectionId} for ${userId}:`, error);
+        });
       }
     };
   }, [roomId, userId]);
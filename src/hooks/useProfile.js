@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { subscribeToUserProfile } from '../services/profile';
+
+/**
+ * Custom hook to follow the signed-in user's profile
+ * @param {Object|null} user - Firebase user
+ * @returns {Object} { profile, loading } - profile is null until the user has set one
+ */
+export function useProfile(user) {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user) {
+      setProfile(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToUserProfile(user.uid, (currentProfile) => {
+      setProfile(currentProfile);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user?.uid]);
+
+  return { profile, loading };
+}
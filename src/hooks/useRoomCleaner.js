@@ -1,71 +1,91 @@
-import { useEffect, useRef } from 'react';
-import { ref, onValue, remove, set } from 'firebase/database';
+import { useEffect, useState } from 'react';
+import { ref, onValue, query, orderByChild, equalTo } from 'firebase/database';
 import { db } from '../config/firebase';
+import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { holdLease } from '../services/lease';
+import { batchUpdate } from '../services/writes';
+import { createHolderId } from '../utils/lease';
+import { isClosedRoomDue, isRoomClosed } from '../utils/roomState';
 
-// Constants for room status
-const ROOM_STATUS = {
-  CLOSED: 'closed'
+const CLEANER_LEASE_PATH = 'system/cleanerLeader';
+
+/**
+ * Delete several rooms
+ * Deleted in one atomic multi-path update, together with their join secrets,
+ * grants and chat. The archiveDeletedRoom Cloud Function then archives each room
+ * to Firestore and removes its event log (clients may not write the archive).
+ *
+ * The fencing entry from the cleaner lease goes in the same update, so a client
+ * that has lost leadership without noticing yet cannot delete anything.
+ *
+ * @param {Array} rooms - [roomId, roomData] tuples
+ * @param {Object} fencing - Cleaner lease fence() result
+ * @param {string} label - Operation name for logs and errors
+ * @returns {Promise<string[]>} IDs of the rooms that were deleted
+ */
+const deleteRooms = async (rooms, fencing, label) => {
+  if (rooms.length === 0) return [];
+
+  const updates = { ...fencing };
+  rooms.forEach(([roomId]) => {
+    updates[`rooms/${roomId}`] = null;
+    updates[`roomSecrets/${roomId}`] = null;
+    updates[`roomGrants/${roomId}`] = null;
+    updates[`roomChats/${roomId}`] = null;
+  });
+
+  await batchUpdate(updates, { label });
+  return rooms.map(([roomId]) => roomId);
 };
 
 /**
  * Monitors all rooms and automatically deletes closed rooms after their deleteAt time
  * This ensures RTDB doesn't fill up with old room data
  *
- * OPTIMIZATION: Only ONE client acts as cleaner using leader election
+ * OPTIMIZATION: Only ONE client acts as cleaner, the holder of the
+ * system/cleanerLeader lease. Every signed-in tab competes for it; the lease is
+ * taken in a transaction, renewed every half CLEANER_LEASE_TTL and expired when
+ * the leader disconnects, and every deletion is fenced with its token.
+ *
+ * @param {string} userId - Current user's ID; the cleaner only runs while signed in
+ * @returns {Object} { isLeader: boolean, leader: { holderId, uid, since, expiresAt, token }|null }
  */
-export function useRoomCleaner() {
-  const isLeaderRef = useRef(false);
-  const leaderCheckIntervalRef = useRef(null);
+export function useRoomCleaner(userId) {
+  const [isLeader, setIsLeader] = useState(false);
+  const [leader, setLeader] = useState(null);
 
   useEffect(() => {
-    const cleanerLeaderRef = ref(db, 'system/cleanerLeader');
-    const myClientId = `client_${Math.random().toString(36).substr(2, 9)}_${Date.now()}`;
+    if (!userId) return;
+
+    const lease = holdLease(CLEANER_LEASE_PATH, {
+      holderId: createHolderId(userId),
+      uid: userId,
+      ttl: ROOM_MONITOR_CONFIG.CLEANER_LEASE_TTL,
+      label: 'RoomCleaner',
+      onChange: setIsLeader,
+      onHolderChange: setLeader
+    });
 
-    // Try to become the leader
-    const tryBecomeLeader = async () => {
-      onValue(cleanerLeaderRef, async (snapshot) => {
-        const currentLeader = snapshot.val();
-        const now = Date.now();
+    // Only the leader deletes, and only with a fence from its current lease (null otherwise)
+    const leaderFence = () => lease.fence();
 
-        // Become leader if no leader OR leader is stale (>60s old)
-        if (!currentLeader || (currentLeader.timestamp && now - currentLeader.timestamp > 60000)) {
-          console.log('[RoomCleaner] Becoming cleaner leader');
-          isLeaderRef.current = true;
-          await set(cleanerLeaderRef, {
-            clientId: myClientId,
-            timestamp: now
-          });
-        } else if (currentLeader.clientId === myClientId) {
-          isLeaderRef.current = true;
-        } else {
-          isLeaderRef.current = false;
-          console.log('[RoomCleaner] Another client is leader, standing by');
-        }
-      }, { onlyOnce: true });
-    };
+    // Database rules only let clients read the closed rooms this way, not all of rooms/
+    const closedRoomsQuery = query(ref(db, 'rooms'), orderByChild('roomStatus'), equalTo('closed'));
 
-    tryBecomeLeader();
-
-    // Refresh leader status every 30 seconds
-    leaderCheckIntervalRef.current = setInterval(async () => {
-      if (isLeaderRef.current) {
-        // Refresh timestamp to show we're alive
-        await set(cleanerLeaderRef, {
-          clientId: myClientId,
-          timestamp: Date.now()
-        });
-      } else {
-        // Check if we should become leader
-        tryBecomeLeader();
-      }
-    }, 30000);
+    // One pending deletion per closed room, replaced by every snapshot
+    const deletionTimers = new Map();
+    const clearDeletionTimers = () => {
+      deletionTimers.forEach((timer) => clearTimeout(timer));
+      deletionTimers.clear();
+    };
 
-    const roomsRef = ref(db, 'rooms');
+    // Listen to closed rooms
+    const unsubscribe = onValue(closedRoomsQuery, (snapshot) => {
+      clearDeletionTimers();
 
-    // Listen to all rooms
-    const unsubscribe = onValue(roomsRef, (snapshot) => {
       // OPTIMIZATION: Only leader performs cleanup
-      if (!isLeaderRef.current) {
+      const fencing = leaderFence();
+      if (!fencing) {
         console.log('[RoomCleaner] Not leader, skipping real-time cleanup');
         return;
       }
@@ -75,87 +95,85 @@ export function useRoomCleaner() {
       const rooms = snapshot.val();
       const now = Date.now();
 
-      // Fix async forEach anti-pattern - use Promise.all
-      const deletionPromises = Object.entries(rooms).map(async ([roomId, roomData]) => {
-        // Skip if room doesn't have deleteAt timestamp
-        if (!roomData.deleteAt) return;
+      const dueRooms = [];
+
+      Object.entries(rooms).forEach(([roomId, roomData]) => {
+        // Skip open rooms and rooms without a deleteAt timestamp
+        if (!roomData.deleteAt || !isRoomClosed(roomData)) return;
 
         const deleteTime = roomData.deleteAt;
         const timeUntilDeletion = deleteTime - now;
 
         // If it's time to delete (or past time)
-        if (timeUntilDeletion <= 0) {
+        if (isClosedRoomDue(roomData, now, ROOM_MONITOR_CONFIG)) {
           console.log(`[RoomCleaner] Deleting room ${roomId} NOW (scheduled for ${new Date(deleteTime).toLocaleTimeString()})`);
-
-          try {
-            const roomRef = ref(db, `rooms/${roomId}`);
-            await remove(roomRef);
-            console.log(`[RoomCleaner] ✅ Room ${roomId} deleted successfully`);
-          } catch (error) {
-            console.error(`[RoomCleaner] ❌ Error deleting room ${roomId}:`, error);
-          }
+          dueRooms.push([roomId, roomData]);
         } else {
           // Schedule deletion
           const secondsRemaining = Math.round(timeUntilDeletion / 1000);
           console.log(`[RoomCleaner] Room ${roomId} scheduled for deletion in ${secondsRemaining}s`);
 
-          setTimeout(async () => {
+          deletionTimers.set(roomId, setTimeout(async () => {
+            deletionTimers.delete(roomId);
+
+            // Leadership may have moved on while waiting
+            const scheduledFencing = leaderFence();
+            if (!scheduledFencing) return;
+
             try {
               console.log(`[RoomCleaner] Deleting room ${roomId} after timeout`);
-              const roomRef = ref(db, `rooms/${roomId}`);
-              await remove(roomRef);
+              await deleteRooms([[roomId, roomData]], scheduledFencing, 'RoomCleaner:scheduled');
               console.log(`[RoomCleaner] ✅ Room ${roomId} deleted successfully (timeout)`);
             } catch (error) {
               console.error(`[RoomCleaner] ❌ Error deleting room ${roomId}:`, error);
             }
-          }, timeUntilDeletion);
+          }, timeUntilDeletion));
         }
       });
 
-      // Wait for all deletion operations
-      Promise.all(deletionPromises).catch(err => {
-        console.error('[RoomCleaner] Error in deletion batch:', err);
-      });
+      // Delete every due room in a single atomic update
+      deleteRooms(dueRooms, fencing, 'RoomCleaner:realtime')
+        .then((deletedRoomIds) => {
+          if (deletedRoomIds.length > 0) {
+            console.log(`[RoomCleaner] ✅ Deleted ${deletedRoomIds.length} room(s): ${deletedRoomIds.join(', ')}`);
+          }
+        })
+        .catch((error) => {
+          console.error('[RoomCleaner] ❌ Error in deletion batch:', error);
+        });
     });
 
     // Also run a periodic cleanup every 30 seconds to catch any missed deletions
     const cleanupInterval = setInterval(() => {
       // OPTIMIZATION: Only leader performs cleanup
-      if (!isLeaderRef.current) {
+      if (!leaderFence()) {
         console.log('[RoomCleaner] Not leader, skipping periodic cleanup');
         return;
       }
 
-      onValue(roomsRef, (snapshot) => {
-        if (!snapshot.exists()) return;
+      onValue(closedRoomsQuery, (snapshot) => {
+        const fencing = leaderFence();
+        if (!fencing || !snapshot.exists()) return;
 
         const rooms = snapshot.val();
         const now = Date.now();
 
-        // Fix async forEach anti-pattern - use Promise.all
-        const cleanupPromises = Object.entries(rooms).map(async ([roomId, roomData]) => {
-          // Delete if: room is closed AND (has deleteAt in past OR has been closed for >1 minute without deleteAt)
-          const isClosed = roomData.status === ROOM_STATUS.CLOSED || roomData.roomStatus === ROOM_STATUS.CLOSED;
-          const hasOldDeleteTime = roomData.deleteAt && roomData.deleteAt < now;
-          const closedLongAgo = roomData.closedAt && (now - roomData.closedAt > 60000); // 1 minute
+        // Same condition as the database rules and cleanupRooms: deleteAt passed,
+        // or closed for longer than CLOSED_ROOM_GRACE
+        const staleRooms = Object.entries(rooms)
+          .filter(([, roomData]) => isClosedRoomDue(roomData, now, ROOM_MONITOR_CONFIG));
 
-          if (isClosed && (hasOldDeleteTime || closedLongAgo)) {
-            console.log(`[RoomCleaner] Periodic cleanup: Deleting stale room ${roomId}`);
+        if (staleRooms.length === 0) return;
 
-            try {
-              const roomRef = ref(db, `rooms/${roomId}`);
-              await remove(roomRef);
-              console.log(`[RoomCleaner] ✅ Stale room ${roomId} deleted`);
-            } catch (error) {
-              console.error(`[RoomCleaner] ❌ Error deleting stale room ${roomId}:`, error);
-            }
-          }
-        });
+        console.log(`[RoomCleaner] Periodic cleanup: Deleting stale rooms ${staleRooms.map(([roomId]) => roomId).join(', ')}`);
 
-        // Wait for all cleanup operations
-        Promise.all(cleanupPromises).catch(err => {
-          console.error('[RoomCleaner] Error in periodic cleanup batch:', err);
-        });
+        deleteRooms(staleRooms, fencing, 'RoomCleaner:periodic')
+          .then((deletedRoomIds) => {
+            console.log(`[RoomCleaner] ✅ ${deletedRoomIds.length} stale room(s) deleted`);
+          })
+          .catch((error) => {
+            console.error('[RoomCleaner] ❌ Error in periodic cleanup batch:', error);
+          });
       }, { onlyOnce: true });
     }, 30000); // Every 30 seconds
 
@@ -163,9 +181,12 @@ export function useRoomCleaner() {
       console.log('[RoomCleaner] Stopping room cleaner service');
       unsubscribe();
       clearInterval(cleanupInterval);
-      if (leaderCheckIntervalRef.current) {
-        clearInterval(leaderCheckIntervalRef.current);
-      }
+      clearDeletionTimers();
+      lease.release();
+      setIsLeader(false);
+      setLeader(null);
     };
-  }, []);
+  }, [userId]);
+
+  return { isLeader, leader };
 }
@@ -0,0 +1,178 @@
+import { useEffect, useRef, useState } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../config/firebase';
+import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { holdLease } from '../services/lease';
+import { closeRoom, transferHost } from '../services/room';
+import { batchUpdate } from '../services/writes';
+import { createHolderId } from '../utils/lease';
+import { decideRoomActions, isRoomClosed } from '../utils/roomState';
+
+// How long the new-host notice stays visible
+const NEW_HOST_NOTICE_MS = 5000;
+
+/**
+ * Supervise a room: status and stats, automatic host transfer and auto-close
+ *
+ * Every client in the room runs this hook on one subscription to rooms/{roomId}
+ * and feeds each snapshot to decideRoomActions. Only the room steward writes the
+ * result: the client holding the lease at rooms/{roomId}/steward. Every open
+ * room view competes for it, so when the steward leaves another client takes
+ * over. The only other timer is the one for the next auto-close deadline.
+ *
+ * With ROOM_MONITOR_CONFIG.SERVER_LIFECYCLE on, the roomLifecycle Cloud
+ * Functions make these writes and the hook only observes, without a lease.
+ *
+ * @param {string} roomId - The room ID to supervise
+ * @param {string} currentUserId - The current user's ID
+ * @returns {Object} { newHostName: string|null, isHost: boolean, isSteward: boolean }
+ */
+export function useRoomSupervisor(roomId, currentUserId) {
+  const [newHostName, setNewHostName] = useState(null);
+  const [isHost, setIsHost] = useState(false);
+  const [isSteward, setIsSteward] = useState(false);
+  const previousHostRef = useRef(null);
+
+  useEffect(() => {
+    if (!roomId || !currentUserId) return;
+
+    const roomRef = ref(db, `rooms/${roomId}`);
+    // One per tab, so two tabs of the same user never both steward the room
+    const holderId = createHolderId(currentUserId);
+    let stewardLease = null;
+    let holdsLease = false;
+    let latestRoom = null;
+    let checkTimer = null;
+    let noticeTimer = null;
+    let writeInProgress = false;
+    let rerunAfterWrite = false;
+    let stopped = false;
+
+    // Report host changes, automatic or a manual handoff
+    const observeHost = (roomData) => {
+      const hostEntry = Object.entries(roomData.members || {}).find(([, member]) => member.role === 'host');
+      if (!hostEntry) return;
+
+      const [hostId, hostData] = hostEntry;
+      setIsHost(hostId === currentUserId);
+
+      if (previousHostRef.current === null) {
+        previousHostRef.current = hostId;
+        return;
+      }
+
+      if (hostId !== previousHostRef.current) {
+        console.log('👑 [RoomSupervisor] Host changed from', previousHostRef.current, 'to', hostId);
+        previousHostRef.current = hostId;
+        setNewHostName(hostData.name);
+
+        clearTimeout(noticeTimer);
+        noticeTimer = setTimeout(() => setNewHostName(null), NEW_HOST_NOTICE_MS);
+      }
+    };
+
+    const supervise = async () => {
+      clearTimeout(checkTimer);
+      checkTimer = null;
+
+      const roomData = latestRoom;
+      if (!roomData || stopped) return;
+
+      if (!holdsLease) return;
+
+      const { updates, hostTransfer, closeReason, nextCheckAt } = decideRoomActions(roomData, Date.now(), ROOM_MONITOR_CONFIG);
+
+      if (nextCheckAt) {
+        checkTimer = setTimeout(supervise, Math.max(0, nextCheckAt - Date.now()) + 100);
+      }
+
+      // Snapshots arriving mid-write (including our own write) are decided once it finishes
+      if (writeInProgress) {
+        rerunAfterWrite = true;
+        return;
+      }
+
+      // Every write carries the lease token; the rules reject it once a newer steward
+      // holds the lease, so a tab that lost the lease without noticing writes nothing
+      const fencing = stewardLease?.fence();
+      if (!fencing) return;
+      writeInProgress = true;
+
+      try {
+        if (closeReason) {
+          console.log(`[RoomSupervisor] ${closeReason}`);
+          await closeRoom(roomId, closeReason, null, fencing);
+          return;
+        }
+
+        if (Object.keys(updates).length > 0) {
+          const roomUpdates = Object.fromEntries(
+            Object.entries(updates).map(([field, value]) => [`rooms/${roomId}/${field}`, value])
+          );
+          await batchUpdate({ ...roomUpdates, ...fencing }, { label: 'RoomSupervisor:status' });
+        }
+
+        if (hostTransfer) {
+          console.log(`👑 [RoomSupervisor] Host ${hostTransfer.from} left, transferring to ${hostTransfer.to}`);
+          await transferHost(roomId, hostTransfer.from, null, fencing);
+        }
+      } catch (error) {
+        console.error(`[RoomSupervisor] Error supervising room ${roomId}:`, error);
+        // A rejected write is rolled back locally; retrying it right away would loop
+        rerunAfterWrite = false;
+      } finally {
+        writeInProgress = false;
+        if (rerunAfterWrite) {
+          rerunAfterWrite = false;
+          supervise();
+        }
+      }
+    };
+
+    // Compete for the steward lease while this member is in an open room
+    const updateStewardLease = (roomData) => {
+      const wantsLease = !ROOM_MONITOR_CONFIG.SERVER_LIFECYCLE &&
+        !!roomData?.members?.[currentUserId] &&
+        !isRoomClosed(roomData);
+
+      if (wantsLease && !stewardLease) {
+        stewardLease = holdLease(`rooms/${roomId}/steward`, {
+          holderId,
+          uid: currentUserId,
+          ttl: ROOM_MONITOR_CONFIG.STEWARD_LEASE_TTL,
+          label: 'RoomSteward',
+          onChange: (held) => {
+            holdsLease = held;
+            setIsSteward(held);
+            if (held) supervise();
+          }
+        });
+      } else if (!wantsLease && stewardLease) {
+        stewardLease.release();
+        stewardLease = null;
+        holdsLease = false;
+        setIsSteward(false);
+      }
+    };
+
+    const unsubscribe = onValue(roomRef, (snapshot) => {
+      latestRoom = snapshot.val();
+      updateStewardLease(latestRoom);
+      if (!latestRoom) return;
+
+      observeHost(latestRoom);
+      supervise();
+    });
+
+    return () => {
+      stopped = true;
+      if (stewardLease) stewardLease.release();
+      unsubscribe();
+      clearTimeout(checkTimer);
+      clearTimeout(noticeTimer);
+      previousHostRef.current = null;
+    };
+  }, [roomId, currentUserId]);
+
+  return { newHostName, isHost, isSteward };
+}
@@ -1,5 +1,22 @@
-import { signInAnonymously, signInWithCustomToken, signOut as firebaseSignOut } from 'firebase/auth';
+import {
+  signInAnonymously,
+  signInWithCustomToken,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInWithPopup,
+  signInWithCredential,
+  linkWithCredential,
+  linkWithPopup,
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  signOut as firebaseSignOut
+} from 'firebase/auth';
 import { auth } from '../config/firebase';
+import { AUTH_CONFIG } from '../config/auth';
+import { AppError, ACCOUNT_ERROR } from './errors';
+
+// Firebase codes for "this credential already belongs to another account"
+const CREDENTIAL_IN_USE_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
 
 /**
  * Sign in anonymously
@@ -30,6 +47,184 @@ export async function signInWithToken(customToken) {
   }
 }
 
+/**
+ * Sign in with a session handed over by our game backend
+ * The signed session is exchanged for a custom token by the issueCustomToken
+ * Cloud Function, which verifies the signature and sets the role/tier claims.
+ *
+ * @param {string} payload - Signed session payload (base64url)
+ * @param {string} signature - HMAC signature of the payload
+ * @returns {Promise<Object>} User credential
+ */
+export async function signInWithExternalSession(payload, signature) {
+  try {
+    const response = await fetch(AUTH_CONFIG.CUSTOM_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ payload, signature })
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.token) {
+      throw new Error(result.error || `Token exchange failed (HTTP ${response.status})`);
+    }
+
+    return await signInWithToken(result.token);
+  } catch (error) {
+    console.error('Error signing in with external session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} User credential
+ */
+export async function signInWithEmail(email, password) {
+  try {
+    const userCredential = await signInWithEmailAndPassword(auth, email, password);
+    return userCredential;
+  } catch (error) {
+    console.error('Error signing in with email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new email/password account
+ * @param {string} email - Email address
+ * @param {string} password - Password (at least 6 characters)
+ * @returns {Promise<Object>} User credential
+ */
+export async function signUpWithEmail(email, password) {
+  try {
+    const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+    return userCredential;
+  } catch (error) {
+    console.error('Error creating email account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign in with Google (popup)
+ * @returns {Promise<Object>} User credential
+ */
+export async function signInWithGoogle() {
+  try {
+    const userCredential = await signInWithPopup(auth, new GoogleAuthProvider());
+    return userCredential;
+  } catch (error) {
+    console.error('Error signing in with Google:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make sure the current user is an anonymous account that can be upgraded
+ * @returns {Object} The current user
+ * @throws {AppError} ACCOUNT_ERROR when nobody is signed in or the account is not anonymous
+ */
+const getAnonymousUser = () => {
+  const user = auth.currentUser;
+
+  if (!user) {
+    throw new AppError(ACCOUNT_ERROR.NOT_SIGNED_IN, 'Sign in before saving your account');
+  }
+
+  if (!user.isAnonymous) {
+    throw new AppError(ACCOUNT_ERROR.NOT_ANONYMOUS, 'This account is already saved');
+  }
+
+  return user;
+};
+
+/**
+ * Turn a "credential already in use" failure into an ACCOUNT_ERROR carrying the
+ * credential of the existing account; other errors are returned unchanged
+ * @param {Error} error - Error from linkWithCredential / linkWithPopup
+ * @param {AuthCredential|null} credential - Credential that was being linked
+ * @returns {Error}
+ */
+const toLinkError = (error, credential) => {
+  if (!CREDENTIAL_IN_USE_CODES.includes(error.code)) {
+    return error;
+  }
+
+  return new AppError(
+    ACCOUNT_ERROR.CREDENTIAL_IN_USE,
+    'This sign-in method already belongs to another account',
+    { credential }
+  );
+};
+
+/**
+ * Upgrade the current anonymous account with an email and password
+ * The uid does not change, so profile, GameStats and room memberships stay attached.
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password (at least 6 characters)
+ * @returns {Promise<Object>} User credential
+ * @throws {AppError} ACCOUNT_ERROR.CREDENTIAL_IN_USE when the email already has an account
+ */
+export async function linkWithEmail(email, password) {
+  const user = getAnonymousUser();
+  const credential = EmailAuthProvider.credential(email, password);
+
+  try {
+    const userCredential = await linkWithCredential(user, credential);
+    console.log(`🔐 [linkWithEmail] Anonymous account ${user.uid} upgraded to email`);
+    return userCredential;
+  } catch (error) {
+    console.error('Error linking email account:', error);
+    throw toLinkError(error, credential);
+  }
+}
+
+/**
+ * Upgrade the current anonymous account with Google (popup)
+ * The uid does not change, so profile, GameStats and room memberships stay attached.
+ *
+ * @returns {Promise<Object>} User credential
+ * @throws {AppError} ACCOUNT_ERROR.CREDENTIAL_IN_USE when the Google account is already registered
+ */
+export async function linkWithGoogle() {
+  const user = getAnonymousUser();
+
+  try {
+    const userCredential = await linkWithPopup(user, new GoogleAuthProvider());
+    console.log(`🔐 [linkWithGoogle] Anonymous account ${user.uid} upgraded to Google`);
+    return userCredential;
+  } catch (error) {
+    console.error('Error linking Google account:', error);
+    throw toLinkError(error, GoogleAuthProvider.credentialFromError(error));
+  }
+}
+
+/**
+ * Resolve a CREDENTIAL_IN_USE conflict by switching to the existing account
+ * The anonymous account is left behind: its games stay under the old uid.
+ *
+ * @param {AppError} conflict - Error thrown by linkWithEmail / linkWithGoogle
+ * @returns {Promise<Object>} User credential of the existing account
+ */
+export async function switchToExistingAccount(conflict) {
+  if (!conflict.credential) {
+    throw new Error('Sign in to your existing account from the login screen instead');
+  }
+
+  try {
+    const userCredential = await signInWithCredential(auth, conflict.credential);
+    console.log(`🔐 [switchToExistingAccount] Switched to existing account ${userCredential.user.uid}`);
+    return userCredential;
+  } catch (error) {
+    console.error('Error switching to existing account:', error);
+    throw error;
+  }
+}
+
 /**
  * Sign out current user
  * @returns {Promise<void>}
@@ -0,0 +1,232 @@
+import {
+  ref,
+  push,
+  get,
+  onValue,
+  query,
+  orderByKey,
+  limitToLast,
+  endBefore,
+  runTransaction,
+  serverTimestamp,
+  increment
+} from 'firebase/database';
+import { db } from '../config/firebase';
+import { CHAT_CONFIG } from '../config/chat';
+import { AppError, CHAT_ERROR } from './errors';
+import { batchUpdate } from './writes';
+
+// Chat lives next to the room (not inside it) so room and lobby listeners
+// do not download the message history:
+//   roomChats/{roomId}/messages/{messageId}
+//   roomChats/{roomId}/messageCount
+// Members send text messages only. System messages (joins, leaves, host changes,
+// moderation) are posted by the onRoomEventCreated Cloud Function from the room's
+// event log.
+export const CHAT_MESSAGE_TYPE = {
+  TEXT: 'text',
+  SYSTEM: 'system'
+};
+
+const messagesPath = (roomId) => `roomChats/${roomId}/messages`;
+
+const createMessage = (userId, authorName, text, type) => ({
+  authorId: userId,
+  authorName,
+  text,
+  type,
+  createdAt: serverTimestamp()
+});
+
+/**
+ * Turn a messages snapshot into an array, oldest first
+ *
+ * @param {DataSnapshot} snapshot - Snapshot of (a query on) the messages node
+ * @returns {Array} [{ id, authorId, authorName, text, type, createdAt }]
+ */
+const toMessageList = (snapshot) => {
+  const messages = [];
+  snapshot.forEach((child) => {
+    messages.push({ id: child.key, ...child.val() });
+  });
+  return messages;
+};
+
+/**
+ * Write a message and bump the message counter in one atomic update
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} message - Message data
+ * @returns {Promise<string>} The new message ID
+ */
+const writeMessage = async (roomId, message) => {
+  const messageId = push(ref(db, messagesPath(roomId))).key;
+
+  await batchUpdate({
+    [`${messagesPath(roomId)}/${messageId}`]: message,
+    [`roomChats/${roomId}/messageCount`]: increment(1)
+  }, { label: 'writeChatMessage' });
+
+  return messageId;
+};
+
+/**
+ * Delete the oldest messages once a room has more than MAX_MESSAGES (+ slack)
+ * Only the host may lower the message counter, so only the host's client
+ * trims. The counter is reset in a transaction first, so when the host has
+ * several tabs open only one of them deletes each batch. It only says when to
+ * look: any member may bump it, so what gets deleted is worked out from the
+ * messages themselves.
+ *
+ * @param {string} roomId - The room ID
+ * @returns {Promise<number>} Number of messages deleted
+ */
+const trimChatHistory = async (roomId) => {
+  const { MAX_MESSAGES, TRIM_SLACK } = CHAT_CONFIG;
+  const messagesRef = ref(db, messagesPath(roomId));
+
+  const result = await runTransaction(ref(db, `roomChats/${roomId}/messageCount`), (count) => {
+    // Let the server answer with the real value when the local cache is empty
+    if (count === null) {
+      return count;
+    }
+
+    if (count <= MAX_MESSAGES + TRIM_SLACK) {
+      return; // Abort - nothing to trim
+    }
+
+    return MAX_MESSAGES;
+  }, { applyLocally: false });
+
+  if (!result.committed || result.snapshot.val() !== MAX_MESSAGES) {
+    return 0;
+  }
+
+  // Everything older than the newest MAX_MESSAGES goes
+  const keptSnapshot = await get(query(messagesRef, orderByKey(), limitToLast(MAX_MESSAGES)));
+  if (keptSnapshot.size < MAX_MESSAGES) {
+    return 0;
+  }
+
+  let oldestKeptId = null;
+  keptSnapshot.forEach((child) => {
+    oldestKeptId = child.key;
+    return true; // Stop at the first (oldest) one
+  });
+
+  const olderSnapshot = await get(query(messagesRef, orderByKey(), endBefore(oldestKeptId)));
+  const updates = {};
+  olderSnapshot.forEach((child) => {
+    updates[`${messagesPath(roomId)}/${child.key}`] = null;
+  });
+
+  if (Object.keys(updates).length === 0) {
+    return 0;
+  }
+
+  await batchUpdate(updates, { label: 'trimChatHistory' });
+  console.log(`💬 [trimChatHistory] Deleted ${Object.keys(updates).length} old messages in room ${roomId}`);
+  return Object.keys(updates).length;
+};
+
+/**
+ * Send a chat message as the current user
+ * Database rules only accept text messages from room members, posted under their
+ * own user ID and member name, and refuse messages from muted members.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} userId - Author's user ID
+ * @param {string} authorName - Author's display name
+ * @param {string} text - Message text
+ * @returns {Promise<string>} The new message ID
+ * @throws {AppError} CHAT_ERROR when the message is empty or too long
+ */
+export async function sendChatMessage(roomId, userId, authorName, text) {
+  const trimmedText = (text || '').trim();
+
+  if (!trimmedText) {
+    throw new AppError(CHAT_ERROR.EMPTY_MESSAGE, 'Message cannot be empty');
+  }
+
+  if (trimmedText.length > CHAT_CONFIG.MAX_MESSAGE_LENGTH) {
+    throw new AppError(
+      CHAT_ERROR.MESSAGE_TOO_LONG,
+      `Messages can be at most ${CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`
+    );
+  }
+
+  try {
+    return await writeMessage(
+      roomId,
+      createMessage(userId, authorName, trimmedText, CHAT_MESSAGE_TYPE.TEXT)
+    );
+  } catch (error) {
+    console.error('Error sending chat message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Keep the chat history of a room trimmed while the current user hosts it
+ * Trims whenever the message counter grows past MAX_MESSAGES + TRIM_SLACK.
+ *
+ * @param {string} roomId - The room ID
+ * @returns {Function} Unsubscribe function
+ */
+export function watchChatHistory(roomId) {
+  const { MAX_MESSAGES, TRIM_SLACK } = CHAT_CONFIG;
+
+  return onValue(ref(db, `roomChats/${roomId}/messageCount`), (snapshot) => {
+    if ((snapshot.val() || 0) <= MAX_MESSAGES + TRIM_SLACK) {
+      return;
+    }
+
+    // Trimming is housekeeping; a failure is logged and retried on the next message
+    trimChatHistory(roomId).catch((error) => {
+      console.warn(`💬 [watchChatHistory] Could not trim chat history for room ${roomId}:`, error.message);
+    });
+  }, (error) => {
+    console.error(`💬 [watchChatHistory] Error reading the message count for room ${roomId}:`, error);
+  });
+}
+
+/**
+ * Subscribe to the most recent chat messages
+ *
+ * @param {string} roomId - The room ID
+ * @param {Function} callback - Receives the messages, oldest first
+ * @param {number} limit - Number of recent messages to follow
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToChat(roomId, callback, limit = CHAT_CONFIG.PAGE_SIZE) {
+  const recentQuery = query(ref(db, messagesPath(roomId)), orderByKey(), limitToLast(limit));
+
+  return onValue(recentQuery, (snapshot) => {
+    callback(toMessageList(snapshot));
+  }, (error) => {
+    console.error(`💬 [subscribeToChat] Error reading chat for room ${roomId}:`, error);
+  });
+}
+
+/**
+ * Load a page of messages older than a given message
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} beforeMessageId - ID of the oldest message already loaded
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} Messages, oldest first (empty when there is no older history)
+ */
+export async function loadOlderMessages(roomId, beforeMessageId, limit = CHAT_CONFIG.PAGE_SIZE) {
+  try {
+    const olderQuery = query(
+      ref(db, messagesPath(roomId)),
+      orderByKey(),
+      endBefore(beforeMessageId),
+      limitToLast(limit)
+    );
+    return toMessageList(await get(olderQuery));
+  } catch (error) {
+    console.error('Error loading older chat messages:', error);
+    throw error;
+  }
+}
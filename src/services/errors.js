@@ -0,0 +1,75 @@
+/**
+ * Error codes for room operations
+ * Follows the Firebase "service/reason" code style so callers can switch on error.code
+ */
+export const ROOM_ERROR = {
+  NOT_FOUND: 'room/not-found',
+  CLOSED: 'room/closed',
+  FULL: 'room/full',
+  INVALID_CAPACITY: 'room/invalid-capacity',
+  INVALID_PASSWORD: 'room/invalid-password',
+  PASSWORD_REQUIRED: 'room/password-required',
+  WRONG_PASSWORD: 'room/wrong-password',
+  INVALID_INVITE: 'room/invalid-invite',
+  BANNED: 'room/banned',
+  KICKED: 'room/kicked',
+  NOT_AUTHORIZED: 'room/not-authorized',
+  INVALID_TARGET: 'room/invalid-target',
+  INVALID_PHASE: 'room/invalid-phase',
+  NOT_READY: 'room/not-ready'
+};
+
+/**
+ * Error codes for user profiles
+ */
+export const PROFILE_ERROR = {
+  INVALID_NAME: 'profile/invalid-name',
+  INVALID_AVATAR: 'profile/invalid-avatar'
+};
+
+/**
+ * Error codes for room chat
+ */
+export const CHAT_ERROR = {
+  EMPTY_MESSAGE: 'chat/empty-message',
+  MESSAGE_TOO_LONG: 'chat/message-too-long'
+};
+
+/**
+ * Error codes for account upgrades (linking an anonymous account to a sign-in method)
+ */
+export const ACCOUNT_ERROR = {
+  NOT_SIGNED_IN: 'account/not-signed-in',
+  NOT_ANONYMOUS: 'account/not-anonymous',
+  CREDENTIAL_IN_USE: 'account/credential-in-use'
+};
+
+/**
+ * Error codes for the shared write layer
+ */
+export const WRITE_ERROR = {
+  EMPTY: 'write/empty-update',
+  OVERLAPPING_PATHS: 'write/overlapping-paths',
+  FAILED: 'write/failed'
+};
+
+/**
+ * Error thrown by the app's services when an operation is refused or fails
+ * (rather than by Firebase itself). Every service uses this one class; callers
+ * tell the cases apart by error.code, whose "service/" prefix names the service.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} code - One of ROOM_ERROR, PROFILE_ERROR, CHAT_ERROR, ACCOUNT_ERROR or WRITE_ERROR
+   * @param {string} message - Human readable message (safe to show in the UI, except for WRITE_ERROR)
+   * @param {Object} [details] - Extra fields copied onto the error, e.g. the paths of a rejected
+   *   update (WRITE_ERROR), the underlying Firebase error as cause, or the credential of the
+   *   account that already owns a sign-in method (ACCOUNT_ERROR.CREDENTIAL_IN_USE)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
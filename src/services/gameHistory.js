@@ -0,0 +1,116 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getAggregateFromServer,
+  count,
+  sum,
+  Timestamp
+} from 'firebase/firestore';
+import { firestore } from '../config/firebase';
+import { HISTORY_CONFIG } from '../config/history';
+
+/**
+ * Record that a user joined a room they did not create
+ * The creator's document is written by the recordRoomCreated Cloud Function;
+ * this gives every other member a GameStats entry right away, so the room shows
+ * up in their history before it is archived. Join records cannot be changed, so
+ * a user who comes back to a room (after leaving or being kicked) keeps the one
+ * from their first join. Best-effort: a failure never blocks the join.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} roomId - The room ID
+ * @param {string} gameId - Game the room belongs to
+ * @param {string} role - Role the user joined with
+ * @returns {Promise<void>}
+ */
+export async function recordGameJoin(userId, roomId, gameId, role) {
+  try {
+    const gameStatsRef = doc(firestore, `Users/${userId}/GameStats/${gameId}`);
+    if ((await getDoc(gameStatsRef)).exists()) {
+      return;
+    }
+
+    await setDoc(gameStatsRef, {
+      created_at: Timestamp.now(),
+      initial_score: 0,
+      role,
+      roomId
+    });
+  } catch (error) {
+    console.warn(`📚 [recordGameJoin] Could not record game ${gameId} for ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Load one page of a user's games, newest first
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {QueryDocumentSnapshot} [options.after] - Last document of the previous page
+ * @param {number} [options.pageSize] - Games per page
+ * @returns {Promise<Object>} { games: [{ gameId, ...gameStats }], lastDoc, hasMore }
+ */
+export async function loadGameHistoryPage(userId, { after = null, pageSize = HISTORY_CONFIG.PAGE_SIZE } = {}) {
+  try {
+    const constraints = [orderBy('created_at', 'desc')];
+    if (after) {
+      constraints.push(startAfter(after));
+    }
+    // One extra document tells whether there is another page
+    constraints.push(limit(pageSize + 1));
+
+    const snapshot = await getDocs(query(collection(firestore, `Users/${userId}/GameStats`), ...constraints));
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    return {
+      games: docs.map((gameDoc) => ({ gameId: gameDoc.id, ...gameDoc.data() })),
+      lastDoc: docs[docs.length - 1] || null,
+      hasMore: snapshot.docs.length > pageSize
+    };
+  } catch (error) {
+    console.error('Error loading game history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Aggregate stats for a user's profile
+ * Computed by Firestore aggregation queries, so no game documents are downloaded.
+ * Total time and games hosted only include archived games: time_in_room_ms and
+ * hosted (whether the user held the host role at any point) are set on archive.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { gamesPlayed, gamesHosted, totalTimeMs }
+ */
+export async function loadProfileStats(userId) {
+  try {
+    const gameStatsRef = collection(firestore, `Users/${userId}/GameStats`);
+
+    const [allGames, hostedGames] = await Promise.all([
+      getAggregateFromServer(gameStatsRef, {
+        gamesPlayed: count(),
+        totalTimeMs: sum('time_in_room_ms')
+      }),
+      getAggregateFromServer(query(gameStatsRef, where('hosted', '==', true)), {
+        gamesHosted: count()
+      })
+    ]);
+
+    return {
+      gamesPlayed: allGames.data().gamesPlayed,
+      gamesHosted: hostedGames.data().gamesHosted,
+      totalTimeMs: allGames.data().totalTimeMs || 0
+    };
+  } catch (error) {
+    console.error('Error loading profile stats:', error);
+    throw error;
+  }
+}
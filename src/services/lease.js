@@ -0,0 +1,164 @@
+import { ref, onValue, onDisconnect, runTransaction, serverTimestamp } from 'firebase/database';
+import { db } from '../config/firebase';
+import { claimLease, getLeaseHolder, isLeaseFree, isLeaseHeldBy, releaseLease } from '../utils/lease';
+
+// Leases expire on server time, so every client judges them by the same clock
+let serverTimeOffset = 0;
+let serverTimeUnsubscribe = null;
+
+const trackServerTime = () => {
+  if (serverTimeUnsubscribe) return;
+  serverTimeUnsubscribe = onValue(ref(db, '.info/serverTimeOffset'), (snapshot) => {
+    serverTimeOffset = snapshot.val() || 0;
+  });
+};
+
+/**
+ * Current time on the database server
+ *
+ * @returns {number} Server time in milliseconds
+ */
+export const serverNow = () => Date.now() + serverTimeOffset;
+
+/**
+ * Compete for a lease and keep it for as long as this client runs
+ *
+ * Claims and renewals are transactions, so two clients can never both hold the
+ * lease. The holder renews it every half TTL and expires it with onDisconnect,
+ * so when it goes away the others see the lease run out and one of them takes
+ * over at once. If the holder vanishes without the disconnect reaching the
+ * server, the others take over when the lease expires.
+ *
+ * Writes that only the holder should make can be fenced: merge fence() into the
+ * same batchUpdate and the database rejects the whole update once the lease has
+ * passed to a newer token (paths whose rules check the token, such as
+ * system/cleanerLeader).
+ *
+ * @param {string} path - Database path of the lease record
+ * @param {Object} options
+ * @param {string} options.holderId - This client's holder ID (see createHolderId)
+ * @param {string} options.uid - Current user's auth uid
+ * @param {number} options.ttl - Lease duration in milliseconds (the rules allow up to 60s)
+ * @param {Function} [options.onChange] - Called with true or false when this client gains or loses the lease
+ * @param {Function} [options.onHolderChange] - Called with getLeaseHolder's result whenever the holder or token changes
+ * @param {string} [options.label] - Name used in logs
+ * @returns {Object} { release: Function, fence: Function } - release stops competing and gives up the
+ *   lease if held; fence returns { [path/token]: token } while held, or null
+ */
+export function holdLease(path, {
+  holderId,
+  uid,
+  ttl,
+  onChange = () => {},
+  onHolderChange = () => {},
+  label = 'Lease'
+}) {
+  trackServerTime();
+
+  const leaseRef = ref(db, path);
+  const expiresAtRef = ref(db, `${path}/expiresAt`);
+  let held = false;
+  let token = null;
+  let lastHolderKey = null;
+  let claiming = false;
+  let stopped = false;
+  let timer = null;
+
+  const setHeld = (nextHeld) => {
+    if (nextHeld === held) return;
+    held = nextHeld;
+
+    if (held) {
+      console.log(`[${label}] Acquired lease ${path} (token ${token})`);
+      onDisconnect(expiresAtRef).set(serverTimestamp());
+    } else {
+      console.log(`[${label}] Lost lease ${path}`);
+      // The lease may belong to someone else by now; never expire theirs on disconnect
+      onDisconnect(expiresAtRef).cancel();
+    }
+
+    onChange(held);
+  };
+
+  // Report the holder only when it changes, not on every renewal
+  const observeLease = (lease) => {
+    const holder = getLeaseHolder(lease, serverNow());
+    token = holder?.holderId === holderId ? holder.token : null;
+
+    const holderKey = holder ? `${holder.holderId}:${holder.token}` : null;
+    if (holderKey === lastHolderKey) return;
+    lastHolderKey = holderKey;
+    onHolderChange(holder);
+  };
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = setTimeout(claim, Math.max(0, delay));
+  };
+
+  // Acquire the lease when it is free, or renew it when it is ours
+  const claim = async () => {
+    if (stopped || claiming) return;
+    claiming = true;
+
+    try {
+      const { committed, snapshot } = await runTransaction(
+        leaseRef,
+        (current) => claimLease(current, { holderId, uid }, serverNow(), ttl),
+        { applyLocally: false }
+      );
+      if (stopped) return;
+
+      const lease = snapshot.val();
+      observeLease(lease);
+      setHeld(committed && isLeaseHeldBy(lease, holderId, serverNow()));
+
+      // Renew halfway through our lease, or try again when theirs runs out
+      schedule(held ? ttl / 2 : (lease?.expiresAt || 0) - serverNow() + 100);
+    } catch (error) {
+      console.error(`[${label}] Error claiming lease ${path}:`, error);
+      if (stopped) return;
+      setHeld(false);
+      schedule(ttl / 2);
+    } finally {
+      claiming = false;
+    }
+  };
+
+  const unsubscribe = onValue(leaseRef, (snapshot) => {
+    if (stopped) return;
+
+    const lease = snapshot.val();
+    const now = serverNow();
+    observeLease(lease);
+
+    if (isLeaseFree(lease, now)) {
+      claim();
+    } else if (lease.holderId !== holderId) {
+      setHeld(false);
+      schedule(lease.expiresAt - now + 100);
+    }
+  });
+
+  const release = () => {
+    stopped = true;
+    clearTimeout(timer);
+
+    if (held) {
+      held = false;
+      token = null;
+      onDisconnect(expiresAtRef).cancel();
+      // Started before unsubscribing, so the transaction sees the cached lease
+      runTransaction(leaseRef, (current) => releaseLease(current, holderId, serverNow()), { applyLocally: false })
+        .catch((error) => {
+          console.error(`[${label}] Error releasing lease ${path}:`, error);
+        });
+    }
+
+    unsubscribe();
+  };
+
+  const fence = () => (held && token !== null ? { [`${path}/token`]: token } : null);
+
+  return { release, fence };
+}
@@ -0,0 +1,69 @@
+import { httpsCallable } from 'firebase/functions';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { auth, firestore, functions } from '../config/firebase';
+
+// Platform-wide roles, carried as the `platformRole` custom claim on the ID token
+// and checked by database.rules.json. Not to be confused with room roles
+// (host, co-host, ...) or the "admin" role GameStats gives a room's creator.
+//   admin     - moderator powers, plus granting/revoking platform roles
+//   moderator - force-close any room, see unlisted rooms, kick/ban/mute anyone
+export const PLATFORM_ROLE = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator'
+};
+
+/**
+ * Check whether a platform role grants moderation powers
+ *
+ * @param {string|null} platformRole - Value of the platformRole claim
+ * @returns {boolean}
+ */
+export function isPlatformStaff(platformRole) {
+  return platformRole === PLATFORM_ROLE.ADMIN || platformRole === PLATFORM_ROLE.MODERATOR;
+}
+
+/**
+ * Read the current user's platform role from their ID token
+ *
+ * @param {boolean} forceRefresh - Fetch a fresh token (picks up a role granted moments ago)
+ * @returns {Promise<string|null>} One of PLATFORM_ROLE, or null
+ */
+export async function getPlatformRole(forceRefresh = false) {
+  if (!auth.currentUser) {
+    return null;
+  }
+
+  const { claims } = await auth.currentUser.getIdTokenResult(forceRefresh);
+  return claims.platformRole || null;
+}
+
+/**
+ * Grant or revoke a platform role (admins only, enforced by the setPlatformRole function)
+ *
+ * @param {string} userId - User to change
+ * @param {string|null} platformRole - One of PLATFORM_ROLE, or null to revoke
+ * @returns {Promise<void>}
+ */
+export async function setPlatformRole(userId, platformRole) {
+  try {
+    await httpsCallable(functions, 'setPlatformRole')({ uid: userId, platformRole });
+    console.log(`🛡️ [setPlatformRole] ${userId} → ${platformRole || 'none'}`);
+  } catch (error) {
+    console.error('Error setting platform role:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to the list of platform staff (PlatformRoles, written by the setPlatformRole function)
+ *
+ * @param {Function} callback - Receives [{ userId, role, displayName, grantedBy, updatedAt }]
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPlatformStaff(callback) {
+  return onSnapshot(collection(firestore, 'PlatformRoles'), (snapshot) => {
+    callback(snapshot.docs.map((roleDoc) => ({ userId: roleDoc.id, ...roleDoc.data() })));
+  }, (error) => {
+    console.error('🛡️ [subscribeToPlatformStaff] Error reading platform staff:', error);
+  });
+}
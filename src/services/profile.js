@@ -0,0 +1,107 @@
+import { doc, getDoc, setDoc, onSnapshot, Timestamp } from 'firebase/firestore';
+import { firestore } from '../config/firebase';
+import { AppError, PROFILE_ERROR } from './errors';
+import {
+  normalizeDisplayName,
+  validateDisplayName,
+  isValidAvatarColor,
+  isValidAvatarEmoji
+} from '../utils/profile';
+
+// Profiles are persistent, so they live in Firestore next to the user's game stats:
+//   Users/{userId} = { displayName, color, emoji, createdAt, updatedAt }
+// Room member entries carry a copy (name, color, emoji) so room listeners
+// never need to read Firestore.
+const profilePath = (userId) => `Users/${userId}`;
+
+/**
+ * Extract the profile fields from a Users/{userId} document
+ *
+ * @param {DocumentSnapshot} snapshot - User document snapshot
+ * @returns {Object|null} { displayName, color, emoji }, or null when no profile is set
+ */
+const toProfile = (snapshot) => {
+  const data = snapshot.exists() ? snapshot.data() : null;
+  if (!data?.displayName) {
+    return null;
+  }
+
+  return {
+    displayName: data.displayName,
+    color: data.color || null,
+    emoji: data.emoji || null
+  };
+};
+
+/**
+ * Read a user's profile
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { displayName, color, emoji }, or null when no profile is set
+ */
+export async function getUserProfile(userId) {
+  try {
+    return toProfile(await getDoc(doc(firestore, profilePath(userId))));
+  } catch (error) {
+    console.error('Error reading user profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to a user's profile
+ *
+ * @param {string} userId - The user ID
+ * @param {Function} callback - Receives the profile, or null when none is set
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToUserProfile(userId, callback) {
+  return onSnapshot(doc(firestore, profilePath(userId)), (snapshot) => {
+    callback(toProfile(snapshot));
+  }, (error) => {
+    console.error(`👤 [subscribeToUserProfile] Error reading profile of ${userId}:`, error);
+  });
+}
+
+/**
+ * Create or update a user's profile
+ * Rooms the user is in pick up the change through RoomView (see updateMemberProfile).
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} profile
+ * @param {string} profile.displayName - Display name
+ * @param {string} profile.color - One of PROFILE_CONFIG.AVATAR_COLORS
+ * @param {string|null} [profile.emoji] - One of PROFILE_CONFIG.AVATAR_EMOJIS, or null
+ * @returns {Promise<Object>} The saved profile
+ * @throws {AppError} PROFILE_ERROR when the name, color or emoji is not allowed
+ */
+export async function saveUserProfile(userId, { displayName, color, emoji = null }) {
+  const name = normalizeDisplayName(displayName);
+  const nameError = validateDisplayName(name);
+
+  if (nameError) {
+    throw new AppError(PROFILE_ERROR.INVALID_NAME, nameError);
+  }
+
+  if (!isValidAvatarColor(color) || !isValidAvatarEmoji(emoji)) {
+    throw new AppError(PROFILE_ERROR.INVALID_AVATAR, 'Please pick one of the offered avatars');
+  }
+
+  try {
+    const userRef = doc(firestore, profilePath(userId));
+    const existing = await getDoc(userRef);
+    const profile = { displayName: name, color, emoji };
+
+    await setDoc(userRef, {
+      ...profile,
+      ...(existing.exists() && existing.data().createdAt ? {} : { createdAt: Timestamp.now() }),
+      updatedAt: Timestamp.now()
+    }, { merge: true });
+
+    console.log(`👤 [saveUserProfile] Profile saved for ${userId}: ${name}`);
+    return profile;
+  } catch (error) {
+    console.error('Error saving user profile:', error);
+    throw error;
+  }
+}
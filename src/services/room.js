@@ -1,8 +1,36 @@
-import { ref, set, onValue, off, serverTimestamp, update, get } from 'firebase/database';
-import { collection, doc, setDoc, Timestamp } from 'firebase/firestore';
-import { db, firestore } from '../config/firebase';
-import { generateRoomId, generateGameId, getUserDisplayName } from '../utils/roomUtils';
+import { ref, set, onValue, off, serverTimestamp, update, get, runTransaction, increment, query, orderByChild, equalTo } from 'firebase/database';
+import { db } from '../config/firebase';
+import {
+  generateRoomId,
+  generateGameId,
+  getUserDisplayName,
+  generateInviteToken,
+  hashRoomPassword,
+  buildInviteUrl,
+  isSpectator,
+  getPlayerEntries,
+  getSpectatorEntries
+} from '../utils/roomUtils';
+import { getMemberStatus, isRoomClosed, isSeated } from '../utils/roomState';
 import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { ROOM_CONFIG } from '../config/room';
+import { GAME_CONFIG } from '../config/game';
+import { AppError, ROOM_ERROR } from './errors';
+import { batchUpdate } from './writes';
+import { buildRoomEventUpdate, logRoomEvent, ROOM_EVENT } from './roomEvents';
+import { recordGameJoin } from './gameHistory';
+import { getUserProfile } from './profile';
+import { getPlatformRole, isPlatformStaff } from './platform';
+import { selectSuccessor, isValidSuccessionPolicy, DEFAULT_SUCCESSION_POLICY } from '../utils/hostSuccession';
+import { getDefaultAvatarColor } from '../utils/profile';
+import {
+  ROOM_PHASE,
+  getRoomPhase,
+  canTransitionPhase,
+  isGameInProgress,
+  getReadyState,
+  getLobbyMemberUpdates
+} from '../utils/roomPhase';
 
 // Constants
 const ROOM_STATUS = {
@@ -21,8 +49,19 @@ const MEMBER_STATUS = {
 
 const MEMBER_ROLE = {
   HOST: 'host',
+  CO_HOST: 'co-host',
   PLAYER: 'player',
-  ADMIN: 'admin'
+  SPECTATOR: 'spectator'
+};
+
+// Who can find and enter a room
+// PUBLIC: listed in the lobby, anyone can join
+// UNLISTED: hidden from the lobby, joinable with the room code or invite link
+// PASSWORD: listed in the lobby, joining requires the password or invite link
+export const ROOM_VISIBILITY = {
+  PUBLIC: 'public',
+  UNLISTED: 'unlisted',
+  PASSWORD: 'password'
 };
 
 // Helper functions
@@ -32,21 +71,57 @@ const getSnapshot = async (reference) => {
   });
 };
 
-const batchUpdate = async (updates) => {
-  const promises = Object.entries(updates).map(([path, value]) => {
-    const reference = ref(db, path);
-    return set(reference, value);
-  });
-  return Promise.all(promises);
-};
-
-const createMemberData = (userName, role = MEMBER_ROLE.PLAYER, status = MEMBER_STATUS.ONLINE) => ({
-  name: userName,
+const createMemberData = (identity, role = MEMBER_ROLE.PLAYER, status = MEMBER_STATUS.ONLINE) => ({
+  ...identity, // name, color, emoji
   role,
   status,
+  joinedAt: serverTimestamp(), // Kept across rejoins; used for tenure-based succession
+  seatedAt: serverTimestamp(), // Reset on every rejoin; the earliest seats win a full room (isSeated)
+  ready: false,
   lastChanged: serverTimestamp()
 });
 
+/**
+ * Name and avatar a user appears with in rooms
+ * Taken from their profile; users without one (or whose profile cannot be
+ * read) fall back to a uid-based name so joining never fails on it.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { name, color, emoji }
+ */
+const getMemberIdentity = async (userId) => {
+  let profile = null;
+  try {
+    profile = await getUserProfile(userId);
+  } catch (error) {
+    console.warn(`👤 [getMemberIdentity] Using fallback name for ${userId}:`, error.message);
+  }
+
+  return {
+    name: profile?.displayName || getUserDisplayName(userId),
+    color: profile?.color || getDefaultAvatarColor(userId),
+    emoji: profile?.emoji || null
+  };
+};
+
+const createGameState = () => ({
+  phase: ROOM_PHASE.LOBBY,
+  round: 0,
+  countdownEndsAt: null,
+  phaseChangedAt: serverTimestamp()
+});
+
+/**
+ * Estimate the current server time from .info/serverTimeOffset
+ * Used for deadlines every client must agree on (e.g. the game countdown)
+ *
+ * @returns {Promise<number>} Server time in milliseconds
+ */
+const getServerTime = async () => {
+  const offsetSnapshot = await getSnapshot(ref(db, '.info/serverTimeOffset'));
+  return Date.now() + (offsetSnapshot.val() || 0);
+};
+
 const createRoomStats = (activePlayers = 0, awayPlayers = 0, offlinePlayers = 0, totalPlayers = 0) => ({
   activePlayers,
   awayPlayers,
@@ -55,48 +130,147 @@ const createRoomStats = (activePlayers = 0, awayPlayers = 0, offlinePlayers = 0,
   lastChecked: serverTimestamp()
 });
 
+/**
+ * Validate a requested room capacity
+ *
+ * @param {number} maxMembers - Requested capacity
+ * @returns {number} The validated capacity
+ */
+const validateMaxMembers = (maxMembers) => {
+  const { MIN_MEMBERS_LIMIT, MAX_MEMBERS_LIMIT } = ROOM_CONFIG;
+
+  if (!Number.isInteger(maxMembers) || maxMembers < MIN_MEMBERS_LIMIT || maxMembers > MAX_MEMBERS_LIMIT) {
+    throw new AppError(
+      ROOM_ERROR.INVALID_CAPACITY,
+      `Room capacity must be between ${MIN_MEMBERS_LIMIT} and ${MAX_MEMBERS_LIMIT} players`
+    );
+  }
+
+  return maxMembers;
+};
+
+/**
+ * Validate a requested spectator capacity
+ *
+ * @param {number} maxSpectators - Requested capacity (0 disables spectating)
+ * @returns {number} The validated capacity
+ */
+const validateMaxSpectators = (maxSpectators) => {
+  if (!Number.isInteger(maxSpectators) || maxSpectators < 0 || maxSpectators > ROOM_CONFIG.MAX_SPECTATORS_LIMIT) {
+    throw new AppError(
+      ROOM_ERROR.INVALID_CAPACITY,
+      `Spectator capacity must be between 0 and ${ROOM_CONFIG.MAX_SPECTATORS_LIMIT}`
+    );
+  }
+
+  return maxSpectators;
+};
+
+/**
+ * Validate requested visibility and password
+ *
+ * @param {string} visibility - One of ROOM_VISIBILITY
+ * @param {string} [password] - Required for PASSWORD rooms
+ */
+const validateVisibility = (visibility, password) => {
+  if (!Object.values(ROOM_VISIBILITY).includes(visibility)) {
+    throw new Error(`Unknown room visibility: ${visibility}`);
+  }
+
+  if (visibility === ROOM_VISIBILITY.PASSWORD && (!password || password.length < ROOM_CONFIG.MIN_PASSWORD_LENGTH)) {
+    throw new AppError(
+      ROOM_ERROR.INVALID_PASSWORD,
+      `Room password must be at least ${ROOM_CONFIG.MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+};
+
+/**
+ * Count entries currently present in the room (online or away)
+ * Offline members keep their entry for rejoins but do not take up a seat
+ *
+ * @param {Array} entries - [userId, memberData] tuples
+ * @returns {number} Number of present members
+ */
+const countPresent = (entries) =>
+  entries.filter(([, m]) => getMemberStatus(m) !== MEMBER_STATUS.OFFLINE).length;
+
 /**
  * Create a new game room
- * This function writes to BOTH Firestore (persistent) and RTDB (hot data)
+ * Writes the room to RTDB; the recordRoomCreated Cloud Function adds it to the
+ * creator's game history in Firestore
  *
  * @param {string} userId - The user ID creating the room
+ * @param {Object} [options] - Room options
+ * @param {number} [options.maxMembers] - Maximum number of present players
+ * @param {number} [options.maxSpectators] - Maximum number of present spectators
+ * @param {string} [options.visibility] - One of ROOM_VISIBILITY (default: public)
+ * @param {string} [options.password] - Required when visibility is password
+ * @param {string} [options.successionPolicy] - One of SUCCESSION_POLICY (utils/hostSuccession)
  * @returns {Promise<Object>} Room data with roomId and gameId
  */
-export async function createGameRoom(userId) {
+export async function createGameRoom(userId, options = {}) {
   try {
+    const maxMembers = validateMaxMembers(options.maxMembers ?? ROOM_CONFIG.DEFAULT_MAX_MEMBERS);
+    const maxSpectators = validateMaxSpectators(options.maxSpectators ?? ROOM_CONFIG.DEFAULT_MAX_SPECTATORS);
+    const visibility = options.visibility || ROOM_VISIBILITY.PUBLIC;
+    validateVisibility(visibility, options.password);
+
+    const successionPolicy = options.successionPolicy || DEFAULT_SUCCESSION_POLICY;
+    if (!isValidSuccessionPolicy(successionPolicy)) {
+      throw new Error(`Unknown succession policy: ${successionPolicy}`);
+    }
+
     const roomId = generateRoomId();
     const gameId = generateGameId();
-    const userName = getUserDisplayName(userId);
-
-    // Step 1: Write to Firestore (Persistent Data)
-    const gameStatsRef = doc(firestore, `Users/${userId}/GameStats/${gameId}`);
-    await setDoc(gameStatsRef, {
-      created_at: Timestamp.now(),
-      initial_score: 0,
-      role: MEMBER_ROLE.ADMIN,
-      roomId
-    });
+    const identity = await getMemberIdentity(userId);
 
-    // Step 2: Write to RTDB (Hot Data)
-    const roomRef = ref(db, `rooms/${roomId}`);
+    // The creator's GameStats record (role admin) is written by the recordRoomCreated
+    // Cloud Function; Firestore rules only let clients record joins
     const roomData = {
       gameId,
       roomId,
+      hostId: userId, // Database rules only accept a host role for the member named here
       status: ROOM_STATUS.ACTIVE,
       roomStatus: ROOM_STATUS.OPEN,
       createdAt: serverTimestamp(),
       statusUpdatedAt: serverTimestamp(),
       lastActiveAt: Date.now(),
       inactiveSince: null,
+      visibility,
+      listed: visibility !== ROOM_VISIBILITY.UNLISTED, // The lobby may only query listed rooms
+      maxMembers,
+      maxSpectators,
+      successionPolicy,
+      game: createGameState(),
       totalMembers: 1,
+      peakPlayers: 1, // Highest number of present players, raised by the room steward for the game history
       onlineMemberCount: 0, // Will be incremented by usePresence
       stats: createRoomStats(1, 0, 0, 1),
       members: {
-        [userId]: createMemberData(userName, MEMBER_ROLE.HOST, MEMBER_STATUS.ONLINE)
+        [userId]: createMemberData(identity, MEMBER_ROLE.HOST, MEMBER_STATUS.ONLINE)
       }
     };
 
-    await set(roomRef, roomData);
+    // Join credentials live outside the room so members cannot read them
+    // (only the host may, to build invite links)
+    const roomSecrets = {
+      inviteToken: generateInviteToken(),
+      passwordHash: visibility === ROOM_VISIBILITY.PASSWORD
+        ? await hashRoomPassword(roomId, options.password)
+        : null
+    };
+
+    await batchUpdate({
+      [`rooms/${roomId}`]: roomData,
+      [`roomSecrets/${roomId}`]: roomSecrets,
+      ...buildRoomEventUpdate(roomId, ROOM_EVENT.ROOM_CREATED, userId, {
+        visibility,
+        maxMembers,
+        maxSpectators,
+        successionPolicy
+      })
+    }, { label: 'createGameRoom' });
 
     return { roomId, gameId };
   } catch (error) {
@@ -105,41 +279,267 @@ export async function createGameRoom(userId) {
   }
 }
 
+/**
+ * Record that a user presented valid join credentials for a room
+ * Security rules compare the grant against roomSecrets/{roomId}, which clients cannot read
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID joining
+ * @param {Object} credentials - { password, inviteToken }
+ * @returns {Promise<boolean>} true if a grant was written, false if no credentials were given
+ * @throws {AppError} When the credentials are rejected
+ */
+const grantRoomAccess = async (roomId, userId, { password, inviteToken }) => {
+  if (!password && !inviteToken) {
+    return false;
+  }
+
+  const credential = inviteToken || await hashRoomPassword(roomId, password);
+
+  try {
+    await set(ref(db, `roomGrants/${roomId}/${userId}`), credential);
+    return true;
+  } catch (error) {
+    console.warn(`[joinRoom] Credentials rejected for room ${roomId}:`, error.message);
+    throw inviteToken
+      ? new AppError(ROOM_ERROR.INVALID_INVITE, 'This invite link is invalid or has expired')
+      : new AppError(ROOM_ERROR.WRONG_PASSWORD, 'Incorrect room password');
+  }
+};
+
+/**
+ * Check whether a user may join a room as it stands
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Current room data
+ * @param {string} userId - The user ID joining
+ * @param {Object} options - { hasGrant, asSpectator }
+ * @returns {AppError|null} The reason to refuse, or null to go ahead
+ */
+const checkJoin = (roomId, roomData, userId, { hasGrant, asSpectator }) => {
+  if (isRoomClosed(roomData)) {
+    return new AppError(ROOM_ERROR.CLOSED, `Room ${roomId} is closed`);
+  }
+
+  if (roomData.bans?.[userId]) {
+    return new AppError(ROOM_ERROR.BANNED, 'You have been banned from this room');
+  }
+
+  const kick = roomData.kicks?.[userId];
+  if (kick && kick.until > Date.now()) {
+    const secondsLeft = Math.ceil((kick.until - Date.now()) / 1000);
+    return new AppError(ROOM_ERROR.KICKED, `You were kicked from this room. You can rejoin in ${secondsLeft}s`);
+  }
+
+  const members = roomData.members || {};
+  const existingMember = members[userId];
+  const maxMembers = roomData.maxMembers || ROOM_CONFIG.DEFAULT_MAX_MEMBERS;
+  const maxSpectators = roomData.maxSpectators ?? ROOM_CONFIG.DEFAULT_MAX_SPECTATORS;
+
+  if (roomData.visibility === ROOM_VISIBILITY.PASSWORD && !existingMember && !hasGrant) {
+    return new AppError(ROOM_ERROR.PASSWORD_REQUIRED, `Room ${roomId} requires a password`);
+  }
+
+  // A present member re-entering (e.g. from a second tab) never needs a new seat.
+  // Rejoining members keep their previous seat type
+  const needsSeat = !existingMember || getMemberStatus(existingMember) === MEMBER_STATUS.OFFLINE;
+  const wantsSpectatorSeat = existingMember ? isSpectator(existingMember) : asSpectator;
+
+  if (needsSeat && wantsSpectatorSeat && countPresent(getSpectatorEntries(members)) >= maxSpectators) {
+    return new AppError(ROOM_ERROR.FULL, maxSpectators === 0
+      ? `Room ${roomId} does not allow spectators`
+      : `Room ${roomId} is full (${maxSpectators} spectators)`);
+  }
+
+  if (needsSeat && !wantsSpectatorSeat && countPresent(getPlayerEntries(members)) >= maxMembers) {
+    return new AppError(ROOM_ERROR.FULL, `Room ${roomId} is full (${maxMembers} players)`);
+  }
+
+  return null;
+};
+
+/**
+ * Write a joining user's member entry
+ * A new entry and the totalMembers increment go in one update; the rules only
+ * accept the increment together with a member entry that did not exist yet, so
+ * the count cannot drift. A returning member only updates their own entry.
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Room data the join was checked against
+ * @param {string} userId - The user joining
+ * @param {Object} existingMember - Their current member entry, or null
+ * @param {Object} identity - Name and avatar from getMemberIdentity
+ * @param {boolean} asSpectator - Join to watch instead of play (new members only)
+ * @returns {Promise<Object>} The member entry as written
+ */
+const takeSeat = async (roomId, roomData, userId, existingMember, identity, asSpectator) => {
+  const memberPath = `rooms/${roomId}/members/${userId}`;
+
+  if (existingMember) {
+    // Restore the previous role, unless the host role moved on while they were gone
+    const otherHost = Object.entries(roomData.members || {}).find(
+      ([id, m]) => id !== userId && m.role === MEMBER_ROLE.HOST
+    );
+    const role = existingMember.role === MEMBER_ROLE.HOST && otherHost
+      ? MEMBER_ROLE.PLAYER
+      : existingMember.role || MEMBER_ROLE.PLAYER;
+    const wasPresent = getMemberStatus(existingMember) !== MEMBER_STATUS.OFFLINE;
+
+    // Field by field, so nothing else in the entry (ready, joinedAt, connections) is touched
+    const fields = {
+      ...identity, // The profile may have changed while they were away
+      role,
+      status: MEMBER_STATUS.ONLINE,
+      ...(wasPresent ? {} : { seatedAt: serverTimestamp() }),
+      lastChanged: serverTimestamp()
+    };
+    await batchUpdate(
+      Object.fromEntries(Object.entries(fields).map(([field, value]) => [`${memberPath}/${field}`, value])),
+      { label: 'joinRoom:rejoin' }
+    );
+    return { ...existingMember, ...fields };
+  }
+
+  // Late joiner - watch this round, play from the next one
+  const lateJoin = !asSpectator && isGameInProgress(getRoomPhase(roomData));
+  const member = {
+    ...createMemberData(identity, asSpectator || lateJoin ? MEMBER_ROLE.SPECTATOR : MEMBER_ROLE.PLAYER, MEMBER_STATUS.ONLINE),
+    ...(lateJoin ? { lateJoin: true } : {})
+  };
+
+  await batchUpdate({
+    [memberPath]: member,
+    [`rooms/${roomId}/totalMembers`]: increment(1)
+  }, { label: 'joinRoom' });
+  return member;
+};
+
+/**
+ * Confirm the seat a joining member just took
+ * Reads the roster again: when concurrent joins overfilled the room, the member
+ * who sat down last gives the seat back and the join fails. A new member's entry
+ * is removed again together with its count; a returning member goes back offline.
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Room data the join was checked against
+ * @param {string} userId - The member who took a seat
+ * @param {Object} member - Their member entry as written
+ * @param {boolean} rejoined - Whether the entry existed before this join
+ * @returns {Promise<void>}
+ * @throws {AppError} When the room turned out to be full
+ */
+const claimSeat = async (roomId, roomData, userId, member, rejoined) => {
+  const membersSnapshot = await get(ref(db, `rooms/${roomId}/members`));
+  const members = membersSnapshot.val() || {};
+  const spectating = isSpectator(member);
+  const capacity = spectating
+    ? roomData.maxSpectators ?? ROOM_CONFIG.DEFAULT_MAX_SPECTATORS
+    : roomData.maxMembers || ROOM_CONFIG.DEFAULT_MAX_MEMBERS;
+
+  if (!isSeated(spectating ? getSpectatorEntries(members) : getPlayerEntries(members), userId, capacity)) {
+    await batchUpdate(rejoined
+      ? { [`rooms/${roomId}/members/${userId}/status`]: MEMBER_STATUS.OFFLINE }
+      : { [`rooms/${roomId}/members/${userId}`]: null, [`rooms/${roomId}/totalMembers`]: increment(-1) },
+    { label: 'joinRoom:giveUpSeat' });
+    throw new AppError(ROOM_ERROR.FULL, spectating
+      ? `Room ${roomId} is full (${capacity} spectators)`
+      : `Room ${roomId} is full (${capacity} players)`);
+  }
+};
+
 /**
  * Join an existing room
- * Uses atomic operations to prevent race conditions
+ * The room is checked first (closed, ban, kick, password, capacity), then the
+ * user's own member entry is written together with the totalMembers increment
+ * in one update (see takeSeat); database rules let users write no other part
+ * of the room to join it. A user who already has a member entry (second tab,
+ * reconnect after leaving) rejoins with their previous role instead of being
+ * added again. When two tabs of a new user join at once, the rules refuse the
+ * second entry and that tab rejoins instead.
+ *
+ * Two users can pass the capacity check at the same time. Everyone who takes a
+ * seat records when (seatedAt) and checks the roster again afterwards; whoever
+ * came last to a room that is now over capacity gives the seat back and gets a
+ * FULL error (see isSeated).
+ *
+ * New members joining during the countdown or a running game join as
+ * spectators and become players when the room returns to the lobby.
+ * Members joining with asSpectator only watch: they use the room's spectator
+ * capacity and never count as players.
+ *
+ * Password-protected rooms need either the password or the invite token.
+ * The credential is first written as a grant under roomGrants/{roomId}/{userId};
+ * security rules only accept a grant that matches the room's secrets, and only
+ * accept a new member of a password room when their grant exists.
  *
  * @param {string} roomId - The room ID to join
  * @param {string} userId - The user ID joining
- * @returns {Promise<void>}
+ * @param {Object} [credentials]
+ * @param {string} [credentials.password] - Room password
+ * @param {string} [credentials.inviteToken] - Token from an invite link
+ * @param {boolean} [credentials.asSpectator] - Join to watch instead of play (ignored on rejoin)
+ * @returns {Promise<Object>} { rejoined: boolean, role: string }
+ * @throws {AppError} When the room does not exist, is closed, is full or the credentials are missing/wrong
  */
-export async function joinRoom(roomId, userId) {
+export async function joinRoom(roomId, userId, { password, inviteToken, asSpectator = false } = {}) {
   try {
-    const userName = getUserDisplayName(userId);
-    const roomRef = ref(db, `rooms/${roomId}`);
+    const identity = await getMemberIdentity(userId);
+    const hasGrant = await grantRoomAccess(roomId, userId, { password, inviteToken });
 
-    // Get current room data atomically
-    const snapshot = await getSnapshot(roomRef);
-    const roomData = snapshot.val();
+    const roomSnapshot = await get(ref(db, `rooms/${roomId}`));
+    const roomData = roomSnapshot.val();
 
     if (!roomData) {
-      throw new Error(`Room ${roomId} not found`);
+      throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
     }
 
-    // Check if room is closed
-    if (roomData.status === ROOM_STATUS.CLOSED || roomData.roomStatus === ROOM_STATUS.CLOSED) {
-      throw new Error(`Room ${roomId} is closed`);
+    const rejection = checkJoin(roomId, roomData, userId, { hasGrant, asSpectator });
+    if (rejection) {
+      throw rejection;
     }
 
-    // Prepare batch updates
-    const currentTotal = roomData.totalMembers || 0;
-    const updates = {
-      [`rooms/${roomId}/members/${userId}`]: createMemberData(userName, MEMBER_ROLE.PLAYER, MEMBER_STATUS.ONLINE),
-      [`rooms/${roomId}/totalMembers`]: currentTotal + 1
-    };
+    // Expired kick - clear it so the member is no longer flagged as kicked
+    if (roomData.kicks?.[userId]) {
+      await set(ref(db, `rooms/${roomId}/kicks/${userId}`), null);
+    }
 
-    await batchUpdate(updates);
+    let existingMember = roomData.members?.[userId] || null;
+    let member;
+    try {
+      member = await takeSeat(roomId, roomData, userId, existingMember, identity, asSpectator);
+    } catch (error) {
+      // Another tab of this user created the entry first; join as that member instead
+      if (existingMember) {
+        throw error;
+      }
+      existingMember = (await get(ref(db, `rooms/${roomId}/members/${userId}`))).val();
+      if (!existingMember) {
+        throw error;
+      }
+      member = await takeSeat(roomId, roomData, userId, existingMember, identity, asSpectator);
+    }
+
+    const rejoined = Boolean(existingMember);
+    const wasPresent = rejoined && getMemberStatus(existingMember) !== MEMBER_STATUS.OFFLINE;
+    const role = member.role;
+
+    // A second tab of a member who is already here took no seat
+    if (!wasPresent) {
+      await claimSeat(roomId, roomData, userId, member, rejoined);
+    }
+
+    console.log(`[joinRoom] ${rejoined ? 'Rejoined' : 'Joined'} room ${roomId} as ${role}`);
+
+    // A second tab of a member who is already here is not news
+    if (!wasPresent) {
+      await logRoomEvent(roomId, ROOM_EVENT.MEMBER_JOINED, userId, { name: member.name, role, rejoined });
+    }
 
+    if (!rejoined) {
+      await recordGameJoin(userId, roomId, roomData.gameId, role);
+    }
+
+    return { rejoined, role };
   } catch (error) {
     console.error('Error joining room:', error);
     throw error;
@@ -165,6 +565,66 @@ export function subscribeToRoom(roomId, callback) {
   return () => off(roomRef);
 }
 
+/**
+ * Build a shareable invite link for a room
+ * Hosts get a link carrying the invite token, which skips the password prompt.
+ * Other members get a plain link that still asks for the password if the room has one.
+ *
+ * @param {string} roomId - The room ID
+ * @param {boolean} includeToken - Whether to include the invite token (host only)
+ * @returns {Promise<string>} Invite URL
+ */
+export async function getInviteLink(roomId, includeToken = false) {
+  if (!includeToken) {
+    return buildInviteUrl(roomId);
+  }
+
+  const tokenSnapshot = await get(ref(db, `roomSecrets/${roomId}/inviteToken`));
+  return buildInviteUrl(roomId, tokenSnapshot.val());
+}
+
+/**
+ * Copy a changed profile into the user's member entry (live rename)
+ * Runs as a transaction so it never recreates a member that was removed
+ * (kicked, banned or cleaned up) in the meantime.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @param {Object} profile - { displayName, color, emoji } from the profile service
+ * @returns {Promise<boolean>} True when the member entry was updated
+ */
+export async function updateMemberProfile(roomId, userId, { displayName, color, emoji = null }) {
+  try {
+    let previousName = null;
+
+    const result = await runTransaction(ref(db, `rooms/${roomId}/members/${userId}`), (member) => {
+      previousName = null;
+
+      // Either the cache is empty (the server answers with the real entry)
+      // or the member is gone; writing null back changes nothing in both cases
+      if (member === null) {
+        return member;
+      }
+
+      previousName = member.name;
+      return { ...member, name: displayName, color, emoji: emoji || null };
+    }, { applyLocally: false });
+
+    if (!result.committed || !result.snapshot.exists()) {
+      return false;
+    }
+
+    if (previousName && previousName !== displayName) {
+      await logRoomEvent(roomId, ROOM_EVENT.MEMBER_RENAMED, userId, { previousName, name: displayName });
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error updating member profile:', error);
+    throw error;
+  }
+}
+
 /**
  * Leave a room
  *
@@ -174,6 +634,10 @@ export function subscribeToRoom(roomId, callback) {
  */
 export async function leaveRoom(roomId, userId) {
   try {
+    const nameSnapshot = await get(ref(db, `rooms/${roomId}/members/${userId}/name`));
+    const name = nameSnapshot.val() || getUserDisplayName(userId);
+    await logRoomEvent(roomId, ROOM_EVENT.MEMBER_LEFT, userId, { name });
+
     const memberRef = ref(db, `rooms/${roomId}/members/${userId}/status`);
     await set(memberRef, MEMBER_STATUS.OFFLINE);
   } catch (error) {
@@ -183,16 +647,22 @@ export async function leaveRoom(roomId, userId) {
 }
 
 /**
- * Get all rooms (both open and closed)
+ * Get all listed rooms (both open and closed)
+ * Database rules only let clients query the listed rooms; unlisted rooms are
+ * only included for platform staff (the admin panel), everyone else joins them
+ * by code or invite link
  *
  * @param {Function} callback - Callback function to receive rooms data
  * @param {boolean} includeClosedRooms - Whether to include closed rooms (default: true)
+ * @param {boolean} includeUnlisted - Whether to include unlisted rooms, staff only (default: false)
+ * @param {Function} [onError] - Called with the error when the rooms cannot be read
  * @returns {Function} Unsubscribe function
  */
-export function subscribeToAllRooms(callback, includeClosedRooms = true) {
+export function subscribeToAllRooms(callback, includeClosedRooms = true, includeUnlisted = false, onError = null) {
   const roomsRef = ref(db, 'rooms');
+  const roomsQuery = includeUnlisted ? roomsRef : query(roomsRef, orderByChild('listed'), equalTo(true));
 
-  onValue(roomsRef, (snapshot) => {
+  return onValue(roomsQuery, (snapshot) => {
     const data = snapshot.val();
     const rooms = [];
 
@@ -200,8 +670,9 @@ export function subscribeToAllRooms(callback, includeClosedRooms = true) {
 
     if (data) {
       Object.entries(data).forEach(([roomId, roomData]) => {
-        const isOpen = roomData.roomStatus === ROOM_STATUS.OPEN || roomData.status === ROOM_STATUS.ACTIVE;
-        const isClosed = roomData.roomStatus === ROOM_STATUS.CLOSED || roomData.status === ROOM_STATUS.CLOSED;
+        // Open and closed are always each other's opposite, whichever field says closed
+        const isClosed = isRoomClosed(roomData);
+        const isOpen = !isClosed;
 
         console.log(`🔍 Room ${roomId}:`, {
           roomStatus: roomData.roomStatus,
@@ -210,7 +681,7 @@ export function subscribeToAllRooms(callback, includeClosedRooms = true) {
           isClosed
         });
 
-        const shouldInclude = includeClosedRooms || (isOpen && !isClosed);
+        const shouldInclude = includeClosedRooms || isOpen;
 
         if (shouldInclude) {
           rooms.push({
@@ -233,44 +704,24 @@ export function subscribeToAllRooms(callback, includeClosedRooms = true) {
 
     console.log('🔍 [subscribeToAllRooms] Sending rooms to callback:', rooms.length, rooms);
     callback(rooms);
+  }, (error) => {
+    console.error('🔍 [subscribeToAllRooms] Error reading rooms:', error);
+    onError?.(error);
   });
-
-  return () => off(roomsRef);
 }
 
-/**
- * Find eligible players for host transfer
- * Priority: online players > away players
- *
- * @param {Array} membersList - Array of [userId, memberData] tuples
- * @param {string} currentHostId - Current host to exclude
- * @returns {Array|null} [newHostId, newHostData] or null if no eligible players
- */
-const findEligibleHost = (membersList, currentHostId) => {
-  const eligiblePlayers = membersList.filter(
-    ([userId, memberData]) => userId !== currentHostId && memberData.status === MEMBER_STATUS.ONLINE
-  );
-
-  if (eligiblePlayers.length > 0) {
-    return eligiblePlayers[0];
-  }
-
-  const awayPlayers = membersList.filter(
-    ([userId, memberData]) => userId !== currentHostId && memberData.status === MEMBER_STATUS.AWAY
-  );
-
-  return awayPlayers.length > 0 ? awayPlayers[0] : null;
-};
-
 /**
  * Transfer host role to another player
- * Called when the current host leaves the room
+ * Called automatically when the current host leaves the room, or by the
+ * host to hand over to a chosen member (targetId)
  *
  * @param {string} roomId - The room ID
- * @param {string} currentHostId - The current host's user ID (leaving)
+ * @param {string} currentHostId - The current host's user ID
+ * @param {string|null} targetId - Member to promote; null picks automatically using the room's succession policy
+ * @param {Object|null} [fencing] - The room steward's lease fence() result, written in the same update
  * @returns {Promise<string|null>} New host's user ID or null if no one to transfer to
  */
-export async function transferHost(roomId, currentHostId) {
+export async function transferHost(roomId, currentHostId, targetId = null, fencing = null) {
   try {
     console.log(`👑 [transferHost] Starting host transfer for room ${roomId}, current host: ${currentHostId}`);
 
@@ -284,10 +735,12 @@ export async function transferHost(roomId, currentHostId) {
     }
 
     const members = roomData.members || {};
-    const membersList = Object.entries(members);
 
-    // Find eligible host
-    const eligibleHost = findEligibleHost(membersList, currentHostId);
+    // Use the chosen member, or apply the room's succession policy
+    const target = members[targetId];
+    const eligibleHost = targetId
+      ? (target && getMemberStatus(target) !== MEMBER_STATUS.OFFLINE && !isSpectator(target) ? [targetId, target] : null)
+      : selectSuccessor(roomData, currentHostId);
 
     if (!eligibleHost) {
       console.log(`👑 [transferHost] No eligible players found. Room will close.`);
@@ -295,7 +748,7 @@ export async function transferHost(roomId, currentHostId) {
     }
 
     const [newHostId, newHostData] = eligibleHost;
-    console.log(`👑 [transferHost] Transferring to ${newHostData.status} player: ${newHostData.name} (${newHostId})`);
+    console.log(`👑 [transferHost] Transferring to ${getMemberStatus(newHostData)} player: ${newHostData.name} (${newHostId})`);
 
     // Validate new host
     if (!newHostId || !newHostData) {
@@ -319,14 +772,27 @@ export async function transferHost(roomId, currentHostId) {
       return currentHost[0];
     }
 
-    // Batch update: demote old host and promote new host
+    // Atomic update: demote old host and promote new host together
+    // A manual handoff is made by the host; automatic transfers have no actor.
+    // Database rules accept an automatic transfer only while the old host is not online
     const updates = {
+      [`rooms/${roomId}/hostId`]: newHostId,
       [`rooms/${roomId}/members/${currentHostId}/role`]: MEMBER_ROLE.PLAYER,
       [`rooms/${roomId}/members/${newHostId}/role`]: MEMBER_ROLE.HOST,
-      [`rooms/${roomId}/members/${newHostId}/lastChanged`]: serverTimestamp()
+      // A late joiner made host plays from now on, not from the next round
+      [`rooms/${roomId}/members/${newHostId}/lateJoin`]: null,
+      [`rooms/${roomId}/members/${newHostId}/lastChanged`]: serverTimestamp(),
+      ...buildRoomEventUpdate(roomId, ROOM_EVENT.HOST_TRANSFERRED, targetId ? currentHostId : null, {
+        from: currentHostId,
+        to: newHostId,
+        toName: newHostData.name,
+        previousHostStatus: getMemberStatus(members[currentHostId]) || null,
+        policy: targetId ? 'manual' : (roomData.successionPolicy || DEFAULT_SUCCESSION_POLICY)
+      }),
+      ...fencing
     };
 
-    await batchUpdate(updates);
+    await batchUpdate(updates, { label: 'transferHost' });
 
     console.log(`👑 [transferHost] Host transferred successfully to: ${newHostData.name} (${newHostId})`);
     return newHostId;
@@ -339,27 +805,31 @@ export async function transferHost(roomId, currentHostId) {
 
 /**
  * Close/terminate a room
- * Uses batch operations for efficient database writes
+ * All fields are written in one atomic multi-path update
  *
  * @param {string} roomId - The room ID to close
  * @param {string} reason - Reason for closing (optional)
+ * @param {string|null} actorId - User who closed the room, null for automatic closes
+ * @param {Object|null} [fencing] - The room steward's lease fence() result, written in the same update
  * @returns {Promise<void>}
  */
-export async function closeRoom(roomId, reason = 'Room closed by host') {
+export async function closeRoom(roomId, reason = 'Room closed by host', actorId = null, fencing = null) {
   try {
     const deleteTime = Date.now() + ROOM_MONITOR_CONFIG.DELETE_CLOSED_ROOM_AFTER;
     const deleteInSeconds = Math.round(ROOM_MONITOR_CONFIG.DELETE_CLOSED_ROOM_AFTER / 1000);
 
-    // Batch all updates together
+    // Commit all closing fields atomically so the room is never half-closed
     const updates = {
       [`rooms/${roomId}/roomStatus`]: ROOM_STATUS.CLOSED,
       [`rooms/${roomId}/status`]: ROOM_STATUS.CLOSED,
       [`rooms/${roomId}/closedAt`]: serverTimestamp(),
       [`rooms/${roomId}/closeReason`]: reason,
-      [`rooms/${roomId}/deleteAt`]: deleteTime
+      [`rooms/${roomId}/deleteAt`]: deleteTime,
+      ...buildRoomEventUpdate(roomId, ROOM_EVENT.ROOM_CLOSED, actorId, { closeReason: reason }),
+      ...fencing
     };
 
-    await batchUpdate(updates);
+    await batchUpdate(updates, { label: 'closeRoom' });
 
     console.log('Room closed:', roomId, 'Reason:', reason, `| Will delete in ${deleteInSeconds}s`);
   } catch (error) {
@@ -369,163 +839,584 @@ export async function closeRoom(roomId, reason = 'Room closed by host') {
 }
 
 /**
- * Calculate player counts from members
+ * Close any room as platform staff (admin or moderator)
+ * The actor does not have to be a member; database rules check the platformRole claim.
  *
- * @param {Object} members - Room members object
- * @returns {Object} Player counts by status
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Admin or moderator closing the room
+ * @param {string} reason - Reason shown in the lobby and the room history
+ * @returns {Promise<void>}
+ * @throws {AppError} When the actor is not platform staff or the room does not exist
  */
-const calculatePlayerCounts = (members = {}) => {
-  const membersList = Object.entries(members);
+export async function forceCloseRoom(roomId, actorId, reason = 'Closed by a moderator') {
+  try {
+    if (!isPlatformStaff(await getPlatformRole())) {
+      throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Only platform admins and moderators can force-close rooms');
+    }
 
-  return {
-    activePlayers: membersList.filter(([, m]) => m.status === MEMBER_STATUS.ONLINE).length,
-    awayPlayers: membersList.filter(([, m]) => m.status === MEMBER_STATUS.AWAY).length,
-    offlinePlayers: membersList.filter(([, m]) => m.status === MEMBER_STATUS.OFFLINE).length,
-    totalPlayers: membersList.length
-  };
+    const statusSnapshot = await get(ref(db, `rooms/${roomId}/roomStatus`));
+    if (!statusSnapshot.exists()) {
+      throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    await closeRoom(roomId, reason, actorId);
+    console.log(`🛡️ [forceCloseRoom] Room ${roomId} force-closed by ${actorId}`);
+  } catch (error) {
+    console.error('Error force-closing room:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load a room and check that the actor is its host
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - User performing the action
+ * @param {string} memberId - Member the action targets
+ * @returns {Promise<Object>} The room data
+ * @throws {AppError} When the actor is not the host or the target is not a member
+ */
+const loadRoomForHostAction = async (roomId, actorId, memberId) => {
+  const snapshot = await getSnapshot(ref(db, `rooms/${roomId}`));
+  const roomData = snapshot.val();
+
+  if (!roomData) {
+    throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+  }
+
+  if (roomData.members?.[actorId]?.role !== MEMBER_ROLE.HOST) {
+    throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Only the host can do that');
+  }
+
+  if (actorId === memberId || !roomData.members?.[memberId]) {
+    throw new AppError(ROOM_ERROR.INVALID_TARGET, 'Choose another member of the room');
+  }
+
+  if (isSpectator(roomData.members[memberId])) {
+    throw new AppError(ROOM_ERROR.INVALID_TARGET, 'Spectators cannot become host or co-host');
+  }
+
+  return roomData;
 };
 
 /**
- * Get room status information
+ * Hand the host role to a chosen member
+ * The current host becomes a regular player
  *
  * @param {string} roomId - The room ID
- * @returns {Promise<Object>} Room status information
+ * @param {string} actorId - Current host
+ * @param {string} newHostId - Member to promote
+ * @returns {Promise<void>}
+ * @throws {AppError} When the actor is not the host (also when the host changed
+ *   meanwhile) or the target is offline or spectating
  */
-export async function getRoomStatus(roomId) {
-  const roomRef = ref(db, `rooms/${roomId}`);
-  const snapshot = await getSnapshot(roomRef);
+export async function promoteToHost(roomId, actorId, newHostId) {
+  try {
+    const roomData = await loadRoomForHostAction(roomId, actorId, newHostId);
+
+    const result = await transferHost(roomId, actorId, newHostId);
+    if (result === newHostId) {
+      return;
+    }
+
+    // transferHost answers with whoever holds the role when someone else moved it first
+    if (result) {
+      const hostName = roomData.members?.[result]?.name || 'Another member';
+      throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, `${hostName} is already the host now`);
+    }
+    throw new AppError(ROOM_ERROR.INVALID_TARGET, 'That member is offline and cannot become host');
+  } catch (error) {
+    console.error('Error promoting member to host:', error);
+    throw error;
+  }
+}
+
+/**
+ * Grant or revoke the co-host role
+ * Co-hosts can moderate players and are preferred when the host role is transferred automatically
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @param {string} memberId - Member to update
+ * @param {boolean} isCoHost - true to grant, false to revoke
+ * @returns {Promise<void>}
+ */
+export async function setCoHost(roomId, actorId, memberId, isCoHost) {
+  try {
+    await loadRoomForHostAction(roomId, actorId, memberId);
+
+    await batchUpdate({
+      [`rooms/${roomId}/members/${memberId}/role`]: isCoHost ? MEMBER_ROLE.CO_HOST : MEMBER_ROLE.PLAYER,
+      [`rooms/${roomId}/members/${memberId}/lateJoin`]: null,
+      [`rooms/${roomId}/members/${memberId}/lastChanged`]: serverTimestamp()
+    }, { label: 'setCoHost' });
+
+    console.log(`👑 [setCoHost] ${memberId} ${isCoHost ? 'is now a co-host' : 'is no longer a co-host'} in room ${roomId}`);
+  } catch (error) {
+    console.error('Error updating co-host:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the explicit host succession order (used by the priority-order policy)
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @param {string[]} successionOrder - Member user IDs, first in line first
+ * @returns {Promise<void>}
+ */
+export async function setSuccessionOrder(roomId, actorId, successionOrder) {
+  try {
+    const snapshot = await getSnapshot(ref(db, `rooms/${roomId}`));
+    const roomData = snapshot.val();
+
+    if (!roomData) {
+      throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (roomData.members?.[actorId]?.role !== MEMBER_ROLE.HOST) {
+      throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Only the host can change the succession order');
+    }
+
+    // Drop unknown users and duplicates so the stored list stays meaningful
+    const members = roomData.members || {};
+    const cleanOrder = [...new Set(successionOrder)].filter((userId) => members[userId]);
+
+    await set(ref(db, `rooms/${roomId}/successionOrder`), cleanOrder);
+  } catch (error) {
+    console.error('Error setting succession order:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load a room and check that the actor may moderate the target member
+ * The host and co-hosts can moderate; co-hosts cannot moderate the host or
+ * other co-hosts, and nobody can moderate themselves. Platform staff
+ * (admins and moderators) can moderate anyone in any room.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - User performing the action
+ * @param {string} memberId - User being moderated
+ * @returns {Promise<Object>} The room data
+ * @throws {AppError} When the room is missing or the action is not allowed
+ */
+const loadRoomForModeration = async (roomId, actorId, memberId) => {
+  const snapshot = await getSnapshot(ref(db, `rooms/${roomId}`));
   const roomData = snapshot.val();
 
   if (!roomData) {
-    throw new Error('Room not found');
+    throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+  }
+
+  if (actorId === memberId) {
+    throw new AppError(ROOM_ERROR.INVALID_TARGET, 'You cannot moderate yourself');
+  }
+
+  const actorRole = roomData.members?.[actorId]?.role;
+  if (actorRole !== MEMBER_ROLE.HOST && actorRole !== MEMBER_ROLE.CO_HOST) {
+    if (isPlatformStaff(await getPlatformRole())) {
+      return roomData;
+    }
+    throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Only the host or a co-host can moderate members');
   }
 
-  const playerCounts = calculatePlayerCounts(roomData.members);
+  const targetRole = roomData.members?.[memberId]?.role;
+  if (actorRole === MEMBER_ROLE.CO_HOST && (targetRole === MEMBER_ROLE.HOST || targetRole === MEMBER_ROLE.CO_HOST)) {
+    throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Co-hosts cannot moderate the host or other co-hosts');
+  }
+
+  return roomData;
+};
+
+/**
+ * Build the updates that remove a member from the room
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} roomData - Current room data
+ * @param {string} memberId - Member to remove
+ * @returns {Object} Multi-path updates
+ */
+const buildRemoveMemberUpdates = (roomId, roomData, memberId) => {
+  if (!roomData.members?.[memberId]) {
+    return {};
+  }
 
   return {
-    status: roomData.status,
-    roomStatus: roomData.roomStatus,
-    ...playerCounts,
-    stats: roomData.stats
+    [`rooms/${roomId}/members/${memberId}`]: null,
+    [`rooms/${roomId}/totalMembers`]: increment(-1)
   };
+};
+
+/**
+ * Kick a member out of the room
+ * The member is removed and may rejoin after ROOM_CONFIG.KICK_REJOIN_COOLDOWN.
+ * The kick record tells the affected client why it was removed.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Host or co-host performing the kick
+ * @param {string} memberId - Member to kick
+ * @param {string} reason - Reason shown to the kicked member
+ * @returns {Promise<void>}
+ */
+export async function kickMember(roomId, actorId, memberId, reason = 'Kicked by host') {
+  try {
+    const roomData = await loadRoomForModeration(roomId, actorId, memberId);
+    const memberName = roomData.members?.[memberId]?.name || getUserDisplayName(memberId);
+
+    await batchUpdate({
+      ...buildRemoveMemberUpdates(roomId, roomData, memberId),
+      [`rooms/${roomId}/kicks/${memberId}`]: {
+        reason,
+        by: actorId,
+        at: serverTimestamp(),
+        until: Date.now() + ROOM_CONFIG.KICK_REJOIN_COOLDOWN
+      },
+      ...buildRoomEventUpdate(roomId, ROOM_EVENT.MEMBER_KICKED, actorId, { memberId, name: memberName, reason })
+    }, { label: 'kickMember' });
+
+    console.log(`🛡️ [kickMember] ${memberId} kicked from room ${roomId}: ${reason}`);
+  } catch (error) {
+    console.error('Error kicking member:', error);
+    throw error;
+  }
 }
 
 /**
- * Determine room status based on player activity
+ * Ban a member from the room
+ * The member is removed and joinRoom refuses them until they are unbanned.
  *
- * @param {Object} playerCounts - Player counts by status
- * @returns {string} Room status
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Host or co-host performing the ban
+ * @param {string} memberId - Member to ban
+ * @param {string} reason - Reason shown to the banned member
+ * @returns {Promise<void>}
  */
-const determineRoomStatus = ({ activePlayers, awayPlayers, offlinePlayers }) => {
-  if (activePlayers === 0 && awayPlayers === 0 && offlinePlayers > 0) {
-    return ROOM_STATUS.EMPTY;
+export async function banMember(roomId, actorId, memberId, reason = 'Banned by host') {
+  try {
+    const roomData = await loadRoomForModeration(roomId, actorId, memberId);
+
+    await batchUpdate({
+      ...buildRemoveMemberUpdates(roomId, roomData, memberId),
+      [`rooms/${roomId}/bans/${memberId}`]: {
+        name: roomData.members?.[memberId]?.name || getUserDisplayName(memberId),
+        reason,
+        by: actorId,
+        at: serverTimestamp()
+      },
+      [`rooms/${roomId}/mutes/${memberId}`]: null,
+      ...buildRoomEventUpdate(roomId, ROOM_EVENT.MEMBER_BANNED, actorId, { memberId, reason })
+    }, { label: 'banMember' });
+
+    console.log(`🛡️ [banMember] ${memberId} banned from room ${roomId}: ${reason}`);
+  } catch (error) {
+    console.error('Error banning member:', error);
+    throw error;
   }
-  if (activePlayers === 0 && awayPlayers > 0) {
-    return ROOM_STATUS.IDLE;
+}
+
+/**
+ * Lift a ban so the user can join the room again
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Host or co-host lifting the ban
+ * @param {string} memberId - Banned user
+ * @returns {Promise<void>}
+ */
+export async function unbanMember(roomId, actorId, memberId) {
+  try {
+    await loadRoomForModeration(roomId, actorId, memberId);
+    await set(ref(db, `rooms/${roomId}/bans/${memberId}`), null);
+    console.log(`🛡️ [unbanMember] ${memberId} unbanned in room ${roomId}`);
+  } catch (error) {
+    console.error('Error unbanning member:', error);
+    throw error;
   }
-  return ROOM_STATUS.ACTIVE;
-};
+}
 
 /**
- * Update room status based on player activity
- * OPTIMIZED: Only writes to Firebase when values actually change
+ * Mute or unmute a member
+ * Muted members stay in the room but are flagged as muted for everyone
  *
  * @param {string} roomId - The room ID
+ * @param {string} actorId - Host or co-host performing the action
+ * @param {string} memberId - Member to (un)mute
+ * @param {boolean} muted - true to mute, false to unmute
+ * @param {string} reason - Reason shown to the muted member
  * @returns {Promise<void>}
  */
-export async function updateRoomStatus(roomId) {
+export async function setMemberMuted(roomId, actorId, memberId, muted, reason = 'Muted by host') {
   try {
-    console.log(`[updateRoomStatus] ===== Starting update for room ${roomId} =====`);
-    const roomRef = ref(db, `rooms/${roomId}`);
+    const roomData = await loadRoomForModeration(roomId, actorId, memberId);
 
-    // Get current room data
-    const roomSnapshot = await getSnapshot(roomRef);
-    const roomData = roomSnapshot.val();
+    if (!roomData.members?.[memberId]) {
+      throw new AppError(ROOM_ERROR.INVALID_TARGET, 'That user is not in the room');
+    }
 
-    if (!roomData) {
-      throw new Error('Room not found');
+    const muteRecord = muted
+      ? { reason, by: actorId, at: serverTimestamp() }
+      : null;
+
+    await set(ref(db, `rooms/${roomId}/mutes/${memberId}`), muteRecord);
+    console.log(`🛡️ [setMemberMuted] ${memberId} ${muted ? 'muted' : 'unmuted'} in room ${roomId}`);
+  } catch (error) {
+    console.error('Error updating mute:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change the room phase inside a transaction on rooms/{roomId}/game
+ * The room is read first to check the actor; `prepare` then runs in the
+ * transaction handler with a copy of the game state, the room data and the
+ * server time. It returns an AppError to refuse the change, or updates the game
+ * fields that should be written with the new phase. Database rules check the
+ * phase change itself (who may make it, and when the countdown may end).
+ *
+ * @param {string} roomId - The room ID
+ * @param {string|null} actorId - Must be the host; null lets any member trigger the change
+ * @param {string} toPhase - One of ROOM_PHASE
+ * @param {Function} [prepare] - (game, roomData, serverNow) => AppError|null
+ * @returns {Promise<Object>} The committed game state
+ * @throws {AppError} When the room is missing, the actor is not the host or the change is not allowed
+ */
+const transitionRoomPhase = async (roomId, actorId, toPhase, prepare = () => null) => {
+  const serverNow = await getServerTime();
+  const roomSnapshot = await get(ref(db, `rooms/${roomId}`));
+  const roomData = roomSnapshot.val();
+
+  if (!roomData) {
+    throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+  }
+
+  if (actorId && roomData.members?.[actorId]?.role !== MEMBER_ROLE.HOST) {
+    throw new AppError(ROOM_ERROR.NOT_AUTHORIZED, 'Only the host can do that');
+  }
+
+  // Set inside the transaction handler, which may run several times
+  let rejection = null;
+
+  const result = await runTransaction(ref(db, `rooms/${roomId}/game`), (current) => {
+    rejection = null;
+
+    // The first run can see an empty local cache; the server answers with the
+    // real game state. Rooms created before phases existed have none and start
+    // from the lobby
+    if (current === null && roomData.game) {
+      return current;
     }
 
-    console.log(`[updateRoomStatus] Current room data:`, {
-      status: roomData.status,
-      stats: roomData.stats
-    });
+    const game = { ...createGameState(), ...current };
+    const fromPhase = getRoomPhase({ game });
+    if (!canTransitionPhase(fromPhase, toPhase)) {
+      rejection = new AppError(ROOM_ERROR.INVALID_PHASE, `Cannot go from ${fromPhase} to ${toPhase}`);
+      return; // Abort
+    }
 
-    // Don't update if room is already closed
-    if (roomData.status === ROOM_STATUS.CLOSED || roomData.roomStatus === ROOM_STATUS.CLOSED) {
-      console.log(`[updateRoomStatus] Room ${roomId} is closed, skipping update`);
-      return;
+    rejection = prepare(game, roomData, serverNow);
+    if (rejection) {
+      return; // Abort
     }
 
-    // Calculate current status
-    const status = await getRoomStatus(roomId);
-    console.log(`[updateRoomStatus] Calculated status:`, status);
+    game.phase = toPhase;
+    game.phaseChangedAt = serverTimestamp();
+    return game;
+  }, { applyLocally: false });
 
-    const newStatus = determineRoomStatus(status);
-    console.log(`[updateRoomStatus] Determined new status: ${newStatus.toUpperCase()}`);
+  if (rejection) {
+    throw rejection;
+  }
 
-    const currentStatus = roomData.status;
-    const currentStats = roomData.stats || {};
+  if (!result.committed || !result.snapshot.exists()) {
+    throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
+  }
 
-    // Check if stats actually changed
-    const statsChanged =
-      currentStats.activePlayers !== status.activePlayers ||
-      currentStats.awayPlayers !== status.awayPlayers ||
-      currentStats.offlinePlayers !== status.offlinePlayers ||
-      currentStats.totalPlayers !== status.totalPlayers;
+  console.log(`🎮 [transitionRoomPhase] Room ${roomId} is now in phase: ${toPhase}`);
+  return result.snapshot.val();
+};
 
-    // Check if status changed
-    const statusChanged = currentStatus !== newStatus;
+/**
+ * Leave the countdown for the lobby (transitionRoomPhase `prepare`)
+ *
+ * @param {Object} game - Game state to update
+ * @returns {AppError|null}
+ */
+const prepareCountdownCancel = (game) => {
+  if (game.phase !== ROOM_PHASE.COUNTDOWN) {
+    return new AppError(ROOM_ERROR.INVALID_PHASE, 'There is no countdown to cancel');
+  }
+  game.countdownEndsAt = null;
+  return null;
+};
 
-    // Only write if something actually changed
-    if (!statusChanged && !statsChanged) {
-      console.log(`[updateRoomStatus] Room ${roomId} - no changes detected, skipping write`);
-      return;
+/**
+ * Mark the current user as ready (or not) for the next game
+ * Un-readying during the countdown cancels it and returns the room to the lobby.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The member changing their ready flag
+ * @param {boolean} ready - true when ready to play
+ * @returns {Promise<void>}
+ * @throws {AppError} When the game is running or the member cannot play
+ */
+export async function setMemberReady(roomId, userId, ready) {
+  try {
+    const snapshot = await get(ref(db, `rooms/${roomId}`));
+    const roomData = snapshot.val();
+
+    if (!roomData) {
+      throw new AppError(ROOM_ERROR.NOT_FOUND, `Room ${roomId} not found`);
     }
 
-    console.log(`[updateRoomStatus] Room ${roomId} updating:`, {
-      statusChanged: statusChanged ? `${currentStatus} → ${newStatus}` : 'no change',
-      statsChanged: statsChanged ? `${currentStats.activePlayers}→${status.activePlayers} active` : 'no change'
-    });
+    const phase = getRoomPhase(roomData);
+    if (phase !== ROOM_PHASE.LOBBY && phase !== ROOM_PHASE.COUNTDOWN) {
+      throw new AppError(ROOM_ERROR.INVALID_PHASE, 'You can only change ready status in the lobby');
+    }
 
-    // Prepare batch updates
-    const updates = {};
+    const member = roomData.members?.[userId];
+    if (!member || member.role === MEMBER_ROLE.SPECTATOR) {
+      throw new AppError(ROOM_ERROR.INVALID_TARGET, 'Only players can get ready');
+    }
 
-    // Update status if changed
-    if (statusChanged) {
-      updates[`rooms/${roomId}/status`] = newStatus;
-      updates[`rooms/${roomId}/statusUpdatedAt`] = serverTimestamp();
+    await set(ref(db, `rooms/${roomId}/members/${userId}/ready`), ready);
 
-      // Handle inactiveSince timestamp
-      if (newStatus === ROOM_STATUS.IDLE || newStatus === ROOM_STATUS.EMPTY) {
-        if (!roomData.inactiveSince) {
-          updates[`rooms/${roomId}/inactiveSince`] = Date.now();
-          console.log(`[updateRoomStatus] Room ${roomId} became ${newStatus}, setting inactiveSince`);
-        }
-      } else if (newStatus === ROOM_STATUS.ACTIVE) {
-        if (roomData.inactiveSince !== null) {
-          updates[`rooms/${roomId}/inactiveSince`] = null;
-        }
-        updates[`rooms/${roomId}/lastActiveAt`] = Date.now();
-        console.log(`[updateRoomStatus] Room ${roomId} became active, clearing inactiveSince`);
-      }
+    if (ready) return;
+
+    // Checked against the phase as it is now, so a countdown the host started
+    // while this member was un-readying is still cancelled
+    try {
+      await transitionRoomPhase(roomId, null, ROOM_PHASE.LOBBY, prepareCountdownCancel);
+      console.log(`🎮 [setMemberReady] ${userId} is no longer ready, countdown cancelled in room ${roomId}`);
+    } catch (error) {
+      if (error.code !== ROOM_ERROR.INVALID_PHASE) throw error;
     }
+  } catch (error) {
+    console.error('Error updating ready status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the countdown to a new game once every present player is ready
+ * The countdown deadline is stored in server time so all clients agree on it.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @returns {Promise<Object>} The game state ({ phase, round, countdownEndsAt, ... })
+ * @throws {AppError} When not everyone is ready or there are too few players
+ */
+export async function startGame(roomId, actorId) {
+  try {
+    return await transitionRoomPhase(roomId, actorId, ROOM_PHASE.COUNTDOWN, (game, roomData, serverNow) => {
+      const { playerCount, allReady } = getReadyState(roomData.members);
+
+      if (playerCount < GAME_CONFIG.MIN_PLAYERS_TO_START) {
+        return new AppError(ROOM_ERROR.NOT_READY, `At least ${GAME_CONFIG.MIN_PLAYERS_TO_START} players are needed to start`);
+      }
 
-    // Update stats if changed
-    if (statsChanged) {
-      updates[`rooms/${roomId}/stats`] = createRoomStats(
-        status.activePlayers,
-        status.awayPlayers,
-        status.offlinePlayers,
-        status.totalPlayers
-      );
+      if (!allReady) {
+        return new AppError(ROOM_ERROR.NOT_READY, 'Not every player is ready');
+      }
+
+      game.round = (game.round || 0) + 1;
+      game.countdownEndsAt = serverNow + GAME_CONFIG.COUNTDOWN_DURATION;
+      return null;
+    });
+  } catch (error) {
+    console.error('Error starting game:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a running countdown and return to the lobby
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @returns {Promise<void>}
+ */
+export async function cancelCountdown(roomId, actorId) {
+  try {
+    await transitionRoomPhase(roomId, actorId, ROOM_PHASE.LOBBY, prepareCountdownCancel);
+  } catch (error) {
+    console.error('Error cancelling countdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move from the countdown into the game once the countdown deadline has passed
+ * Every client calls this when its countdown reaches zero; the first call wins
+ * and the others resolve to false.
+ *
+ * @param {string} roomId - The room ID
+ * @returns {Promise<boolean>} true if this call started the game
+ */
+export async function beginRound(roomId) {
+  try {
+    await transitionRoomPhase(roomId, null, ROOM_PHASE.IN_GAME, (game, roomData, serverNow) => {
+      if (!game.countdownEndsAt || serverNow < game.countdownEndsAt) {
+        return new AppError(ROOM_ERROR.INVALID_PHASE, 'The countdown has not finished yet');
+      }
+      game.countdownEndsAt = null;
+      game.startedAt = serverTimestamp();
+      return null;
+    });
+    return true;
+  } catch (error) {
+    if (error.code === ROOM_ERROR.INVALID_PHASE) {
+      // Another client already started the round, or the countdown was cancelled
+      return false;
     }
+    console.error('Error beginning round:', error);
+    throw error;
+  }
+}
 
-    // Execute batch update
-    await batchUpdate(updates);
+/**
+ * End the running game and show the results
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @returns {Promise<void>}
+ */
+export async function endGame(roomId, actorId) {
+  try {
+    await transitionRoomPhase(roomId, actorId, ROOM_PHASE.RESULTS, (game) => {
+      game.endedAt = serverTimestamp();
+      return null;
+    });
+  } catch (error) {
+    console.error('Error ending game:', error);
+    throw error;
+  }
+}
+
+/**
+ * Return from the results to the lobby for another round
+ * Once the phase has changed, ready flags are cleared and late joiners become
+ * players (see getLobbyMemberUpdates).
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} actorId - Current host
+ * @returns {Promise<void>}
+ */
+export async function returnToLobby(roomId, actorId) {
+  try {
+    await transitionRoomPhase(roomId, actorId, ROOM_PHASE.LOBBY);
+
+    const membersSnapshot = await get(ref(db, `rooms/${roomId}/members`));
+    const memberUpdates = getLobbyMemberUpdates(membersSnapshot.val());
+    const updates = Object.fromEntries(
+      Object.entries(memberUpdates).map(([path, value]) => [`rooms/${roomId}/members/${path}`, value])
+    );
 
+    if (Object.keys(updates).length > 0) {
+      await batchUpdate(updates, { label: 'returnToLobby' });
+    }
   } catch (error) {
-    console.error('Error updating room status:', error);
+    console.error('Error returning to lobby:', error);
     throw error;
   }
 }
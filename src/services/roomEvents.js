@@ -0,0 +1,91 @@
+import { ref, push, onValue, query, orderByKey, limitToLast, serverTimestamp } from 'firebase/database';
+import { db, auth } from '../config/firebase';
+import { batchUpdate } from './writes';
+
+// Append-only log of what happened in a room:
+//   roomEvents/{roomId}/{eventId} = { type, actorId, payload, at, recordedBy }
+// actorId is who caused the event (null for automatic events), recordedBy is the
+// client that wrote it. The onRoomEventCreated Cloud Function posts joins, leaves,
+// renames, host changes and moderation to the room chat. When the room is deleted,
+// the archiveDeletedRoom Cloud Function copies the log to Firestore
+// (GameHistory/{gameId}/Events/{eventId}).
+// database.rules.json only accepts these types, written by a room member (or
+// staff) in their own name
+export const ROOM_EVENT = {
+  ROOM_CREATED: 'room-created',
+  MEMBER_JOINED: 'member-joined',
+  MEMBER_LEFT: 'member-left',
+  MEMBER_RENAMED: 'member-renamed',
+  HOST_TRANSFERRED: 'host-transferred',
+  MEMBER_KICKED: 'member-kicked',
+  MEMBER_BANNED: 'member-banned',
+  AFK_TIMEOUT: 'afk-timeout',
+  ROOM_CLOSED: 'room-closed'
+};
+
+const eventsPath = (roomId) => `roomEvents/${roomId}`;
+
+/**
+ * Build the multi-path update entry for a new event
+ * Spread the result into a batchUpdate so the event is written atomically with
+ * the change it describes (e.g. the host transfer itself).
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} type - One of ROOM_EVENT
+ * @param {string|null} actorId - User who caused the event, null for automatic events
+ * @param {Object} [payload] - Event specific details
+ * @returns {Object} { [path]: eventData }
+ */
+export function buildRoomEventUpdate(roomId, type, actorId, payload = {}) {
+  const eventId = push(ref(db, eventsPath(roomId))).key;
+
+  return {
+    [`${eventsPath(roomId)}/${eventId}`]: {
+      type,
+      actorId: actorId || null,
+      payload,
+      at: serverTimestamp(),
+      recordedBy: auth.currentUser?.uid || null
+    }
+  };
+}
+
+/**
+ * Append a single event on its own
+ * Best-effort: logging must never break the operation being logged.
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} type - One of ROOM_EVENT
+ * @param {string|null} actorId - User who caused the event
+ * @param {Object} [payload] - Event specific details
+ * @returns {Promise<void>}
+ */
+export async function logRoomEvent(roomId, type, actorId, payload = {}) {
+  try {
+    await batchUpdate(buildRoomEventUpdate(roomId, type, actorId, payload), { label: `roomEvent:${type}` });
+  } catch (error) {
+    console.warn(`📜 [logRoomEvent] Could not record ${type} for room ${roomId}:`, error.message);
+  }
+}
+
+/**
+ * Subscribe to the most recent events of a room
+ *
+ * @param {string} roomId - The room ID
+ * @param {Function} callback - Receives the events, oldest first
+ * @param {number} limit - Number of recent events to follow
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRoomEvents(roomId, callback, limit = 50) {
+  const recentQuery = query(ref(db, eventsPath(roomId)), orderByKey(), limitToLast(limit));
+
+  return onValue(recentQuery, (snapshot) => {
+    const events = [];
+    snapshot.forEach((child) => {
+      events.push({ id: child.key, ...child.val() });
+    });
+    callback(events);
+  }, (error) => {
+    console.error(`📜 [subscribeToRoomEvents] Error reading events for room ${roomId}:`, error);
+  });
+}
@@ -0,0 +1,75 @@
+import { ref, update } from 'firebase/database';
+import { db } from '../config/firebase';
+import { AppError, WRITE_ERROR } from './errors';
+
+/**
+ * Normalize a database path so prefix checks are reliable
+ *
+ * @param {string} path - Path such as "rooms/ABC123/status" or "/rooms/ABC123/"
+ * @returns {string} Path without leading/trailing slashes
+ */
+const normalizePath = (path) => path.replace(/^\/+|\/+$/g, '');
+
+/**
+ * Find two paths where one is an ancestor of the other
+ * RTDB rejects such updates, so we report them before sending anything
+ *
+ * @param {string[]} paths - Normalized paths
+ * @returns {Array|null} [ancestor, descendant] or null if paths are independent
+ */
+const findOverlappingPaths = (paths) => {
+  const sorted = [...paths].sort();
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (sorted[i] === previous || sorted[i].startsWith(`${previous}/`)) {
+      return [previous, sorted[i]];
+    }
+  }
+  return null;
+};
+
+/**
+ * Commit several paths as ONE atomic multi-path (fan-out) update
+ * Either every path is written or none is, so a logical operation such as
+ * "demote old host + promote new host" can never be left half-applied.
+ *
+ * Values may contain serverTimestamp() / increment() sentinels from
+ * firebase/database; they are resolved by the server as part of the same commit.
+ *
+ * @param {Object} updates - Map of absolute path → value (null deletes the path)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Name of the logical operation, used in errors and logs
+ * @returns {Promise<void>}
+ * @throws {AppError} WRITE_ERROR when the update is invalid or rejected by the server
+ */
+export async function batchUpdate(updates, { label = 'batchUpdate' } = {}) {
+  const normalized = {};
+  Object.entries(updates).forEach(([path, value]) => {
+    normalized[normalizePath(path)] = value;
+  });
+
+  const paths = Object.keys(normalized);
+
+  if (paths.length === 0) {
+    throw new AppError(WRITE_ERROR.EMPTY, `[${label}] Nothing to write`, { paths });
+  }
+
+  const overlap = findOverlappingPaths(paths);
+  if (overlap) {
+    throw new AppError(
+      WRITE_ERROR.OVERLAPPING_PATHS,
+      `[${label}] Paths "${overlap[0]}" and "${overlap[1]}" overlap; nothing was written`,
+      { paths }
+    );
+  }
+
+  try {
+    await update(ref(db), normalized);
+  } catch (error) {
+    throw new AppError(
+      WRITE_ERROR.FAILED,
+      `[${label}] Atomic update of ${paths.length} path(s) was rejected, nothing was written: ${error.message}`,
+      { paths, cause: error }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { SUCCESSION_POLICY } from './roomState';
+
+/**
+ * Host succession policies
+ *
+ * The automatic host transfer may run in any client or in Cloud Functions, so the
+ * choice of successor must not depend on object key order or anything else that
+ * differs between them. Candidates are always ranked by:
+ *   1. status tier (online before away; offline members and spectators are never eligible)
+ *   2. the room's policy
+ *   3. user ID, as a final tie-breaker
+ */
+
+// Policies and the ranking itself are shared with Cloud Functions (roomState.js)
+export {
+  SUCCESSION_POLICY,
+  DEFAULT_SUCCESSION_POLICY,
+  rankSuccessors,
+  selectSuccessor
+} from './roomState';
+
+// Human readable labels for the UI
+export const SUCCESSION_POLICY_LABELS = {
+  [SUCCESSION_POLICY.CO_HOST_FIRST]: 'Co-host first',
+  [SUCCESSION_POLICY.LONGEST_TENURED]: 'Longest in room',
+  [SUCCESSION_POLICY.LOWEST_LATENCY]: 'Lowest ping',
+  [SUCCESSION_POLICY.PRIORITY_ORDER]: 'Host-defined order'
+};
+
+/**
+ * Check whether a policy value is known
+ * @param {string} policy
+ * @returns {boolean}
+ */
+export function isValidSuccessionPolicy(policy) {
+  return Object.values(SUCCESSION_POLICY).includes(policy);
+}
@@ -0,0 +1,115 @@
+/**
+ * Lease records
+ *
+ * A lease gives one holder at a time the right to do a job (clean rooms, steward
+ * a room) until expiresAt. The holder renews it well before it expires and
+ * expires it on disconnect, so another client takes over within a TTL at worst.
+ * These functions decide what a lease transaction writes; services/lease.js
+ * runs them against the database.
+ *
+ * Record: { holderId, uid, expiresAt, token, acquiredAt }
+ *   holderId   - One client (browser tab); a user may have several
+ *   uid        - Auth uid of that client, checked by the database rules
+ *   expiresAt  - Server time in milliseconds
+ *   token      - Fencing token: goes up by one every time the lease changes hands
+ *                (or is taken again after expiring), and stays the same on renewal
+ *   acquiredAt - When the current holder took the lease
+ *
+ * A lease is never deleted, only expired, so tokens keep increasing.
+ */
+
+/**
+ * Create an ID for this client, unique across tabs of the same user
+ *
+ * @param {string} [prefix] - Readable prefix for logs, e.g. the user ID
+ * @returns {string} Holder ID
+ */
+export function createHolderId(prefix = 'client') {
+  return `${prefix}_${Math.random().toString(36).substr(2, 9)}_${Date.now()}`;
+}
+
+/**
+ * Whether nobody holds the lease
+ *
+ * @param {Object|null} lease - Lease record
+ * @param {number} now - Server time in milliseconds
+ * @returns {boolean} True when the lease is missing or expired
+ */
+export function isLeaseFree(lease, now) {
+  return !lease || !(lease.expiresAt > now);
+}
+
+/**
+ * Whether a holder currently holds the lease
+ *
+ * @param {Object|null} lease - Lease record
+ * @param {string} holderId - Holder to check
+ * @param {number} now - Server time in milliseconds
+ * @returns {boolean} True when the holder owns an unexpired lease
+ */
+export function isLeaseHeldBy(lease, holderId, now) {
+  return !isLeaseFree(lease, now) && lease.holderId === holderId;
+}
+
+/**
+ * Who holds the lease right now
+ *
+ * @param {Object|null} lease - Lease record
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object|null} { holderId, uid, since, expiresAt, token }, or null when the lease is free
+ */
+export function getLeaseHolder(lease, now) {
+  if (isLeaseFree(lease, now)) return null;
+
+  return {
+    holderId: lease.holderId,
+    uid: lease.uid,
+    since: lease.acquiredAt ?? null,
+    expiresAt: lease.expiresAt,
+    token: lease.token ?? null
+  };
+}
+
+/**
+ * Work out the lease to write when a holder acquires or renews it
+ * Transaction update function: returns undefined (abort) while someone else
+ * holds an unexpired lease. Renewing keeps the token; acquiring takes the next one.
+ *
+ * @param {Object|null} current - Lease record in the database
+ * @param {Object} holder - { holderId, uid }
+ * @param {number} now - Server time in milliseconds
+ * @param {number} ttl - Lease duration in milliseconds
+ * @returns {Object|undefined} New lease record, or undefined to leave it alone
+ */
+export function claimLease(current, { holderId, uid }, now, ttl) {
+  if (isLeaseHeldBy(current, holderId, now)) {
+    return { ...current, expiresAt: now + ttl };
+  }
+
+  if (!isLeaseFree(current, now)) {
+    return undefined;
+  }
+
+  return {
+    holderId,
+    uid,
+    expiresAt: now + ttl,
+    token: (current?.token || 0) + 1,
+    acquiredAt: now
+  };
+}
+
+/**
+ * Work out the lease to write when a holder gives it up
+ * Expires the lease rather than deleting it, so the next holder's token is higher.
+ *
+ * @param {Object|null} current - Lease record in the database
+ * @param {string} holderId - Holder giving up the lease
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object|undefined} The expired lease, or undefined when it is not ours to give up
+ */
+export function releaseLease(current, holderId, now) {
+  if (!isLeaseHeldBy(current, holderId, now)) return undefined;
+
+  return { ...current, expiresAt: now };
+}
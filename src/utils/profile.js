@@ -0,0 +1,138 @@
+import { PROFILE_CONFIG } from '../config/profile';
+
+/**
+ * Profile validation
+ *
+ * Pure helpers shared by the login profile step, the profile editor and the
+ * profile service, so the UI can show the same errors the service enforces.
+ */
+
+// Letters commonly swapped in to get around word filters
+const LOOKALIKES = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '@': 'a',
+  '$': 's',
+  '!': 'i'
+};
+
+// Letters, digits, spaces and a few separators
+const ALLOWED_NAME_PATTERN = /^[\p{L}\p{N} ._-]+$/u;
+
+/**
+ * Trim a display name and collapse inner whitespace
+ *
+ * @param {string} name - Name as typed
+ * @returns {string} Normalized name
+ */
+export function normalizeDisplayName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Split a name into the words a blocked word is matched against
+ * Lookalike characters are undone first, words are split at anything that is
+ * not a letter and at camelCase humps, and runs of single letters are joined,
+ * so "S h 1 t" and "BigSh1t" yield "shit" while "Dickens" stays one word.
+ *
+ * @param {string} name - Display name
+ * @returns {string[]} Lowercase words
+ */
+const toWords = (name) => {
+  const tokens = name
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .toLowerCase()
+    .split('')
+    .map((char) => LOOKALIKES[char] || char)
+    .join('')
+    .split(/[^\p{L}]+/u)
+    .filter(Boolean);
+
+  const words = [];
+  let spelledOut = '';
+  tokens.forEach((token) => {
+    if (token.length === 1) {
+      spelledOut += token;
+      return;
+    }
+    if (spelledOut) words.push(spelledOut);
+    spelledOut = '';
+    words.push(token);
+  });
+  if (spelledOut) words.push(spelledOut);
+
+  return words;
+};
+
+/**
+ * Check a name against the blocked word list
+ * Whole words are compared (plus plural forms), never substrings, so names
+ * such as "Hancock" or "Scunthorpe" are fine.
+ *
+ * @param {string} name - Display name
+ * @returns {boolean} True when the name contains a blocked word
+ */
+export function containsBlockedWord(name) {
+  return toWords(name).some((word) =>
+    PROFILE_CONFIG.BLOCKED_WORDS.some((blocked) => word === blocked || word === `${blocked}s` || word === `${blocked}es`)
+  );
+}
+
+/**
+ * Validate a display name
+ *
+ * @param {string} name - Normalized display name
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+export function validateDisplayName(name) {
+  const { MIN_NAME_LENGTH, MAX_NAME_LENGTH } = PROFILE_CONFIG;
+
+  if (name.length < MIN_NAME_LENGTH || name.length > MAX_NAME_LENGTH) {
+    return `Name must be ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (!ALLOWED_NAME_PATTERN.test(name)) {
+    return 'Name can only contain letters, numbers, spaces, dots, dashes and underscores';
+  }
+
+  if (containsBlockedWord(name)) {
+    return 'Please choose a different name';
+  }
+
+  return null;
+}
+
+/**
+ * Check an avatar color
+ *
+ * @param {string} color - Hex color
+ * @returns {boolean} True when the color is one of AVATAR_COLORS
+ */
+export function isValidAvatarColor(color) {
+  return PROFILE_CONFIG.AVATAR_COLORS.includes(color);
+}
+
+/**
+ * Check an avatar emoji (null means no emoji)
+ *
+ * @param {string|null} emoji - Emoji
+ * @returns {boolean} True when the emoji is empty or one of AVATAR_EMOJIS
+ */
+export function isValidAvatarEmoji(emoji) {
+  return emoji === null || PROFILE_CONFIG.AVATAR_EMOJIS.includes(emoji);
+}
+
+/**
+ * Pick a stable default color for a user who has not chosen one
+ *
+ * @param {string} userId - The user ID
+ * @returns {string} One of AVATAR_COLORS
+ */
+export function getDefaultAvatarColor(userId) {
+  const hash = Array.from(userId).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return PROFILE_CONFIG.AVATAR_COLORS[hash % PROFILE_CONFIG.AVATAR_COLORS.length];
+}
@@ -0,0 +1,111 @@
+import { getMemberStatus } from './roomState';
+
+/**
+ * Room phase state machine
+ *
+ * A room moves through a fixed game lifecycle, stored in rooms/{roomId}/game/phase:
+ *
+ *   lobby → countdown → in-game → results → lobby
+ *
+ * The countdown can be cancelled back to the lobby (host cancels or a player
+ * un-readies). Every other move is refused, so two clients racing to change the
+ * phase cannot skip a step.
+ */
+
+export const ROOM_PHASE = {
+  LOBBY: 'lobby',
+  COUNTDOWN: 'countdown',
+  IN_GAME: 'in-game',
+  RESULTS: 'results'
+};
+
+// Allowed next phases for each phase
+const PHASE_TRANSITIONS = {
+  [ROOM_PHASE.LOBBY]: [ROOM_PHASE.COUNTDOWN],
+  [ROOM_PHASE.COUNTDOWN]: [ROOM_PHASE.IN_GAME, ROOM_PHASE.LOBBY],
+  [ROOM_PHASE.IN_GAME]: [ROOM_PHASE.RESULTS],
+  [ROOM_PHASE.RESULTS]: [ROOM_PHASE.LOBBY]
+};
+
+// Human readable labels for the UI
+export const ROOM_PHASE_LABELS = {
+  [ROOM_PHASE.LOBBY]: 'Lobby',
+  [ROOM_PHASE.COUNTDOWN]: 'Starting',
+  [ROOM_PHASE.IN_GAME]: 'In Game',
+  [ROOM_PHASE.RESULTS]: 'Results'
+};
+
+/**
+ * Current phase of a room
+ * Rooms created before phases existed have no game node and are in the lobby
+ *
+ * @param {Object} roomData - Room data
+ * @returns {string} One of ROOM_PHASE
+ */
+export function getRoomPhase(roomData) {
+  return roomData?.game?.phase || ROOM_PHASE.LOBBY;
+}
+
+/**
+ * Check whether a phase change is allowed
+ *
+ * @param {string} fromPhase - Current phase
+ * @param {string} toPhase - Requested phase
+ * @returns {boolean}
+ */
+export function canTransitionPhase(fromPhase, toPhase) {
+  return (PHASE_TRANSITIONS[fromPhase] || []).includes(toPhase);
+}
+
+/**
+ * Whether new members should watch instead of play
+ * Joining during the countdown or a running game would change the player set
+ * after everyone agreed to start
+ *
+ * @param {string} phase - One of ROOM_PHASE
+ * @returns {boolean}
+ */
+export function isGameInProgress(phase) {
+  return phase === ROOM_PHASE.COUNTDOWN || phase === ROOM_PHASE.IN_GAME;
+}
+
+/**
+ * Member fields to write as the room enters the lobby again after a round
+ * Ready flags are cleared and late joiners start playing. A late joiner who was
+ * made host or co-host in the meantime keeps that role, so the lobby never
+ * demotes the member hostId points at.
+ *
+ * @param {Object} members - Room members object
+ * @returns {Object} Updates keyed by path relative to the members node ({ 'uid/ready': false, ... })
+ */
+export function getLobbyMemberUpdates(members = {}) {
+  const updates = {};
+  Object.entries(members || {}).forEach(([userId, member]) => {
+    updates[`${userId}/ready`] = false;
+    if (member.lateJoin) {
+      if (member.role === 'spectator') updates[`${userId}/role`] = 'player';
+      updates[`${userId}/lateJoin`] = null;
+    }
+  });
+  return updates;
+}
+
+/**
+ * Summarise the ready check
+ * Only present (online/away) players take part; spectators and offline members are ignored
+ *
+ * @param {Object} members - Room members object
+ * @returns {Object} { readyCount, playerCount, allReady }
+ */
+export function getReadyState(members = {}) {
+  const players = Object.values(members).filter(
+    (m) => getMemberStatus(m) !== 'offline' && m.role !== 'spectator'
+  );
+  const readyCount = players.filter((m) => m.ready === true).length;
+
+  return {
+    readyCount,
+    playerCount: players.length,
+    allReady: players.length > 0 && readyCount === players.length
+  };
+}
@@ -0,0 +1,4 @@
+// Room state rules shared with Cloud Functions. The implementation lives in
+// functions/shared/roomState.mjs so the deployed functions can load it too;
+// import it from here in the app.
+export * from '../../functions/shared/roomState.mjs';
@@ -1,3 +1,6 @@
+import { ROOM_MONITOR_CONFIG } from '../config/roomMonitor';
+import { isGhostRoom as isGhostRoomState } from './roomState';
+
 /**
  * Generate a random 6-character room ID
  * @returns {string} Room ID in format like "XY7Z9A"
@@ -20,10 +23,114 @@ export function generateGameId() {
 }
 
 /**
- * Get display name for user
+ * Fallback display name for users without a profile (see services/profile.js)
  * @param {string} userId
  * @returns {string} Display name
  */
 export function getUserDisplayName(userId) {
   return `User ${userId.substring(0, 4)}`;
 }
+
+/**
+ * Generate a random invite token for a room
+ * @returns {string} 24-character URL-safe token
+ */
+export function generateInviteToken() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (byte) => chars.charAt(byte % chars.length)).join('');
+}
+
+/**
+ * Hash a room password so the plain text never reaches the database
+ * The room ID is used as salt, so equal passwords differ between rooms
+ * @param {string} roomId
+ * @param {string} password
+ * @returns {Promise<string>} Hex encoded SHA-256 hash
+ */
+export async function hashRoomPassword(roomId, password) {
+  const data = new TextEncoder().encode(`${roomId}:${password}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build a shareable link that opens the app and joins the room after login
+ * @param {string} roomId
+ * @param {string|null} inviteToken - Optional token that bypasses the room password
+ * @returns {string} Invite URL
+ */
+export function buildInviteUrl(roomId, inviteToken = null) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('room', roomId);
+  if (inviteToken) {
+    url.searchParams.set('invite', inviteToken);
+  }
+  return url.toString();
+}
+
+/**
+ * Read an invite from the current page URL
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object|null} { roomId, inviteToken } or null if the URL has no invite
+ */
+export function parseInviteFromUrl(search) {
+  const params = new URLSearchParams(search);
+  const roomId = params.get('room');
+  if (!roomId) return null;
+
+  return {
+    roomId: roomId.toUpperCase(),
+    inviteToken: params.get('invite')
+  };
+}
+
+/**
+ * Remove invite parameters from the address bar without reloading
+ */
+export function clearInviteFromUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('room');
+  url.searchParams.delete('invite');
+  window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Read a game backend session from the current page URL
+ * The backend links players to ?session=<payload>&sig=<signature> (optionally with &room=)
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object|null} { payload, signature } or null if the URL has no session
+ */
+export function parseExternalSessionFromUrl(search) {
+  const params = new URLSearchParams(search);
+  const payload = params.get('session');
+  const signature = params.get('sig');
+  if (!payload || !signature) return null;
+
+  return { payload, signature };
+}
+
+/**
+ * Remove session parameters from the address bar without reloading
+ * The session is single-use (issueCustomToken refuses it a second time) and must not be bookmarked
+ */
+export function clearExternalSessionFromUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('session');
+  url.searchParams.delete('sig');
+  window.history.replaceState(null, '', url.toString());
+}
+
+// Membership and ghost-room checks come from the shared room state rules
+export { isSpectator, getPlayerEntries, getSpectatorEntries } from './roomState';
+
+/**
+ * Check whether a room may be closed by someone who is not a member
+ * See isGhostRoom in roomState.js; uses the timeouts from ROOM_MONITOR_CONFIG
+ * @param {Object} room - Room data
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function isGhostRoom(room, now = Date.now()) {
+  return isGhostRoomState(room, now, ROOM_MONITOR_CONFIG);
+}
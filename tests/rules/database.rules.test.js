@@ -0,0 +1,964 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { ref, get, set, update, query, orderByChild, equalTo, serverTimestamp, increment } from 'firebase/database';
+import {
+  createRulesTestEnvironment,
+  buildRoom,
+  buildMember,
+  ROOM_ID,
+  HOST_ID,
+  PLAYER_ID,
+  OUTSIDER_ID,
+  MODERATOR_ID
+} from './testEnvironment';
+
+const roomPath = `rooms/${ROOM_ID}`;
+
+let testEnv;
+
+// Database handles for each persona
+const asHost = () => testEnv.authenticatedContext(HOST_ID).database();
+const asPlayer = () => testEnv.authenticatedContext(PLAYER_ID).database();
+const asOutsider = () => testEnv.authenticatedContext(OUTSIDER_ID).database();
+const asModerator = () => testEnv.authenticatedContext(MODERATOR_ID, { platformRole: 'moderator' }).database();
+const asGuest = () => testEnv.unauthenticatedContext().database();
+
+// Write fixtures without going through the rules
+const seed = (path, value) =>
+  testEnv.withSecurityRulesDisabled((context) => set(ref(context.database(), path), value));
+
+// A new member entry together with its count, the way joinRoom writes it
+const join = (database, userId, member) => update(ref(database, roomPath), {
+  [`members/${userId}`]: member,
+  totalMembers: increment(1)
+});
+
+// The multi-path update closeRoom sends
+const closeUpdates = (reason = 'Room closed by host') => ({
+  [`${roomPath}/roomStatus`]: 'closed',
+  [`${roomPath}/status`]: 'closed',
+  [`${roomPath}/closedAt`]: Date.now(),
+  [`${roomPath}/closeReason`]: reason,
+  [`${roomPath}/deleteAt`]: Date.now() + 30000
+});
+
+beforeAll(async () => {
+  testEnv = await createRulesTestEnvironment();
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('rooms: reading and creating', () => {
+  it('lets signed-in users read rooms', async () => {
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(get(ref(asOutsider(), roomPath)));
+  });
+
+  it('refuses unauthenticated reads', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(get(ref(asGuest(), roomPath)));
+  });
+
+  it('lets signed-in users query the listed rooms and the closed rooms', async () => {
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(get(query(ref(asOutsider(), 'rooms'), orderByChild('listed'), equalTo(true))));
+    await assertSucceeds(get(query(ref(asOutsider(), 'rooms'), orderByChild('roomStatus'), equalTo('closed'))));
+  });
+
+  it('refuses reading every room, or querying the unlisted ones', async () => {
+    await seed(roomPath, buildRoom({ visibility: 'unlisted', listed: false }));
+    await assertFails(get(ref(asOutsider(), 'rooms')));
+    await assertFails(get(query(ref(asOutsider(), 'rooms'), orderByChild('listed'), equalTo(false))));
+  });
+
+  it('lets only platform staff read every room, unlisted ones included', async () => {
+    await seed(roomPath, buildRoom({ visibility: 'unlisted', listed: false }));
+    await assertSucceeds(get(ref(asModerator(), 'rooms')));
+    await assertFails(get(ref(asHost(), 'rooms')));
+    await assertFails(get(ref(asPlayer(), 'rooms')));
+  });
+
+  it('refuses a listed flag that does not match the visibility', async () => {
+    const members = { [HOST_ID]: buildMember('Host', 'host') };
+    await assertFails(set(ref(asHost(), roomPath), buildRoom({ visibility: 'unlisted', listed: true, members })));
+    await assertFails(set(ref(asHost(), roomPath), buildRoom({ listed: false, members })));
+  });
+
+  it('lets a user create a room they host', async () => {
+    const room = buildRoom({ members: { [HOST_ID]: buildMember('Host', 'host') }, totalMembers: 1 });
+    await assertSucceeds(set(ref(asHost(), roomPath), room));
+  });
+
+  it('refuses a room naming someone else as host', async () => {
+    const room = buildRoom({ hostId: PLAYER_ID, members: { [PLAYER_ID]: buildMember('Player', 'host') } });
+    await assertFails(set(ref(asHost(), roomPath), room));
+  });
+
+  it('refuses a room created already closed', async () => {
+    const room = buildRoom({ roomStatus: 'closed', members: { [HOST_ID]: buildMember('Host', 'host') } });
+    await assertFails(set(ref(asHost(), roomPath), room));
+  });
+
+  it('refuses unauthenticated room creation', async () => {
+    await assertFails(set(ref(asGuest(), roomPath), buildRoom()));
+  });
+});
+
+describe('rooms/{roomId}/members', () => {
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+  });
+
+  it('lets a player update their own presence fields', async () => {
+    await assertSucceeds(update(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}`), {
+      status: 'away',
+      lastChanged: Date.now(),
+      lastPing: Date.now(),
+      latency: 42
+    }));
+  });
+
+  it('refuses an unknown member status', async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/status`), 'sleeping'));
+  });
+
+  it("refuses a player changing another member's status or name", async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${HOST_ID}/status`), 'offline'));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${HOST_ID}/name`), 'Hijacked'));
+  });
+
+  it('lets an outsider join as a player', async () => {
+    await assertSucceeds(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player')));
+  });
+
+  it('refuses a new member entry without the totalMembers increment, or a count changed on its own', async () => {
+    await assertFails(set(ref(asOutsider(), `${roomPath}/members/${OUTSIDER_ID}`), buildMember('Outsider', 'player')));
+    await assertFails(update(ref(asOutsider(), roomPath), {
+      [`members/${OUTSIDER_ID}`]: buildMember('Outsider', 'player'),
+      totalMembers: 10
+    }));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/totalMembers`), 0));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/totalMembers`), increment(1)));
+  });
+
+  it('refuses counting an existing member again', async () => {
+    await assertFails(join(asPlayer(), PLAYER_ID, buildMember('Player', 'player')));
+  });
+
+  it('lets a member give up their seat together with its count', async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}`), null));
+    await assertSucceeds(update(ref(asPlayer(), roomPath), {
+      [`members/${PLAYER_ID}`]: null,
+      totalMembers: increment(-1)
+    }));
+  });
+
+  it('refuses joining straight in as co-host', async () => {
+    await assertFails(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'co-host')));
+  });
+
+  it('refuses creating a member entry for someone else', async () => {
+    await assertFails(join(asOutsider(), 'someone-else', buildMember('Someone', 'player')));
+  });
+
+  it("refuses an outsider editing a member's entry", async () => {
+    await assertFails(set(ref(asOutsider(), `${roomPath}/members/${PLAYER_ID}/status`), 'offline'));
+  });
+
+  it('refuses unauthenticated member writes', async () => {
+    await assertFails(set(ref(asGuest(), `${roomPath}/members/${PLAYER_ID}/status`), 'offline'));
+  });
+
+  it('refuses banned users rejoining', async () => {
+    await seed(`${roomPath}/bans/${OUTSIDER_ID}`, { reason: 'Spam', by: HOST_ID, at: Date.now() });
+    await assertFails(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player')));
+  });
+
+  it('refuses kicked users rejoining before the cooldown is over', async () => {
+    await seed(`${roomPath}/kicks/${OUTSIDER_ID}`, { reason: 'Spam', by: HOST_ID, at: Date.now(), until: Date.now() + 60000 });
+    await assertFails(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player')));
+  });
+
+  it('refuses joining a closed room', async () => {
+    await seed(roomPath, buildRoom({ status: 'closed', roomStatus: 'closed', closedAt: Date.now() }));
+    await assertFails(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player')));
+  });
+
+  it('refuses a seat time other than the server time', async () => {
+    await assertFails(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player', { seatedAt: 1 })));
+    await assertSucceeds(join(asOutsider(), OUTSIDER_ID, buildMember('Outsider', 'player', { seatedAt: serverTimestamp() })));
+  });
+
+  it("refuses a member removing someone else's entry", async () => {
+    await assertFails(update(ref(asPlayer(), roomPath), { [`members/${HOST_ID}`]: null, totalMembers: increment(-1) }));
+    await assertFails(update(ref(asOutsider(), roomPath), { [`members/${PLAYER_ID}`]: null, totalMembers: increment(-1) }));
+  });
+
+  it('lets the host and platform staff remove a member, counting them out', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}`), null));
+    await assertSucceeds(update(ref(asHost(), roomPath), { [`members/${PLAYER_ID}`]: null, totalMembers: increment(-1) }));
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(update(ref(asModerator(), roomPath), { [`members/${PLAYER_ID}`]: null, totalMembers: increment(-1) }));
+  });
+
+  it('refuses a co-host removing the host', async () => {
+    await seed(`${roomPath}/members/${PLAYER_ID}/role`, 'co-host');
+    await assertFails(update(ref(asPlayer(), roomPath), { [`members/${HOST_ID}`]: null, totalMembers: increment(-1) }));
+  });
+
+  it('refuses unknown member fields', async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/score`), 100));
+  });
+
+  it("lets anyone in the room reset a member's ready flag, but only its owner set it", async () => {
+    await seed(`${roomPath}/members/${PLAYER_ID}/ready`, true);
+    await assertSucceeds(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}/ready`), false));
+    await assertFails(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}/ready`), true));
+    await assertSucceeds(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/ready`), true));
+  });
+});
+
+describe('rooms/{roomId}/members/{userId}/connections', () => {
+  const connectionsPath = (userId) => `${roomPath}/members/${userId}/connections`;
+  const connection = (state = 'online') => ({ state, lastChanged: Date.now() });
+
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+  });
+
+  it('lets a member register and update their own connections', async () => {
+    await assertSucceeds(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a`), connection()));
+    await assertSucceeds(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_b`), connection('away')));
+    await assertSucceeds(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a/state`), 'away'));
+  });
+
+  it('lets a member remove their own connection, as onDisconnect does', async () => {
+    await seed(`${connectionsPath(PLAYER_ID)}/conn_a`, connection());
+    await seed(`${connectionsPath(PLAYER_ID)}/conn_b`, connection());
+    await assertSucceeds(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a`), null));
+    await assertFails(set(ref(asHost(), `${connectionsPath(PLAYER_ID)}/conn_b`), null));
+  });
+
+  it("refuses writing another member's connections", async () => {
+    await seed(`${connectionsPath(HOST_ID)}/conn_h`, connection());
+    await assertFails(set(ref(asPlayer(), `${connectionsPath(HOST_ID)}/conn_p`), connection()));
+    await assertFails(set(ref(asPlayer(), `${connectionsPath(HOST_ID)}/conn_h/state`), 'away'));
+  });
+
+  it('refuses unknown states and fields', async () => {
+    await assertFails(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a`), connection('offline')));
+    await assertFails(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a`), { ...connection(), device: 'phone' }));
+    await assertFails(set(ref(asPlayer(), `${connectionsPath(PLAYER_ID)}/conn_a`), { lastChanged: Date.now() }));
+  });
+});
+
+describe('rooms/{roomId}/members/{userId}/role', () => {
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+  });
+
+  it('lets the host make a player co-host', async () => {
+    await assertSucceeds(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}/role`), 'co-host'));
+  });
+
+  it('refuses a player promoting themselves', async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/role`), 'co-host'));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/role`), 'host'));
+  });
+
+  it('refuses a player taking the host role from an online host', async () => {
+    await seed(`${roomPath}/members/${HOST_ID}/connections/conn_h`, { state: 'online', lastChanged: Date.now() });
+    await assertFails(update(ref(asPlayer()), {
+      [`${roomPath}/hostId`]: PLAYER_ID,
+      [`${roomPath}/members/${HOST_ID}/role`]: 'player',
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host'
+    }));
+  });
+
+  it('lets a player take over from a host with no connection left', async () => {
+    // The stored status may still say online when the host's last tab dropped without writing it
+    await seed(`${roomPath}/members/${HOST_ID}/status`, 'online');
+    await assertSucceeds(update(ref(asPlayer()), {
+      [`${roomPath}/hostId`]: PLAYER_ID,
+      [`${roomPath}/members/${HOST_ID}/role`]: 'player',
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host',
+      [`${roomPath}/members/${PLAYER_ID}/lastChanged`]: Date.now()
+    }));
+  });
+
+  it('lets a player take over from a host whose tabs are all hidden', async () => {
+    await seed(`${roomPath}/members/${HOST_ID}`, buildMember('Host', 'host', {
+      status: 'away',
+      connections: { conn_h: { state: 'away', lastChanged: Date.now() } }
+    }));
+    await assertSucceeds(update(ref(asPlayer()), {
+      [`${roomPath}/hostId`]: PLAYER_ID,
+      [`${roomPath}/members/${HOST_ID}/role`]: 'player',
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host'
+    }));
+  });
+
+  it('lets the host hand off to a player', async () => {
+    await assertSucceeds(update(ref(asHost()), {
+      [`${roomPath}/hostId`]: PLAYER_ID,
+      [`${roomPath}/members/${HOST_ID}/role`]: 'player',
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host'
+    }));
+  });
+
+  it('refuses a second host without moving hostId', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}/role`), 'host'));
+  });
+
+  it('refuses an unknown role', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/members/${PLAYER_ID}/role`), 'owner'));
+  });
+
+  it('refuses a spectator making themselves a player, even a late joiner', async () => {
+    await seed(`${roomPath}/members/${PLAYER_ID}`, buildMember('Player', 'spectator'));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/role`), 'player'));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/lateJoin`), true));
+
+    await seed(`${roomPath}/members/${PLAYER_ID}/lateJoin`, true);
+    await assertFails(update(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}`), { role: 'player', lateJoin: null }));
+  });
+
+  it('lets the host seat a late joiner as a player, as returnToLobby does', async () => {
+    await seed(`${roomPath}/members/${PLAYER_ID}`, buildMember('Player', 'spectator', { lateJoin: true }));
+    await assertSucceeds(update(ref(asHost(), `${roomPath}/members/${PLAYER_ID}`), { role: 'player', lateJoin: null, ready: false }));
+  });
+
+  it('lets a co-host step down to player', async () => {
+    await seed(`${roomPath}/members/${PLAYER_ID}/role`, 'co-host');
+    await assertSucceeds(set(ref(asPlayer(), `${roomPath}/members/${PLAYER_ID}/role`), 'player'));
+  });
+
+  it('accepts late joiners only while a game is running', async () => {
+    const lateJoiner = buildMember('Outsider', 'spectator', { lateJoin: true });
+    await assertFails(join(asOutsider(), OUTSIDER_ID, lateJoiner));
+
+    await seed(`${roomPath}/game/phase`, 'in-game');
+    await assertSucceeds(join(asOutsider(), OUTSIDER_ID, lateJoiner));
+  });
+});
+
+describe('rooms/{roomId} bans, kicks and mutes', () => {
+  const CO_HOST_ID = 'co-host-user';
+  const asCoHost = () => testEnv.authenticatedContext(CO_HOST_ID).database();
+  const record = (by, overrides = {}) => ({ reason: 'Spam', by, at: serverTimestamp(), ...overrides });
+
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom({
+      members: {
+        [HOST_ID]: buildMember('Host', 'host'),
+        [PLAYER_ID]: buildMember('Player', 'player'),
+        [CO_HOST_ID]: buildMember('Co-host', 'co-host')
+      }
+    }));
+  });
+
+  it('lets the host kick a member, as kickMember does', async () => {
+    await assertSucceeds(update(ref(asHost(), roomPath), {
+      [`members/${PLAYER_ID}`]: null,
+      totalMembers: increment(-1),
+      [`kicks/${PLAYER_ID}`]: record(HOST_ID, { until: Date.now() + 60000 })
+    }));
+  });
+
+  it('lets the host, a co-host and staff ban and mute players', async () => {
+    await assertSucceeds(set(ref(asHost(), `${roomPath}/mutes/${PLAYER_ID}`), record(HOST_ID)));
+    await assertSucceeds(set(ref(asCoHost(), `${roomPath}/bans/${PLAYER_ID}`), record(CO_HOST_ID, { name: 'Player' })));
+    await assertSucceeds(set(ref(asModerator(), `${roomPath}/bans/${HOST_ID}`), record(MODERATOR_ID)));
+  });
+
+  it('refuses players writing or clearing moderation records', async () => {
+    await seed(`${roomPath}/mutes/${PLAYER_ID}`, { reason: 'Spam', by: HOST_ID, at: Date.now() });
+    await assertFails(set(ref(asPlayer(), `${roomPath}/mutes/${PLAYER_ID}`), null));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/bans/${OUTSIDER_ID}`), record(PLAYER_ID)));
+    await assertFails(set(ref(asOutsider(), `${roomPath}/kicks/${PLAYER_ID}`), record(OUTSIDER_ID, { until: Date.now() + 60000 })));
+  });
+
+  it('refuses a co-host moderating the host or another co-host', async () => {
+    await assertFails(set(ref(asCoHost(), `${roomPath}/bans/${HOST_ID}`), record(CO_HOST_ID)));
+    await assertFails(set(ref(asCoHost(), `${roomPath}/mutes/${CO_HOST_ID}`), record(CO_HOST_ID)));
+  });
+
+  it("refuses records in someone else's name, backdated or with unknown fields", async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/bans/${PLAYER_ID}`), record(CO_HOST_ID)));
+    await assertFails(set(ref(asHost(), `${roomPath}/bans/${PLAYER_ID}`), record(HOST_ID, { at: Date.now() - 60000 })));
+    await assertFails(set(ref(asHost(), `${roomPath}/bans/${PLAYER_ID}`), record(HOST_ID, { permanent: true })));
+    await assertFails(set(ref(asHost(), `${roomPath}/kicks/${PLAYER_ID}`), record(HOST_ID)));
+  });
+
+  it('lets a kicked user clear their own kick once it has expired', async () => {
+    await seed(`${roomPath}/kicks/${OUTSIDER_ID}`, { reason: 'Spam', by: HOST_ID, at: Date.now(), until: Date.now() + 60000 });
+    await assertFails(set(ref(asOutsider(), `${roomPath}/kicks/${OUTSIDER_ID}`), null));
+
+    await seed(`${roomPath}/kicks/${OUTSIDER_ID}/until`, Date.now() - 1000);
+    await assertSucceeds(set(ref(asOutsider(), `${roomPath}/kicks/${OUTSIDER_ID}`), null));
+  });
+});
+
+describe('rooms/{roomId}: member write access', () => {
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+  });
+
+  it('refuses members rewriting the whole room', async () => {
+    await assertFails(set(ref(asPlayer(), roomPath), { ...buildRoom(), lastActiveAt: Date.now() }));
+    await assertFails(set(ref(asHost(), roomPath), { ...buildRoom(), lastActiveAt: Date.now() }));
+  });
+
+  it('refuses deleting hostId', async () => {
+    await assertFails(set(ref(asPlayer(), `${roomPath}/hostId`), null));
+    await assertFails(set(ref(asHost(), `${roomPath}/hostId`), null));
+  });
+
+  it('refuses taking the host role after deleting hostId', async () => {
+    await assertFails(update(ref(asPlayer()), {
+      [`${roomPath}/hostId`]: null,
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host'
+    }));
+  });
+
+  it('refuses fields the room does not have', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/owner`), HOST_ID));
+    await assertFails(set(ref(asHost(), `${roomPath}/stats/score`), 1));
+  });
+});
+
+describe('rooms/{roomId} status and stats', () => {
+  const stewardLease = (uid, token = 1) => ({
+    holderId: `tab_${uid}_${token}`,
+    uid,
+    expiresAt: Date.now() + 30000,
+    token,
+    acquiredAt: Date.now()
+  });
+  const statusUpdates = () => ({
+    [`${roomPath}/status`]: 'idle',
+    [`${roomPath}/statusUpdatedAt`]: Date.now(),
+    [`${roomPath}/inactiveSince`]: Date.now(),
+    [`${roomPath}/stats`]: { activePlayers: 0, awayPlayers: 2, offlinePlayers: 0, totalPlayers: 2, lastChecked: Date.now() }
+  });
+
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom({ steward: stewardLease(PLAYER_ID) }));
+  });
+
+  it('lets the room steward update status and stats', async () => {
+    await assertSucceeds(update(ref(asPlayer()), statusUpdates()));
+  });
+
+  it('refuses status and stats from members who are not the steward', async () => {
+    await assertFails(update(ref(asHost()), statusUpdates()));
+    await assertFails(set(ref(asHost(), `${roomPath}/status`), 'idle'));
+  });
+
+  it('lets only the steward write onlineMemberCount and raise peakPlayers', async () => {
+    await assertSucceeds(set(ref(asPlayer(), `${roomPath}/onlineMemberCount`), 1));
+    await assertFails(set(ref(asHost(), `${roomPath}/onlineMemberCount`), 0));
+
+    await assertSucceeds(set(ref(asPlayer(), `${roomPath}/peakPlayers`), 3));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/peakPlayers`), 1));
+    await assertFails(set(ref(asHost(), `${roomPath}/peakPlayers`), 4));
+  });
+
+  it('lets members mark lastDisconnectAt only with the server time', async () => {
+    await assertSucceeds(set(ref(asHost(), `${roomPath}/lastDisconnectAt`), serverTimestamp()));
+    await assertFails(set(ref(asHost(), `${roomPath}/lastDisconnectAt`), Date.now() - 60000));
+    await assertFails(set(ref(asOutsider(), `${roomPath}/lastDisconnectAt`), serverTimestamp()));
+  });
+
+  it('rejects status writes fenced with a superseded token', async () => {
+    // Another tab of the same user took over with token 2; the old tab still holds token 1
+    await seed(`${roomPath}/steward`, stewardLease(PLAYER_ID, 2));
+    await assertFails(update(ref(asPlayer()), { ...statusUpdates(), [`${roomPath}/steward/token`]: 1 }));
+    await assertSucceeds(update(ref(asPlayer()), { ...statusUpdates(), [`${roomPath}/steward/token`]: 2 }));
+  });
+
+  it('refuses the steward once its lease has expired', async () => {
+    await seed(`${roomPath}/steward/expiresAt`, Date.now() - 1000);
+    await assertFails(update(ref(asPlayer()), statusUpdates()));
+  });
+
+  it('refuses status and stats from clients when the server runs the lifecycle', async () => {
+    await seed('config/serverLifecycle', true);
+    await assertFails(update(ref(asPlayer()), statusUpdates()));
+    await assertFails(set(ref(asPlayer(), `${roomPath}/onlineMemberCount`), 1));
+  });
+
+  it('refuses an unknown room status', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/status`), 'paused'));
+  });
+
+  it('refuses non-numeric or negative counters', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/totalMembers`), 'lots'));
+    await assertFails(set(ref(asHost(), `${roomPath}/onlineMemberCount`), -1));
+    await assertFails(set(ref(asHost(), `${roomPath}/stats/activePlayers`), 'two'));
+  });
+
+  it('refuses non-numeric timestamps', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/inactiveSince`), 'yesterday'));
+  });
+
+  it('refuses changing fields fixed at creation', async () => {
+    await assertFails(set(ref(asHost(), `${roomPath}/createdAt`), Date.now()));
+    await assertFails(set(ref(asHost(), `${roomPath}/visibility`), 'unlisted'));
+    await assertFails(set(ref(asHost(), `${roomPath}/maxMembers`), 100));
+  });
+
+  it('refuses status and stats writes from outsiders and unauthenticated users', async () => {
+    await assertFails(set(ref(asOutsider(), `${roomPath}/status`), 'empty'));
+    await assertFails(set(ref(asOutsider(), `${roomPath}/stats/activePlayers`), 0));
+    await assertFails(set(ref(asGuest(), `${roomPath}/stats/activePlayers`), 0));
+  });
+});
+
+describe('rooms/{roomId}/steward', () => {
+  const stewardPath = `${roomPath}/steward`;
+  const acquiredAt = Date.now() - 60000;
+  const lease = (holderId, uid, overrides = {}) => ({
+    holderId,
+    uid,
+    expiresAt: Date.now() + 30000,
+    token: 1,
+    acquiredAt,
+    ...overrides
+  });
+
+  it('lets a member claim a free lease for themselves', async () => {
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID)));
+  });
+
+  it("refuses claiming in someone else's name, or as an outsider", async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asPlayer(), stewardPath), lease('tab_player', HOST_ID)));
+    await assertFails(set(ref(asOutsider(), stewardPath), lease('tab_outsider', OUTSIDER_ID)));
+  });
+
+  it('lets the steward renew its lease, keeping the token', async () => {
+    await seed(roomPath, buildRoom({ steward: lease('tab_host', HOST_ID, { expiresAt: Date.now() + 5000 }) }));
+    await assertSucceeds(set(ref(asHost(), stewardPath), lease('tab_host', HOST_ID)));
+    await assertFails(set(ref(asHost(), stewardPath), lease('tab_host', HOST_ID, { token: 2 })));
+  });
+
+  it('refuses taking over a live lease, even from another tab of the same user', async () => {
+    await seed(roomPath, buildRoom({ steward: lease('tab_host', HOST_ID) }));
+    await assertFails(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID)));
+    await assertFails(set(ref(asHost(), stewardPath), lease('tab_host_2', HOST_ID)));
+  });
+
+  it('lets the steward expire its own lease when it disconnects', async () => {
+    await seed(roomPath, buildRoom({ steward: lease('tab_host', HOST_ID) }));
+    await assertFails(set(ref(asPlayer(), `${stewardPath}/expiresAt`), Date.now()));
+    await assertSucceeds(set(ref(asHost(), `${stewardPath}/expiresAt`), Date.now()));
+  });
+
+  it('lets a member take over an expired lease only with the next token', async () => {
+    await seed(roomPath, buildRoom({ steward: lease('tab_host', HOST_ID, { expiresAt: Date.now() - 1000, token: 3 }) }));
+    await assertFails(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID, { token: 3, acquiredAt: Date.now() })));
+    await assertFails(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID, { token: 10, acquiredAt: Date.now() })));
+    await assertSucceeds(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID, { token: 4, acquiredAt: Date.now() })));
+  });
+
+  it('refuses leases longer than a minute or missing fields', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asPlayer(), stewardPath), lease('tab_player', PLAYER_ID, { expiresAt: Date.now() + 10 * 60000 })));
+    await assertFails(set(ref(asPlayer(), stewardPath), { holderId: 'tab_player', uid: PLAYER_ID, expiresAt: Date.now() + 30000 }));
+  });
+
+  it('refuses deleting the lease', async () => {
+    await seed(roomPath, buildRoom({ steward: lease('tab_host', HOST_ID) }));
+    await assertFails(set(ref(asHost(), stewardPath), null));
+  });
+});
+
+describe('closing and deleting rooms', () => {
+  it('lets the host close the room', async () => {
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(update(ref(asHost()), closeUpdates()));
+  });
+
+  it('refuses a player closing an active room others are connected to', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(update(ref(asPlayer()), closeUpdates()));
+  });
+
+  it('refuses a player setting the room idle and closing it', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asPlayer(), `${roomPath}/status`), 'idle'));
+
+    await seed(`${roomPath}/status`, 'idle');
+    await assertFails(update(ref(asPlayer()), closeUpdates('Auto-closed: Room idle')));
+  });
+
+  it('refuses closing fields written without closing the room', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asHost(), `${roomPath}/deleteAt`), Date.now()));
+    await assertFails(set(ref(asHost(), `${roomPath}/status`), 'closed'));
+  });
+
+  it('lets the last player present close the room, as their onDisconnect does', async () => {
+    const stats = { activePlayers: 1, awayPlayers: 0, offlinePlayers: 1, totalPlayers: 2, lastChecked: Date.now() };
+    await seed(roomPath, buildRoom({ stats }));
+    await assertSucceeds(update(ref(asPlayer(), roomPath), {
+      status: 'closed',
+      roomStatus: 'closed',
+      closedAt: serverTimestamp(),
+      closeReason: 'Auto-closed: Last member disconnected',
+      deleteAt: Date.now() + 30000
+    }));
+  });
+
+  it('lets the steward close an idle room', async () => {
+    const steward = { holderId: 'tab_player', uid: PLAYER_ID, expiresAt: Date.now() + 30000, token: 1, acquiredAt: Date.now() };
+    await seed(roomPath, buildRoom({ status: 'idle', inactiveSince: Date.now() - 600000, steward }));
+    await assertSucceeds(update(ref(asPlayer()), {
+      ...closeUpdates('Auto-closed: Room idle for 10m'),
+      [`${roomPath}/steward/token`]: 1
+    }));
+  });
+
+  it('leaves automatic closes to the server when it runs the lifecycle', async () => {
+    await seed('config/serverLifecycle', true);
+    await seed(roomPath, buildRoom({ status: 'empty', inactiveSince: Date.now() - 10000 }));
+    await assertFails(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+    await assertSucceeds(update(ref(asHost()), closeUpdates()));
+  });
+
+  it('refuses an outsider closing an active room', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+  });
+
+  it('lets an outsider close a room that has been empty for a while', async () => {
+    await seed(roomPath, buildRoom({ status: 'empty', inactiveSince: Date.now() - 10000 }));
+    await assertSucceeds(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+  });
+
+  it('refuses a ghost close while the host is still connected', async () => {
+    const room = buildRoom();
+    room.members[HOST_ID].connections = { conn_h: { state: 'online', lastChanged: Date.now() } };
+    await seed(roomPath, room);
+    await assertFails(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+
+    delete room.members[HOST_ID].connections;
+    await seed(roomPath, room);
+    await assertSucceeds(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+  });
+
+  it('refuses a ghost close while a room view still renews the steward lease', async () => {
+    const steward = { holderId: 'tab_p_1', uid: PLAYER_ID, expiresAt: Date.now() - 30000, token: 1, acquiredAt: Date.now() - 60000 };
+    await seed(roomPath, buildRoom({ steward }));
+    await assertFails(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+
+    await seed(`${roomPath}/steward/expiresAt`, Date.now() - 120000);
+    await assertSucceeds(update(ref(asOutsider()), closeUpdates('Auto-closed: Ghost room detected by lobby viewer')));
+  });
+
+  it('lets a moderator close any room', async () => {
+    await seed(roomPath, buildRoom());
+    await assertSucceeds(update(ref(asModerator()), closeUpdates('Closed by a moderator')));
+  });
+
+  it('refuses reopening a closed room', async () => {
+    await seed(roomPath, buildRoom({ status: 'closed', roomStatus: 'closed', closedAt: Date.now() }));
+    await assertFails(set(ref(asHost(), `${roomPath}/roomStatus`), 'open'));
+    await assertFails(set(ref(asHost(), `${roomPath}/status`), 'active'));
+  });
+
+  it('refuses unauthenticated closes', async () => {
+    await seed(roomPath, buildRoom({ status: 'empty', inactiveSince: Date.now() - 10000 }));
+    await assertFails(update(ref(asGuest()), closeUpdates()));
+  });
+
+  it('lets anyone signed in delete a closed room once it is due', async () => {
+    await seed(roomPath, buildRoom({ status: 'closed', roomStatus: 'closed', closedAt: Date.now() - 40000, deleteAt: Date.now() - 10000 }));
+    await assertSucceeds(set(ref(asOutsider(), roomPath), null));
+  });
+
+  it('refuses deleting an open room or one that is not due yet', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asOutsider(), roomPath), null));
+    await assertFails(set(ref(asHost(), roomPath), null));
+
+    await seed(roomPath, buildRoom({ status: 'closed', roomStatus: 'closed', closedAt: Date.now(), deleteAt: Date.now() + 30000 }));
+    await assertFails(set(ref(asOutsider(), roomPath), null));
+  });
+});
+
+describe('rooms/{roomId}/game', () => {
+  const gamePath = `${roomPath}/game`;
+  const withPhase = (phase, overrides = {}) => buildRoom({ game: { phase, round: 1, phaseChangedAt: Date.now() - 1000, ...overrides } });
+
+  it('lets only the host start the countdown', async () => {
+    await seed(roomPath, buildRoom());
+    const countdown = { phase: 'countdown', round: 1, countdownEndsAt: Date.now() + 5000, phaseChangedAt: Date.now() };
+    await assertFails(update(ref(asPlayer(), gamePath), countdown));
+    await assertSucceeds(update(ref(asHost(), gamePath), countdown));
+  });
+
+  it('lets any member begin the round once the countdown is over, but not before', async () => {
+    await seed(roomPath, withPhase('countdown', { countdownEndsAt: Date.now() + 30000 }));
+    await assertFails(update(ref(asPlayer(), gamePath), { phase: 'in-game', countdownEndsAt: null, startedAt: Date.now() }));
+
+    await seed(`${gamePath}/countdownEndsAt`, Date.now() - 1000);
+    await assertSucceeds(update(ref(asPlayer(), gamePath), { phase: 'in-game', countdownEndsAt: null, startedAt: Date.now() }));
+  });
+
+  it('lets any member cancel the countdown', async () => {
+    await seed(roomPath, withPhase('countdown', { countdownEndsAt: Date.now() + 30000 }));
+    await assertSucceeds(update(ref(asPlayer(), gamePath), { phase: 'lobby', countdownEndsAt: null }));
+  });
+
+  it('lets only the host end the game and return to the lobby', async () => {
+    await seed(roomPath, withPhase('in-game'));
+    await assertFails(set(ref(asPlayer(), `${gamePath}/phase`), 'results'));
+    await assertSucceeds(set(ref(asHost(), `${gamePath}/phase`), 'results'));
+    await assertFails(set(ref(asPlayer(), `${gamePath}/phase`), 'lobby'));
+    await assertSucceeds(set(ref(asHost(), `${gamePath}/phase`), 'lobby'));
+  });
+
+  it('refuses skipping a phase, outsiders and unknown fields', async () => {
+    await seed(roomPath, buildRoom());
+    await assertFails(set(ref(asHost(), `${gamePath}/phase`), 'in-game'));
+    await assertFails(set(ref(asOutsider(), `${gamePath}/phase`), 'countdown'));
+    await assertFails(set(ref(asHost(), `${gamePath}/winner`), HOST_ID));
+  });
+});
+
+describe('roomChats/{roomId}/messages', () => {
+  const messagesPath = `roomChats/${ROOM_ID}/messages`;
+  const message = (authorId, authorName, overrides = {}) => ({
+    authorId,
+    authorName,
+    text: 'Hello',
+    type: 'text',
+    createdAt: serverTimestamp(),
+    ...overrides
+  });
+
+  const countPath = `roomChats/${ROOM_ID}/messageCount`;
+  // A message together with the counter bump, the way sendChatMessage writes it
+  const send = (database, messageId, data) => update(ref(database), {
+    [`${messagesPath}/${messageId}`]: data,
+    [countPath]: increment(1)
+  });
+
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+    await seed(`${messagesPath}/m1`, { ...message(PLAYER_ID, 'Player'), createdAt: Date.now() });
+    await seed(`${messagesPath}/m2`, { ...message(HOST_ID, 'Host'), createdAt: Date.now() });
+    await seed(countPath, 2);
+  });
+
+  it('lets a member send a text message under their own name', async () => {
+    await assertSucceeds(send(asPlayer(), 'm3', message(PLAYER_ID, 'Player')));
+  });
+
+  it('refuses a message that does not raise the counter', async () => {
+    await assertFails(set(ref(asPlayer(), `${messagesPath}/m3`), message(PLAYER_ID, 'Player')));
+  });
+
+  it("refuses another member's ID or name, and non-members", async () => {
+    await assertFails(send(asPlayer(), 'm3', message(HOST_ID, 'Host')));
+    await assertFails(send(asPlayer(), 'm3', message(PLAYER_ID, 'Host')));
+    await assertFails(send(asOutsider(), 'm3', message(OUTSIDER_ID, 'Outsider')));
+  });
+
+  it('refuses system messages from clients, the host included', async () => {
+    await assertFails(send(asPlayer(), 'm3', message(PLAYER_ID, 'System', { type: 'system' })));
+    await assertFails(send(asHost(), 'm3', message(HOST_ID, 'System', { type: 'system' })));
+    await assertFails(send(asHost(), 'm3', message(HOST_ID, 'Host', { type: 'system' })));
+  });
+
+  it('refuses muted members, backdated messages and unknown fields', async () => {
+    await assertFails(send(asPlayer(), 'm3', message(PLAYER_ID, 'Player', { createdAt: Date.now() - 60000 })));
+    await assertFails(send(asPlayer(), 'm3', message(PLAYER_ID, 'Player', { pinned: true })));
+
+    await seed(`${roomPath}/mutes/${PLAYER_ID}`, { reason: 'Spam', by: HOST_ID, at: Date.now() });
+    await assertFails(send(asPlayer(), 'm3', message(PLAYER_ID, 'Player')));
+  });
+
+  it('lets the counter go up one at a time, and down only for the host', async () => {
+    await assertFails(set(ref(asPlayer(), countPath), 0));
+    await assertFails(set(ref(asPlayer(), countPath), 1000));
+    await assertFails(set(ref(asPlayer(), countPath), null));
+    await assertSucceeds(set(ref(asPlayer(), countPath), increment(1)));
+    await assertSucceeds(set(ref(asHost(), countPath), 1));
+  });
+
+  it('lets only the author, the host or a co-host delete a message, and nobody edit one', async () => {
+    await assertFails(set(ref(asPlayer(), `${messagesPath}/m2`), null));
+    await assertFails(set(ref(asPlayer(), `${messagesPath}/m1/text`), 'Edited'));
+    await assertSucceeds(set(ref(asPlayer(), `${messagesPath}/m1`), null));
+    await assertSucceeds(set(ref(asHost(), `${messagesPath}/m2`), null));
+  });
+
+  it("lets a co-host delete players' messages, but not the host's", async () => {
+    await seed(`${roomPath}/members/${OUTSIDER_ID}`, buildMember('Co-host', 'co-host'));
+    await assertFails(set(ref(asOutsider(), `${messagesPath}/m2`), null));
+    await assertSucceeds(set(ref(asOutsider(), `${messagesPath}/m1`), null));
+  });
+});
+
+describe('roomEvents/{roomId}', () => {
+  const eventsPath = `roomEvents/${ROOM_ID}`;
+  const roomEvent = (uid, overrides = {}) => ({
+    type: 'member-joined',
+    actorId: uid,
+    payload: { name: 'Player' },
+    at: serverTimestamp(),
+    recordedBy: uid,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await seed(roomPath, buildRoom());
+    await seed(`${eventsPath}/e1`, { type: 'room-created', actorId: HOST_ID, at: Date.now(), recordedBy: HOST_ID });
+  });
+
+  it('lets members and staff read the log, but not outsiders', async () => {
+    await assertSucceeds(get(ref(asPlayer(), eventsPath)));
+    await assertSucceeds(get(ref(asModerator(), eventsPath)));
+    await assertFails(get(ref(asOutsider(), eventsPath)));
+  });
+
+  it('lets a member append an event in their own name, or without an actor', async () => {
+    await assertSucceeds(set(ref(asPlayer(), `${eventsPath}/e2`), roomEvent(PLAYER_ID)));
+    await assertSucceeds(set(ref(asPlayer(), `${eventsPath}/e3`), roomEvent(PLAYER_ID, { actorId: null })));
+  });
+
+  it('accepts a host transfer entry only together with the hostId change it describes', async () => {
+    const transferEvent = roomEvent(HOST_ID, { type: 'host-transferred', payload: { from: HOST_ID, to: PLAYER_ID } });
+    const handOff = {
+      [`${roomPath}/hostId`]: PLAYER_ID,
+      [`${roomPath}/members/${HOST_ID}/role`]: 'player',
+      [`${roomPath}/members/${PLAYER_ID}/role`]: 'host'
+    };
+
+    await assertFails(set(ref(asPlayer(), `${eventsPath}/e2`), roomEvent(PLAYER_ID, {
+      type: 'host-transferred',
+      actorId: null,
+      payload: { from: HOST_ID, to: PLAYER_ID }
+    })));
+    await assertFails(update(ref(asHost()), {
+      ...handOff,
+      [`${eventsPath}/e2`]: { ...transferEvent, payload: { from: HOST_ID, to: OUTSIDER_ID } }
+    }));
+    await assertSucceeds(update(ref(asHost()), { ...handOff, [`${eventsPath}/e2`]: transferEvent }));
+  });
+
+  it("refuses outsiders, another member's name, unknown types and rewrites", async () => {
+    await assertFails(set(ref(asOutsider(), `${eventsPath}/e2`), roomEvent(OUTSIDER_ID)));
+    await assertFails(set(ref(asPlayer(), `${eventsPath}/e2`), roomEvent(PLAYER_ID, { actorId: HOST_ID })));
+    await assertFails(set(ref(asPlayer(), `${eventsPath}/e2`), roomEvent(PLAYER_ID, { type: 'member-promoted' })));
+    await assertFails(set(ref(asPlayer(), `${eventsPath}/e2`), roomEvent(PLAYER_ID, { at: Date.now() - 60000 })));
+    await assertFails(set(ref(asHost(), `${eventsPath}/e1`), roomEvent(HOST_ID)));
+  });
+
+  it('lets an outsider log only the ghost close they make in the same update', async () => {
+    await seed(roomPath, buildRoom({ status: 'empty', inactiveSince: Date.now() - 10000 }));
+    const closedEvent = roomEvent(OUTSIDER_ID, { type: 'room-closed', actorId: null, payload: { closeReason: 'Ghost room' } });
+
+    await assertFails(set(ref(asOutsider(), `${eventsPath}/e2`), closedEvent));
+    await assertSucceeds(update(ref(asOutsider()), {
+      ...closeUpdates('Ghost room'),
+      [`${eventsPath}/e2`]: closedEvent
+    }));
+  });
+});
+
+describe('system/cleanerLeader', () => {
+  const leaderPath = 'system/cleanerLeader';
+  const lease = (holderId, uid, token, overrides = {}) => ({
+    holderId,
+    uid,
+    expiresAt: Date.now() + 30000,
+    token,
+    acquiredAt: Date.now(),
+    ...overrides
+  });
+
+  it('lets a signed-in client claim a free leadership with the first token', async () => {
+    await assertSucceeds(set(ref(asPlayer(), leaderPath), lease('tab_player', PLAYER_ID, 1)));
+  });
+
+  it('refuses unauthenticated clients', async () => {
+    await assertFails(set(ref(asGuest(), leaderPath), lease('tab_guest', 'guest', 1)));
+    await assertFails(get(ref(asGuest(), leaderPath)));
+  });
+
+  it("refuses claiming in someone else's name", async () => {
+    await assertFails(set(ref(asPlayer(), leaderPath), lease('tab_player', HOST_ID, 1)));
+  });
+
+  it('lets the leader renew its lease, keeping the token', async () => {
+    const current = lease('tab_player', PLAYER_ID, 3, { acquiredAt: Date.now() - 60000 });
+    await seed(leaderPath, current);
+    await assertSucceeds(set(ref(asPlayer(), leaderPath), { ...current, expiresAt: Date.now() + 30000 }));
+    await assertFails(set(ref(asPlayer(), leaderPath), { ...current, token: 4 }));
+  });
+
+  it('refuses taking over from a live leader', async () => {
+    await seed(leaderPath, lease('tab_player', PLAYER_ID, 3));
+    await assertFails(set(ref(asOutsider(), leaderPath), lease('tab_outsider', OUTSIDER_ID, 4)));
+    await assertFails(set(ref(asPlayer(), leaderPath), lease('tab_player_2', PLAYER_ID, 4)));
+  });
+
+  it('lets a client take over an expired lease only with the next token', async () => {
+    await seed(leaderPath, lease('tab_player', PLAYER_ID, 3, { expiresAt: Date.now() - 1000 }));
+    await assertFails(set(ref(asOutsider(), leaderPath), lease('tab_outsider', OUTSIDER_ID, 3)));
+    await assertFails(set(ref(asOutsider(), leaderPath), lease('tab_outsider', OUTSIDER_ID, 10)));
+    await assertSucceeds(set(ref(asOutsider(), leaderPath), lease('tab_outsider', OUTSIDER_ID, 4)));
+  });
+
+  it('lets a client replace a leader record in the old format', async () => {
+    await seed(leaderPath, { clientId: 'client_old', timestamp: Date.now() - 120000 });
+    await assertSucceeds(set(ref(asOutsider(), leaderPath), lease('tab_outsider', OUTSIDER_ID, 1)));
+  });
+
+  it('lets the leader expire its lease on disconnect, but nobody else', async () => {
+    await seed(leaderPath, lease('tab_player', PLAYER_ID, 3));
+    await assertFails(set(ref(asOutsider(), `${leaderPath}/expiresAt`), Date.now()));
+    await assertSucceeds(set(ref(asPlayer(), `${leaderPath}/expiresAt`), Date.now()));
+  });
+
+  it('rejects a deletion fenced with a superseded token', async () => {
+    await seed(roomPath, buildRoom({ status: 'closed', roomStatus: 'closed', closedAt: Date.now() - 5000, deleteAt: Date.now() - 1000 }));
+    await seed(leaderPath, lease('tab_outsider', OUTSIDER_ID, 4));
+
+    // The old leader still believes it holds token 3
+    await assertFails(update(ref(asPlayer()), {
+      [roomPath]: null,
+      [`${leaderPath}/token`]: 3
+    }));
+    await assertSucceeds(update(ref(asOutsider()), {
+      [roomPath]: null,
+      [`${leaderPath}/token`]: 4
+    }));
+  });
+
+  it('refuses leases far in the future, unknown fields or deleting the record', async () => {
+    await assertFails(set(ref(asPlayer(), leaderPath), lease('tab_player', PLAYER_ID, 1, { expiresAt: Date.now() + 10 * 60000 })));
+    await assertFails(set(ref(asPlayer(), leaderPath), { ...lease('tab_player', PLAYER_ID, 1), extra: true }));
+
+    await seed(leaderPath, lease('tab_player', PLAYER_ID, 1));
+    await assertFails(set(ref(asPlayer(), leaderPath), null));
+  });
+});
+
+describe('paths without rules', () => {
+  it('denies the unused games path', async () => {
+    await assertFails(set(ref(asHost(), 'games/game_1'), { anything: true }));
+    await assertFails(get(ref(asHost(), 'games')));
+  });
+});
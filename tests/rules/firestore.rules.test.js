@@ -0,0 +1,170 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, Timestamp } from 'firebase/firestore';
+import { createRulesTestEnvironment, HOST_ID, PLAYER_ID, OUTSIDER_ID, MODERATOR_ID, ROOM_ID } from './testEnvironment';
+
+const ADMIN_ID = 'admin-user';
+const GAME_ID = 'game_1';
+
+const gameStatsPath = (userId, gameId = GAME_ID) => `Users/${userId}/GameStats/${gameId}`;
+
+// The record joinRoom writes when a user enters a room (recordRoomCreated writes the creator's)
+const joinRecord = (role = 'player') => ({
+  created_at: Timestamp.now(),
+  initial_score: 0,
+  role,
+  roomId: ROOM_ID
+});
+
+// What saveUserProfile writes
+const profile = (overrides = {}) => ({
+  displayName: 'Alice',
+  color: '#3b82f6',
+  emoji: '🦊',
+  createdAt: Timestamp.now(),
+  updatedAt: Timestamp.now(),
+  ...overrides
+});
+
+let testEnv;
+
+const asHost = () => testEnv.authenticatedContext(HOST_ID).firestore();
+const asPlayer = () => testEnv.authenticatedContext(PLAYER_ID).firestore();
+const asOutsider = () => testEnv.authenticatedContext(OUTSIDER_ID).firestore();
+const asModerator = () => testEnv.authenticatedContext(MODERATOR_ID, { platformRole: 'moderator' }).firestore();
+const asAdmin = () => testEnv.authenticatedContext(ADMIN_ID, { platformRole: 'admin' }).firestore();
+const asGuest = () => testEnv.unauthenticatedContext().firestore();
+
+// Write fixtures the way the Admin SDK in Cloud Functions does, without rules
+const seed = (path, data) =>
+  testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+beforeAll(async () => {
+  testEnv = await createRulesTestEnvironment();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('Users/{userId}', () => {
+  it('lets users create, read and update their own profile', async () => {
+    await assertSucceeds(setDoc(doc(asHost(), `Users/${HOST_ID}`), profile()));
+    await assertSucceeds(getDoc(doc(asHost(), `Users/${HOST_ID}`)));
+    await assertSucceeds(updateDoc(doc(asHost(), `Users/${HOST_ID}`), { displayName: 'Alicia', updatedAt: Timestamp.now() }));
+  });
+
+  it('refuses invalid profiles', async () => {
+    await assertFails(setDoc(doc(asHost(), `Users/${HOST_ID}`), profile({ displayName: 'A' })));
+    await assertFails(setDoc(doc(asHost(), `Users/${HOST_ID}`), profile({ color: 'red' })));
+    await assertFails(setDoc(doc(asHost(), `Users/${HOST_ID}`), profile({ platformRole: 'admin' })));
+  });
+
+  it('refuses rewriting createdAt', async () => {
+    await seed(`Users/${HOST_ID}`, profile({ createdAt: Timestamp.fromMillis(0) }));
+    await assertFails(updateDoc(doc(asHost(), `Users/${HOST_ID}`), { createdAt: Timestamp.now() }));
+  });
+
+  it("refuses reading or writing someone else's profile", async () => {
+    await seed(`Users/${HOST_ID}`, profile());
+    await assertFails(getDoc(doc(asPlayer(), `Users/${HOST_ID}`)));
+    await assertFails(setDoc(doc(asPlayer(), `Users/${HOST_ID}`), profile()));
+    await assertFails(getDoc(doc(asGuest(), `Users/${HOST_ID}`)));
+  });
+});
+
+describe('Users/{userId}/GameStats', () => {
+  it('lets users record and read their own games', async () => {
+    await assertSucceeds(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), joinRecord('spectator')));
+    await assertSucceeds(getDoc(doc(asHost(), gameStatsPath(HOST_ID))));
+    await assertSucceeds(getDocs(collection(asHost(), `Users/${HOST_ID}/GameStats`)));
+  });
+
+  it('refuses join records with extra or invalid fields', async () => {
+    await assertFails(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), { ...joinRecord(), initial_score: 100 }));
+    await assertFails(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), joinRecord('host')));
+    await assertFails(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), joinRecord('admin')));
+    await assertFails(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), { ...joinRecord(), time_in_room_ms: 1 }));
+  });
+
+  it('refuses clients writing final results', async () => {
+    await seed(gameStatsPath(HOST_ID), joinRecord('admin'));
+    await assertFails(setDoc(doc(asHost(), gameStatsPath(HOST_ID)), {
+      final_role: 'host',
+      time_in_room_ms: 999999999,
+      closed_at: Timestamp.now()
+    }, { merge: true }));
+  });
+
+  it("refuses reading or writing another user's games", async () => {
+    await seed(gameStatsPath(HOST_ID), joinRecord('admin'));
+    await assertFails(getDoc(doc(asPlayer(), gameStatsPath(HOST_ID))));
+    await assertFails(setDoc(doc(asPlayer(), gameStatsPath(HOST_ID, 'game_2')), joinRecord()));
+  });
+
+  it('refuses unauthenticated access', async () => {
+    await seed(gameStatsPath(HOST_ID), joinRecord('admin'));
+    await assertFails(getDoc(doc(asGuest(), gameStatsPath(HOST_ID))));
+    await assertFails(setDoc(doc(asGuest(), gameStatsPath(HOST_ID, 'game_2')), joinRecord()));
+  });
+});
+
+describe('GameHistory', () => {
+  beforeEach(async () => {
+    await seed(`GameHistory/${GAME_ID}`, { gameId: GAME_ID, roomId: ROOM_ID, participantIds: [HOST_ID, PLAYER_ID] });
+    await seed(`GameHistory/${GAME_ID}/Events/event_1`, { roomId: ROOM_ID, type: 'room-created', at: Date.now() });
+  });
+
+  it('lets participants read the summary and its events', async () => {
+    await assertSucceeds(getDoc(doc(asPlayer(), `GameHistory/${GAME_ID}`)));
+    await assertSucceeds(getDoc(doc(asPlayer(), `GameHistory/${GAME_ID}/Events/event_1`)));
+  });
+
+  it('lets staff read any summary', async () => {
+    await assertSucceeds(getDoc(doc(asModerator(), `GameHistory/${GAME_ID}`)));
+  });
+
+  it('refuses non-participants and unauthenticated users', async () => {
+    await assertFails(getDoc(doc(asOutsider(), `GameHistory/${GAME_ID}`)));
+    await assertFails(getDoc(doc(asOutsider(), `GameHistory/${GAME_ID}/Events/event_1`)));
+    await assertFails(getDoc(doc(asGuest(), `GameHistory/${GAME_ID}`)));
+  });
+
+  it('refuses client writes, even from participants and staff', async () => {
+    await assertFails(setDoc(doc(asHost(), `GameHistory/${GAME_ID}`), { participantIds: [HOST_ID] }));
+    await assertFails(setDoc(doc(asHost(), `GameHistory/${GAME_ID}/Events/event_2`), { type: 'room-closed' }));
+    await assertFails(setDoc(doc(asAdmin(), `GameHistory/game_2`), { participantIds: [ADMIN_ID] }));
+  });
+});
+
+describe('PlatformRoles', () => {
+  beforeEach(async () => {
+    await seed(`PlatformRoles/${MODERATOR_ID}`, { role: 'moderator', grantedBy: ADMIN_ID });
+  });
+
+  it('lets admins list the staff', async () => {
+    await assertSucceeds(getDocs(collection(asAdmin(), 'PlatformRoles')));
+  });
+
+  it('lets staff read their own entry only', async () => {
+    await assertSucceeds(getDoc(doc(asModerator(), `PlatformRoles/${MODERATOR_ID}`)));
+    await assertFails(getDocs(collection(asModerator(), 'PlatformRoles')));
+  });
+
+  it('refuses client writes', async () => {
+    await assertFails(setDoc(doc(asAdmin(), `PlatformRoles/${PLAYER_ID}`), { role: 'admin' }));
+    await assertFails(setDoc(doc(asPlayer(), `PlatformRoles/${PLAYER_ID}`), { role: 'admin' }));
+  });
+});
+
+describe('ExternalSessions', () => {
+  it('keeps used sessions away from every client', async () => {
+    await seed('ExternalSessions/Zk3vQ9xLr2Tn8WbA', { uid: 'ext_player_42', usedAt: Timestamp.now() });
+    await assertFails(getDoc(doc(asAdmin(), 'ExternalSessions/Zk3vQ9xLr2Tn8WbA')));
+    await assertFails(setDoc(doc(asPlayer(), 'ExternalSessions/other_session_id'), { uid: PLAYER_ID }));
+  });
+});
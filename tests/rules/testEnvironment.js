@@ -0,0 +1,92 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+// Shared setup for the security rules tests
+// The emulators are started by `npm run test:rules` (firebase emulators:exec), which
+// also tells the SDK where they run through FIREBASE_DATABASE_EMULATOR_HOST and
+// FIRESTORE_EMULATOR_HOST.
+
+export const PROJECT_ID = 'demo-poc-rtdb';
+
+const DATABASE_RULES_PATH = resolve(process.cwd(), 'database.rules.json');
+const FIRESTORE_RULES_PATH = resolve(process.cwd(), 'firestore.rules');
+
+/**
+ * Start a rules test environment loaded with the repo's rule files
+ *
+ * @returns {Promise<RulesTestEnvironment>}
+ */
+export function createRulesTestEnvironment() {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    database: { rules: readFileSync(DATABASE_RULES_PATH, 'utf8') },
+    firestore: { rules: readFileSync(FIRESTORE_RULES_PATH, 'utf8') }
+  });
+}
+
+// Personas used across the suites. Member IDs double as Firebase Auth uids
+export const HOST_ID = 'host-user';
+export const PLAYER_ID = 'player-user';
+export const OUTSIDER_ID = 'outsider-user';
+export const MODERATOR_ID = 'moderator-user';
+
+export const ROOM_ID = 'ROOM01';
+
+/**
+ * Build a member entry the way createMemberData does
+ *
+ * @param {string} name - Display name
+ * @param {string} role - Member role
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Member data
+ */
+export function buildMember(name, role, overrides = {}) {
+  return {
+    name,
+    color: '#3b82f6',
+    emoji: '',
+    role,
+    status: 'online',
+    joinedAt: Date.now() - 60000,
+    ready: false,
+    lastChanged: Date.now() - 60000,
+    ...overrides
+  };
+}
+
+/**
+ * Build an open room with a host and one player, the way createGameRoom and joinRoom leave it
+ *
+ * @param {Object} [overrides] - Room fields to replace
+ * @returns {Object} Room data
+ */
+export function buildRoom(overrides = {}) {
+  const createdAt = Date.now() - 10 * 60000;
+
+  return {
+    gameId: 'game_1',
+    roomId: ROOM_ID,
+    hostId: HOST_ID,
+    status: 'active',
+    roomStatus: 'open',
+    createdAt,
+    statusUpdatedAt: createdAt,
+    lastActiveAt: createdAt,
+    visibility: 'public',
+    listed: true,
+    maxMembers: 8,
+    maxSpectators: 10,
+    successionPolicy: 'co-host-first',
+    game: { phase: 'lobby', round: 0, phaseChangedAt: createdAt },
+    totalMembers: 2,
+    peakPlayers: 2,
+    onlineMemberCount: 2,
+    stats: { activePlayers: 2, awayPlayers: 0, offlinePlayers: 0, totalPlayers: 2, lastChecked: createdAt },
+    members: {
+      [HOST_ID]: buildMember('Host', 'host'),
+      [PLAYER_ID]: buildMember('Player', 'player')
+    },
+    ...overrides
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+// Cloud Functions code is CommonJS
+const require = createRequire(import.meta.url);
+const { describeRoomEvent } = require('../../functions/chatMessages.js');
+
+const room = (overrides = {}) => ({
+  hostId: 'host',
+  members: {
+    host: { name: 'Alice', role: 'host' },
+    player: { name: 'Bob', role: 'player' },
+    viewer: { name: 'Carol', role: 'spectator' }
+  },
+  ...overrides
+});
+
+describe('describeRoomEvent', () => {
+  it('announces joins and leaves with the name stored in the room', () => {
+    expect(describeRoomEvent({ type: 'member-joined', actorId: 'player', payload: { name: 'Mallory' } }, room()))
+      .toBe('Bob joined the room');
+    expect(describeRoomEvent({ type: 'member-joined', actorId: 'viewer', payload: { rejoined: true } }, room()))
+      .toBe('Carol rejoined as a spectator');
+    expect(describeRoomEvent({ type: 'member-left', actorId: 'player' }, room())).toBe('Bob left the room');
+  });
+
+  it('ignores member events from users who are not in the room', () => {
+    expect(describeRoomEvent({ type: 'member-joined', actorId: 'stranger', payload: { name: 'Eve' } }, room())).toBeNull();
+  });
+
+  it('announces renames, shortening the previous name to the longest allowed', () => {
+    const previousName = 'x'.repeat(40);
+    expect(describeRoomEvent({ type: 'member-renamed', actorId: 'player', payload: { previousName } }, room()))
+      .toBe(`${'x'.repeat(20)} is now known as Bob`);
+    expect(describeRoomEvent({ type: 'member-renamed', actorId: 'player', payload: { previousName: 'Bob' } }, room()))
+      .toBeNull();
+  });
+
+  it('announces the current host only', () => {
+    expect(describeRoomEvent({ type: 'host-transferred', actorId: null, payload: { to: 'host' } }, room()))
+      .toBe('Alice is now the host');
+    expect(describeRoomEvent({ type: 'host-transferred', actorId: null, payload: { to: 'player' } }, room()))
+      .toBeNull();
+  });
+
+  it('announces kicks and bans only when the record matches the actor', () => {
+    const moderated = room({
+      kicks: { player: { by: 'host', until: 1 } },
+      bans: { viewer: { name: 'Carol', by: 'host' } }
+    });
+
+    expect(describeRoomEvent({ type: 'member-kicked', actorId: 'host', payload: { memberId: 'player', name: 'Bob' } }, moderated))
+      .toBe('Bob was kicked');
+    expect(describeRoomEvent({ type: 'member-banned', actorId: 'host', payload: { memberId: 'viewer' } }, moderated))
+      .toBe('Carol was banned');
+    expect(describeRoomEvent({ type: 'member-kicked', actorId: 'player', payload: { memberId: 'player' } }, moderated))
+      .toBeNull();
+    expect(describeRoomEvent({ type: 'member-banned', actorId: 'host', payload: { memberId: 'host' } }, moderated))
+      .toBeNull();
+  });
+
+  it('ignores events that are not shown in the chat', () => {
+    expect(describeRoomEvent({ type: 'room-closed', actorId: 'host', payload: {} }, room())).toBeNull();
+  });
+});
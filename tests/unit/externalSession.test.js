@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { createHmac } from 'crypto';
+import { createRequire } from 'module';
+
+// Cloud Functions code is CommonJS
+const require = createRequire(import.meta.url);
+const {
+  ExternalSessionError,
+  consumeExternalSession,
+  signExternalSession,
+  verifyExternalSession
+} = require('../../functions/externalSession.js');
+
+const SECRET = 'test-secret';
+const NOW_MS = 1_700_000_000_000;
+const NOW = NOW_MS / 1000;
+
+const session = (overrides = {}) => ({
+  sub: 'player_42',
+  jti: 'c2Vzc2lvbl8wMDAwMDAx',
+  role: 'player',
+  tier: 'premium',
+  iat: NOW,
+  exp: NOW + 300,
+  ...overrides
+});
+
+const verify = (claims, { secret = SECRET, now = NOW_MS } = {}) => {
+  const { payload, signature } = signExternalSession(claims, secret);
+  return verifyExternalSession(payload, signature, SECRET, now);
+};
+
+// Refusal with the HTTP status issueCustomToken answers with
+const expectRefused = (fn, status, message) => {
+  let caught = null;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).toBeInstanceOf(ExternalSessionError);
+  expect(caught.status).toBe(status);
+  if (message) expect(caught.message).toMatch(message);
+};
+
+// Firestore stand-in with the create() semantics consumeExternalSession relies on
+const createFirestore = () => {
+  const docs = new Map();
+  return {
+    docs,
+    doc: (path) => ({
+      create: async (data) => {
+        if (docs.has(path)) {
+          throw Object.assign(new Error('6 ALREADY_EXISTS'), { code: 6 });
+        }
+        docs.set(path, data);
+      }
+    })
+  };
+};
+
+describe('verifyExternalSession', () => {
+  it('turns a valid session into a uid and allowlisted claims', () => {
+    expect(verify(session())).toEqual({
+      uid: 'ext_player_42',
+      claims: { ext: true, role: 'player', tier: 'premium' },
+      sessionId: 'c2Vzc2lvbl8wMDAwMDAx',
+      expiresAt: (NOW + 300 + 30) * 1000
+    });
+  });
+
+  it('leaves optional claims out when the session has none', () => {
+    expect(verify(session({ role: undefined, tier: undefined })).claims).toEqual({ ext: true });
+  });
+
+  it('refuses a session signed with another secret', () => {
+    expectRefused(() => verify(session(), { secret: 'forged' }), 401, 'Invalid signature');
+  });
+
+  it('refuses a payload changed after signing', () => {
+    const { signature } = signExternalSession(session(), SECRET);
+    const { payload } = signExternalSession(session({ sub: 'someone_else' }), SECRET);
+    expectRefused(() => verifyExternalSession(payload, signature, SECRET, NOW_MS), 401, 'Invalid signature');
+  });
+
+  it.each([
+    ['a missing signature', (payload) => [payload, undefined]],
+    ['a signature that is not hex', (payload) => [payload, 'z'.repeat(64)]],
+    ['a missing payload', (payload, signature) => [undefined, signature]]
+  ])('refuses %s', (label, build) => {
+    const { payload, signature } = signExternalSession(session(), SECRET);
+    expectRefused(() => verifyExternalSession(...build(payload, signature), SECRET, NOW_MS), 400);
+  });
+
+  it('refuses a correctly signed payload that is not JSON', () => {
+    const payload = Buffer.from('not json').toString('base64url');
+    const signature = createHmac('sha256', SECRET).update(payload).digest('hex');
+    expectRefused(() => verifyExternalSession(payload, signature, SECRET, NOW_MS), 400, 'Malformed payload');
+  });
+
+  it.each([
+    ['expired', { iat: NOW - 400, exp: NOW - 100 }],
+    ['not yet valid', { iat: NOW + 120, exp: NOW + 300 }],
+    ['longer than five minutes', { iat: NOW, exp: NOW + 301 }]
+  ])('refuses a session that is %s', (label, times) => {
+    expectRefused(() => verify(session(times)), 401);
+  });
+
+  it('accepts a session that expired within the clock skew', () => {
+    expect(verify(session({ iat: NOW - 300, exp: NOW - 10 })).uid).toBe('ext_player_42');
+  });
+
+  it.each([
+    ['iat', { iat: undefined }],
+    ['exp', { exp: String(NOW + 300) }],
+    ['sub', { sub: undefined }],
+    ['sub', { sub: '../admin' }],
+    ['jti', { jti: undefined }],
+    ['jti', { jti: 'short' }],
+    ['jti', { jti: 'has/slash/in/the/identifier' }]
+  ])('refuses a missing or invalid %s', (claim, overrides) => {
+    expectRefused(() => verify(session(overrides)), 400);
+  });
+
+  it.each([
+    ['role', { role: 'admin' }],
+    ['tier', { tier: 'gold' }]
+  ])('refuses an unknown %s', (claim, overrides) => {
+    expectRefused(() => verify(session(overrides)), 400, `${claim} must be one of`);
+  });
+
+  it('never copies claims that are not allowlisted', () => {
+    const { claims } = verify(session({ platformRole: 'admin', admin: true, sub_uid: 'x' }));
+    expect(claims).toEqual({ ext: true, role: 'player', tier: 'premium' });
+  });
+});
+
+describe('consumeExternalSession', () => {
+  it('records a session the first time it is exchanged', async () => {
+    const firestore = createFirestore();
+    await consumeExternalSession(firestore, verify(session()));
+
+    expect(firestore.docs.get('ExternalSessions/c2Vzc2lvbl8wMDAwMDAx')).toMatchObject({
+      uid: 'ext_player_42',
+      expiresAt: new Date((NOW + 330) * 1000)
+    });
+  });
+
+  it('refuses a replayed session', async () => {
+    const firestore = createFirestore();
+    const verified = verify(session());
+    await consumeExternalSession(firestore, verified);
+
+    await expect(consumeExternalSession(firestore, verify(session()))).rejects.toMatchObject({
+      name: 'ExternalSessionError',
+      status: 401,
+      message: 'Session already used'
+    });
+  });
+
+  it('passes other Firestore errors on', async () => {
+    const firestore = {
+      doc: () => ({ create: async () => { throw Object.assign(new Error('unavailable'), { code: 14 }); } })
+    };
+    await expect(consumeExternalSession(firestore, verify(session()))).rejects.toThrow('unavailable');
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createHolderId,
+  isLeaseFree,
+  isLeaseHeldBy,
+  getLeaseHolder,
+  claimLease,
+  releaseLease
+} from '../../src/utils/lease';
+
+const NOW = 1_700_000_000_000;
+const TTL = 30000;
+const ME = { holderId: 'tab_a', uid: 'user-a' };
+
+const lease = (holderId, expiresAt, uid = 'user-x', token = 4) => ({
+  holderId,
+  uid,
+  expiresAt,
+  token,
+  acquiredAt: NOW - 60000
+});
+
+describe('createHolderId', () => {
+  it('prefixes the ID and makes every call unique', () => {
+    const first = createHolderId('user-a');
+    expect(first).toMatch(/^user-a_[a-z0-9]+_\d+$/);
+    expect(createHolderId('user-a')).not.toBe(first);
+    expect(createHolderId()).toMatch(/^client_/);
+  });
+});
+
+describe('isLeaseFree / isLeaseHeldBy', () => {
+  it.each([
+    ['missing', null, true, false],
+    ['expired', lease('tab_a', NOW), true, false],
+    ['without expiry', { holderId: 'tab_a' }, true, false],
+    ['ours and live', lease('tab_a', NOW + 1), false, true],
+    ['theirs and live', lease('tab_b', NOW + 1), false, false]
+  ])('a lease %s', (label, record, free, held) => {
+    expect(isLeaseFree(record, NOW)).toBe(free);
+    expect(isLeaseHeldBy(record, 'tab_a', NOW)).toBe(held);
+  });
+});
+
+describe('getLeaseHolder', () => {
+  it('describes a live lease', () => {
+    expect(getLeaseHolder(lease('tab_b', NOW + 1), NOW)).toEqual({
+      holderId: 'tab_b',
+      uid: 'user-x',
+      since: NOW - 60000,
+      expiresAt: NOW + 1,
+      token: 4
+    });
+  });
+
+  it('reports nobody for a free lease', () => {
+    expect(getLeaseHolder(null, NOW)).toBeNull();
+    expect(getLeaseHolder(lease('tab_b', NOW), NOW)).toBeNull();
+  });
+
+  it('tolerates leases written before tokens', () => {
+    expect(getLeaseHolder({ holderId: 'tab_b', uid: 'user-x', expiresAt: NOW + 1 }, NOW))
+      .toMatchObject({ since: null, token: null });
+  });
+});
+
+describe('claimLease', () => {
+  it('takes a missing lease with the first token', () => {
+    expect(claimLease(null, ME, NOW, TTL)).toEqual({
+      holderId: 'tab_a',
+      uid: 'user-a',
+      expiresAt: NOW + TTL,
+      token: 1,
+      acquiredAt: NOW
+    });
+  });
+
+  it('takes an expired lease with the next token', () => {
+    expect(claimLease(lease('tab_b', NOW - 1), ME, NOW, TTL)).toEqual({
+      holderId: 'tab_a',
+      uid: 'user-a',
+      expiresAt: NOW + TTL,
+      token: 5,
+      acquiredAt: NOW
+    });
+  });
+
+  it('takes a new token when our own lease already expired', () => {
+    expect(claimLease(lease('tab_a', NOW, 'user-a'), ME, NOW, TTL)).toMatchObject({ token: 5, acquiredAt: NOW });
+  });
+
+  it('renews our live lease, keeping its token and start', () => {
+    expect(claimLease(lease('tab_a', NOW + 5000, 'user-a'), ME, NOW, TTL)).toEqual({
+      holderId: 'tab_a',
+      uid: 'user-a',
+      expiresAt: NOW + TTL,
+      token: 4,
+      acquiredAt: NOW - 60000
+    });
+  });
+
+  it('replaces a leader record in the old format', () => {
+    expect(claimLease({ clientId: 'client_old', timestamp: NOW - 120000 }, ME, NOW, TTL)).toEqual({
+      holderId: 'tab_a',
+      uid: 'user-a',
+      expiresAt: NOW + TTL,
+      token: 1,
+      acquiredAt: NOW
+    });
+  });
+
+  it('leaves a live lease held by someone else alone', () => {
+    expect(claimLease(lease('tab_b', NOW + 1), ME, NOW, TTL)).toBeUndefined();
+  });
+
+  it('tells tabs of the same user apart', () => {
+    expect(claimLease(lease('tab_b', NOW + 1, 'user-a'), ME, NOW, TTL)).toBeUndefined();
+  });
+});
+
+describe('releaseLease', () => {
+  it('expires our lease, keeping the token for the next holder to increase', () => {
+    expect(releaseLease(lease('tab_a', NOW + 1), 'tab_a', NOW)).toEqual(lease('tab_a', NOW));
+  });
+
+  it('leaves expired leases and other holders alone', () => {
+    expect(releaseLease(lease('tab_a', NOW - 1), 'tab_a', NOW)).toBeUndefined();
+    expect(releaseLease(lease('tab_b', NOW + 1), 'tab_a', NOW)).toBeUndefined();
+    expect(releaseLease(null, 'tab_a', NOW)).toBeUndefined();
+  });
+});
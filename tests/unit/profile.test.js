@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeDisplayName,
+  containsBlockedWord,
+  validateDisplayName,
+  isValidAvatarColor,
+  isValidAvatarEmoji,
+  getDefaultAvatarColor
+} from '../../src/utils/profile';
+import { PROFILE_CONFIG } from '../../src/config/profile';
+
+describe('normalizeDisplayName', () => {
+  it('trims and collapses whitespace', () => {
+    expect(normalizeDisplayName('  Ada   Lovelace ')).toBe('Ada Lovelace');
+    expect(normalizeDisplayName(undefined)).toBe('');
+  });
+});
+
+describe('containsBlockedWord', () => {
+  it.each([
+    'shit',
+    'Shit Happens',
+    'big_dick',
+    'BigDick',
+    'sh1t',
+    '$h!t',
+    'S h 1 t',
+    'f.u.c.k',
+    'dicks',
+    'fuck_2'
+  ])('blocks %s', (name) => {
+    expect(containsBlockedWord(name)).toBe(true);
+  });
+
+  it.each([
+    'Hancock',
+    'Dickens',
+    'Scunthorpe',
+    'Cockburn',
+    'Matsushita',
+    'Bassett',
+    'Peacock',
+    'Shitake Fan',
+    'Ada Lovelace'
+  ])('allows %s', (name) => {
+    expect(containsBlockedWord(name)).toBe(false);
+  });
+});
+
+describe('validateDisplayName', () => {
+  it('accepts ordinary names', () => {
+    expect(validateDisplayName('Charles Dickens')).toBeNull();
+    expect(validateDisplayName('x_Hancock_x')).toBeNull();
+  });
+
+  it('refuses names that are too short, too long or use other characters', () => {
+    expect(validateDisplayName('a')).toMatch(/characters$/);
+    expect(validateDisplayName('a'.repeat(PROFILE_CONFIG.MAX_NAME_LENGTH + 1))).toMatch(/characters$/);
+    expect(validateDisplayName('<script>')).toMatch(/^Name can only contain/);
+  });
+
+  it('refuses blocked words', () => {
+    expect(validateDisplayName('Big Sh1t')).toBe('Please choose a different name');
+  });
+});
+
+describe('avatars', () => {
+  it('accepts only the offered colors and emojis', () => {
+    expect(isValidAvatarColor(PROFILE_CONFIG.AVATAR_COLORS[0])).toBe(true);
+    expect(isValidAvatarColor('#000000')).toBe(false);
+    expect(isValidAvatarEmoji(null)).toBe(true);
+    expect(isValidAvatarEmoji(PROFILE_CONFIG.AVATAR_EMOJIS[0])).toBe(true);
+    expect(isValidAvatarEmoji('💩')).toBe(false);
+  });
+
+  it('gives each user a stable default color', () => {
+    expect(getDefaultAvatarColor('user-a')).toBe(getDefaultAvatarColor('user-a'));
+    expect(PROFILE_CONFIG.AVATAR_COLORS).toContain(getDefaultAvatarColor('user-b'));
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ROOM_PHASE,
+  getRoomPhase,
+  canTransitionPhase,
+  isGameInProgress,
+  getReadyState,
+  getLobbyMemberUpdates
+} from '../../src/utils/roomPhase';
+
+const member = (role, status = 'online', overrides = {}) => ({ name: role, role, status, ready: false, ...overrides });
+
+describe('phases', () => {
+  it('treats rooms without a game node as in the lobby', () => {
+    expect(getRoomPhase({})).toBe(ROOM_PHASE.LOBBY);
+    expect(getRoomPhase({ game: { phase: ROOM_PHASE.RESULTS } })).toBe(ROOM_PHASE.RESULTS);
+  });
+
+  it.each([
+    [ROOM_PHASE.LOBBY, ROOM_PHASE.COUNTDOWN, true],
+    [ROOM_PHASE.COUNTDOWN, ROOM_PHASE.IN_GAME, true],
+    [ROOM_PHASE.COUNTDOWN, ROOM_PHASE.LOBBY, true],
+    [ROOM_PHASE.IN_GAME, ROOM_PHASE.RESULTS, true],
+    [ROOM_PHASE.RESULTS, ROOM_PHASE.LOBBY, true],
+    [ROOM_PHASE.LOBBY, ROOM_PHASE.IN_GAME, false],
+    [ROOM_PHASE.IN_GAME, ROOM_PHASE.LOBBY, false]
+  ])('%s → %s allowed: %s', (from, to, expected) => {
+    expect(canTransitionPhase(from, to)).toBe(expected);
+  });
+
+  it('seats new members as spectators only during the countdown and the game', () => {
+    expect(isGameInProgress(ROOM_PHASE.COUNTDOWN)).toBe(true);
+    expect(isGameInProgress(ROOM_PHASE.IN_GAME)).toBe(true);
+    expect(isGameInProgress(ROOM_PHASE.RESULTS)).toBe(false);
+  });
+});
+
+describe('getReadyState', () => {
+  it('counts present players only', () => {
+    expect(getReadyState({
+      h: member('host', 'online', { ready: true }),
+      p: member('player', 'away'),
+      o: member('player', 'offline'),
+      s: member('spectator', 'online', { ready: true })
+    })).toEqual({ readyCount: 1, playerCount: 2, allReady: false });
+  });
+});
+
+describe('getLobbyMemberUpdates', () => {
+  it('clears ready flags and seats late joiners as players', () => {
+    expect(getLobbyMemberUpdates({
+      h: member('host', 'online', { ready: true }),
+      l: member('spectator', 'online', { lateJoin: true }),
+      s: member('spectator')
+    })).toEqual({
+      'h/ready': false,
+      'l/ready': false,
+      'l/role': 'player',
+      'l/lateJoin': null,
+      's/ready': false
+    });
+  });
+
+  it('never demotes a late joiner who became host or co-host during the round', () => {
+    expect(getLobbyMemberUpdates({
+      l: member('host', 'online', { lateJoin: true }),
+      c: member('co-host', 'online', { lateJoin: true })
+    })).toEqual({
+      'l/ready': false,
+      'l/lateJoin': null,
+      'c/ready': false,
+      'c/lateJoin': null
+    });
+  });
+
+  it('handles rooms without members', () => {
+    expect(getLobbyMemberUpdates(undefined)).toEqual({});
+  });
+});
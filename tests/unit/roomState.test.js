@@ -0,0 +1,587 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ROOM_LIFECYCLE_DEFAULTS,
+  SUCCESSION_POLICY,
+  isSpectator,
+  getPlayerEntries,
+  getSpectatorEntries,
+  getConnectionsStatus,
+  getMemberStatus,
+  removeConnection,
+  isSeated,
+  calculatePlayerCounts,
+  countOnlineMembers,
+  determineRoomStatus,
+  isRoomClosed,
+  rankSuccessors,
+  selectSuccessor,
+  decideHostTransfer,
+  getAutoClose,
+  decideRoomActions,
+  applyRoomActions,
+  buildClosedFields,
+  isGhostRoom,
+  isClosedRoomDue,
+  getDeletionReason
+} from '../../src/utils/roomState';
+
+const NOW = 1_700_000_000_000;
+const CONFIG = ROOM_LIFECYCLE_DEFAULTS;
+const MEMBER_STATUSES = ['online', 'away', 'offline'];
+
+const member = (role, status, overrides = {}) => ({ name: role, role, status, joinedAt: NOW - 60000, ...overrides });
+
+// Connections keyed c0, c1, ... with the given states
+const connections = (...states) => Object.fromEntries(
+  states.map((state, index) => [`c${index}`, { state, lastChanged: NOW - 1000 }])
+);
+
+// An open room whose status and stats already match its members
+const buildRoom = (members, overrides = {}) => {
+  const counts = calculatePlayerCounts(members);
+  return {
+    roomStatus: 'open',
+    status: determineRoomStatus(counts),
+    createdAt: NOW - 10 * 60000,
+    successionPolicy: SUCCESSION_POLICY.CO_HOST_FIRST,
+    stats: { ...counts, lastChecked: NOW - 60000 },
+    onlineMemberCount: countOnlineMembers(members),
+    peakPlayers: counts.totalPlayers,
+    members,
+    ...overrides
+  };
+};
+
+describe('membership', () => {
+  it.each([
+    [{ role: 'spectator' }, true],
+    [{ role: 'spectator', lateJoin: true }, false],
+    [{ role: 'player' }, false],
+    [{ role: 'host' }, false],
+    [{ role: 'co-host' }, false],
+    [undefined, false]
+  ])('isSpectator(%j) is %s', (memberData, expected) => {
+    expect(isSpectator(memberData)).toBe(expected);
+  });
+
+  it('splits members into players and spectators', () => {
+    const members = {
+      h: member('host', 'online'),
+      s: member('spectator', 'online'),
+      l: member('spectator', 'away', { lateJoin: true })
+    };
+    expect(getPlayerEntries(members).map(([id]) => id)).toEqual(['h', 'l']);
+    expect(getSpectatorEntries(members).map(([id]) => id)).toEqual(['s']);
+  });
+
+  it('handles missing members', () => {
+    expect(getPlayerEntries(null)).toEqual([]);
+    expect(getSpectatorEntries(undefined)).toEqual([]);
+    expect(calculatePlayerCounts(null)).toEqual({ activePlayers: 0, awayPlayers: 0, offlinePlayers: 0, totalPlayers: 0 });
+    expect(countOnlineMembers(null)).toBe(0);
+  });
+});
+
+describe('connections', () => {
+  it.each([
+    [[], 'offline'],
+    [['online'], 'online'],
+    [['away'], 'away'],
+    [['away', 'online'], 'online'],
+    [['away', 'away'], 'away']
+  ])('connections %j make a user %s', (states, expected) => {
+    expect(getConnectionsStatus(connections(...states))).toBe(expected);
+  });
+
+  it('treats missing connections as offline', () => {
+    expect(getConnectionsStatus(null)).toBe('offline');
+    expect(getConnectionsStatus(undefined)).toBe('offline');
+  });
+
+  it('derives member status from connections, over the status field', () => {
+    expect(getMemberStatus(member('player', 'offline', { connections: connections('away', 'online') }))).toBe('online');
+    expect(getMemberStatus(member('player', 'online', { connections: connections('away') }))).toBe('away');
+  });
+
+  it('falls back to the status field without connections', () => {
+    expect(getMemberStatus(member('player', 'online'))).toBe('online');
+    expect(getMemberStatus(member('player', 'offline', { connections: {} }))).toBe('offline');
+    expect(getMemberStatus(undefined)).toBeUndefined();
+  });
+
+  it('keeps a member online while another tab is still connected', () => {
+    const members = { p: member('player', 'online', { connections: connections('online', 'away') }) };
+    const next = removeConnection(members, 'p', 'c0');
+
+    expect(next.p.connections).toEqual({ c1: members.p.connections.c1 });
+    expect(getMemberStatus(next.p)).toBe('away');
+    expect(members.p.connections).toHaveProperty('c0');
+  });
+
+  it('marks a member offline when their last connection goes', () => {
+    const members = { p: member('player', 'online', { connections: connections('online') }) };
+    const next = removeConnection(members, 'p', 'c0');
+
+    expect(next.p).not.toHaveProperty('connections');
+    expect(next.p.status).toBe('offline');
+    expect(countOnlineMembers(next)).toBe(0);
+  });
+
+  it('leaves other members and unknown users alone', () => {
+    const members = { p: member('player', 'online'), q: member('player', 'away') };
+    expect(removeConnection(members, 'p', 'c0').q).toBe(members.q);
+    expect(removeConnection(members, 'nobody', 'c0')).toBe(members);
+  });
+});
+
+describe('isSeated', () => {
+  const players = (members) => getPlayerEntries(members);
+
+  it('keeps the seats for whoever took them first', () => {
+    const members = {
+      a: member('host', 'online', { seatedAt: NOW - 5000 }),
+      b: member('player', 'online', { seatedAt: NOW - 10 }),
+      c: member('player', 'online', { seatedAt: NOW })
+    };
+    expect(isSeated(players(members), 'b', 2)).toBe(true);
+    expect(isSeated(players(members), 'c', 2)).toBe(false);
+  });
+
+  it('seats members without seatedAt first and breaks ties by user ID', () => {
+    const members = {
+      z: member('player', 'online'),
+      b: member('player', 'online', { seatedAt: NOW }),
+      a: member('player', 'online', { seatedAt: NOW })
+    };
+    expect(isSeated(players(members), 'z', 2)).toBe(true);
+    expect(isSeated(players(members), 'a', 2)).toBe(true);
+    expect(isSeated(players(members), 'b', 2)).toBe(false);
+  });
+
+  it('does not count offline members or spectators', () => {
+    const members = {
+      a: member('player', 'offline', { seatedAt: NOW - 5000 }),
+      s: member('spectator', 'online', { seatedAt: NOW - 5000 }),
+      b: member('player', 'online', { seatedAt: NOW })
+    };
+    expect(isSeated(players(members), 'b', 1)).toBe(true);
+    expect(isSeated(players(members), 'a', 1)).toBe(false);
+  });
+});
+
+describe('counts', () => {
+  it('counts every player status, leaving spectators out', () => {
+    expect(calculatePlayerCounts({
+      a: member('host', 'online'),
+      b: member('player', 'away'),
+      c: member('player', 'offline'),
+      d: member('co-host', 'offline'),
+      e: member('spectator', 'online')
+    })).toEqual({ activePlayers: 1, awayPlayers: 1, offlinePlayers: 2, totalPlayers: 4 });
+  });
+
+  it('counts connected members, spectators included', () => {
+    expect(countOnlineMembers({
+      a: member('host', 'online'),
+      b: member('player', 'away'),
+      c: member('player', 'offline'),
+      d: member('spectator', 'online'),
+      e: member('player', undefined)
+    })).toBe(3);
+  });
+
+  it('counts late joiners waiting for a seat as players', () => {
+    expect(calculatePlayerCounts({ a: member('spectator', 'online', { lateJoin: true }) }).totalPlayers).toBe(1);
+  });
+
+  it('counts a user once whatever their number of connections', () => {
+    const members = {
+      a: member('host', 'offline', { connections: connections('online', 'away', 'away') }),
+      b: member('player', 'online', { connections: connections('away') })
+    };
+    expect(calculatePlayerCounts(members)).toEqual({ activePlayers: 1, awayPlayers: 1, offlinePlayers: 0, totalPlayers: 2 });
+    expect(countOnlineMembers(members)).toBe(2);
+  });
+});
+
+describe('determineRoomStatus', () => {
+  // Every combination of 0-2 online, away and offline players
+  const cases = [];
+  for (const activePlayers of [0, 1, 2]) {
+    for (const awayPlayers of [0, 1, 2]) {
+      for (const offlinePlayers of [0, 1, 2]) {
+        let expected = 'active';
+        if (activePlayers === 0 && awayPlayers === 0 && offlinePlayers > 0) expected = 'empty';
+        else if (activePlayers === 0 && awayPlayers > 0) expected = 'idle';
+        cases.push([activePlayers, awayPlayers, offlinePlayers, expected]);
+      }
+    }
+  }
+
+  it.each(cases)('%i online, %i away, %i offline → %s', (activePlayers, awayPlayers, offlinePlayers, expected) => {
+    expect(determineRoomStatus({ activePlayers, awayPlayers, offlinePlayers })).toBe(expected);
+  });
+});
+
+describe('isRoomClosed', () => {
+  it.each([
+    ['open', 'active', false],
+    ['open', 'idle', false],
+    ['open', 'empty', false],
+    ['open', 'closed', true],
+    ['closed', 'active', true],
+    ['closed', 'closed', true],
+    [undefined, 'closed', true],
+    [undefined, undefined, false]
+  ])('roomStatus %s, status %s → %s', (roomStatus, status, expected) => {
+    expect(isRoomClosed({ roomStatus, status })).toBe(expected);
+  });
+
+  it('treats a missing room as open', () => {
+    expect(isRoomClosed(null)).toBe(false);
+  });
+});
+
+describe('host succession', () => {
+  const members = {
+    host: member('host', 'offline'),
+    early: member('player', 'online', { joinedAt: NOW - 90000, latency: 80 }),
+    fast: member('player', 'online', { joinedAt: NOW - 30000, latency: 20 }),
+    co: member('co-host', 'online', { latency: 50 }),
+    idle: member('co-host', 'away', { joinedAt: NOW - 120000 }),
+    gone: member('player', 'offline', { joinedAt: NOW - 200000 }),
+    watcher: member('spectator', 'online', { joinedAt: NOW - 300000 })
+  };
+
+  it.each([
+    [SUCCESSION_POLICY.CO_HOST_FIRST, ['co', 'early', 'fast', 'idle']],
+    [SUCCESSION_POLICY.LONGEST_TENURED, ['early', 'co', 'fast', 'idle']],
+    [SUCCESSION_POLICY.LOWEST_LATENCY, ['fast', 'co', 'early', 'idle']],
+    ['unknown-policy', ['co', 'early', 'fast', 'idle']]
+  ])('ranks by status, then %s', (policy, expected) => {
+    expect(rankSuccessors(members, 'host', policy).map(([id]) => id)).toEqual(expected);
+  });
+
+  it('ranks by the host-defined order, unlisted members last', () => {
+    const ranked = rankSuccessors(members, 'host', SUCCESSION_POLICY.PRIORITY_ORDER, ['fast', 'idle', 'co']);
+    expect(ranked.map(([id]) => id)).toEqual(['fast', 'co', 'early', 'idle']);
+  });
+
+  it('breaks ties by user ID whatever the key order', () => {
+    const tied = { b: member('player', 'online'), a: member('player', 'online') };
+    expect(rankSuccessors(tied, 'host').map(([id]) => id)).toEqual(['a', 'b']);
+  });
+
+  it('selects the best successor, or nobody', () => {
+    expect(selectSuccessor({ members }, 'host')[0]).toBe('co');
+    expect(selectSuccessor({ members: { host: members.host, watcher: members.watcher } }, 'host')).toBeNull();
+    expect(selectSuccessor(null, 'host')).toBeNull();
+  });
+
+  it.each([
+    // host status, best other member status, expected transfer
+    ['online', 'online', false],
+    ['away', 'online', true],
+    ['away', 'away', false],
+    ['offline', 'online', true],
+    ['offline', 'away', true],
+    ['offline', 'offline', false]
+  ])('host %s with a player %s → transfer %s', (hostStatus, otherStatus, expected) => {
+    const room = { members: { h: member('host', hostStatus), p: member('player', otherStatus) } };
+    expect(decideHostTransfer(room)).toEqual(expected ? { from: 'h', to: 'p' } : null);
+  });
+
+  it('does not transfer without a host', () => {
+    expect(decideHostTransfer({ members: { p: member('player', 'online') } })).toBeNull();
+  });
+});
+
+describe('getAutoClose', () => {
+  it.each([
+    ['empty', CONFIG.EMPTY_AUTO_CLOSE_TIMEOUT],
+    ['idle', CONFIG.IDLE_AUTO_CLOSE_TIMEOUT]
+  ])('closes an %s room once its timeout has passed', (status, timeout) => {
+    const inactiveSince = NOW - timeout;
+    expect(getAutoClose({ status, inactiveSince }, NOW - 1).closeReason).toBeNull();
+    expect(getAutoClose({ status, inactiveSince }, NOW - 1).closesAt).toBe(NOW);
+    expect(getAutoClose({ status, inactiveSince }, NOW).closeReason).toMatch(/^Auto-closed: Room /);
+  });
+
+  it('names the reason after the status', () => {
+    expect(getAutoClose({ status: 'empty', inactiveSince: NOW - 4000 }, NOW).closeReason)
+      .toBe('Auto-closed: Room empty for 4s');
+    expect(getAutoClose({ status: 'idle', inactiveSince: NOW - 6 * 60000 }, NOW).closeReason)
+      .toBe('Auto-closed: Room idle for 6m');
+  });
+
+  it.each([
+    ['an active room', { status: 'active', inactiveSince: NOW - 3600000 }, CONFIG],
+    ['a closed room', { roomStatus: 'closed', status: 'empty', inactiveSince: NOW - 3600000 }, CONFIG],
+    ['a room without inactiveSince', { status: 'empty' }, CONFIG],
+    ['auto-close switched off', { status: 'empty', inactiveSince: NOW - 3600000 }, { ...CONFIG, AUTO_CLOSE_ENABLED: false }],
+    ['monitoring switched off', { status: 'empty', inactiveSince: NOW - 3600000 }, { ...CONFIG, ENABLED: false }]
+  ])('never closes %s', (label, room, config) => {
+    expect(getAutoClose(room, NOW, config)).toEqual({ closeReason: null, closesAt: null });
+  });
+});
+
+describe('decideRoomActions', () => {
+  it('does nothing for a steady room', () => {
+    const room = buildRoom({ h: member('host', 'online'), p: member('player', 'online') });
+    expect(decideRoomActions(room, NOW)).toEqual({ updates: {}, hostTransfer: null, closeReason: null, nextCheckAt: null });
+  });
+
+  it.each([
+    ['closed', { roomStatus: 'closed' }],
+    ['status closed', { status: 'closed' }]
+  ])('does nothing for a %s room', (label, overrides) => {
+    const room = buildRoom({ h: member('host', 'offline') }, { ...overrides, inactiveSince: NOW - 3600000 });
+    expect(decideRoomActions(room, NOW)).toEqual({ updates: {}, hostTransfer: null, closeReason: null, nextCheckAt: null });
+  });
+
+  it('does nothing without a room', () => {
+    expect(decideRoomActions(null, NOW).updates).toEqual({});
+  });
+
+  // Every transition between the three derived statuses
+  const MEMBERS_FOR = {
+    active: () => ({ h: member('host', 'online') }),
+    idle: () => ({ h: member('host', 'away') }),
+    empty: () => ({ h: member('host', 'offline') })
+  };
+
+  it.each([
+    ['active', 'idle', { inactiveSince: NOW }],
+    ['active', 'empty', { inactiveSince: NOW }],
+    ['idle', 'active', { inactiveSince: null, lastActiveAt: NOW }],
+    ['idle', 'empty', { inactiveSince: NOW }],
+    ['empty', 'active', { inactiveSince: null, lastActiveAt: NOW }],
+    ['empty', 'idle', {}]
+  ])('%s → %s', (from, to, expected) => {
+    const room = buildRoom(MEMBERS_FOR[from](), { inactiveSince: from === 'active' ? null : NOW - 1000 });
+    room.members = MEMBERS_FOR[to]();
+
+    const { updates } = decideRoomActions(room, NOW);
+    expect(updates.status).toBe(to);
+    expect(updates.statusUpdatedAt).toBe(NOW);
+    expect(updates.stats).toEqual({ ...calculatePlayerCounts(room.members), lastChecked: NOW });
+    for (const field of ['inactiveSince', 'lastActiveAt']) {
+      if (field in expected) {
+        expect(updates[field]).toBe(expected[field]);
+      } else {
+        expect(updates).not.toHaveProperty(field);
+      }
+    }
+  });
+
+  it('only updates stats when a player goes away but the room stays active', () => {
+    const room = buildRoom({ h: member('host', 'online'), p: member('player', 'online') });
+    room.members.p = member('player', 'away');
+
+    expect(decideRoomActions(room, NOW).updates).toEqual({
+      stats: { activePlayers: 1, awayPlayers: 1, offlinePlayers: 0, totalPlayers: 2, lastChecked: NOW }
+    });
+  });
+
+  it('schedules the empty close when a room becomes empty', () => {
+    const room = buildRoom({ h: member('host', 'online') });
+    room.members.h = member('host', 'offline');
+
+    const decision = decideRoomActions(room, NOW);
+    expect(decision.closeReason).toBeNull();
+    expect(decision.nextCheckAt).toBe(NOW + CONFIG.EMPTY_AUTO_CLOSE_TIMEOUT);
+  });
+
+  it('keeps the idle deadline from when an empty room first went inactive', () => {
+    const room = buildRoom({ h: member('host', 'away') }, { status: 'empty', inactiveSince: NOW - 1000 });
+    expect(decideRoomActions(room, NOW).nextCheckAt).toBe(NOW - 1000 + CONFIG.IDLE_AUTO_CLOSE_TIMEOUT);
+  });
+
+  it('schedules the next check for an inactive room', () => {
+    const room = buildRoom({ h: member('host', 'away') }, { inactiveSince: NOW - 1000 });
+    expect(decideRoomActions(room, NOW).nextCheckAt).toBe(NOW - 1000 + CONFIG.IDLE_AUTO_CLOSE_TIMEOUT);
+  });
+
+  it('closes in the same decision that marks the room empty once the timeout is zero', () => {
+    const room = buildRoom({ h: member('host', 'online') });
+    room.members.h = member('host', 'offline');
+
+    const decision = decideRoomActions(room, NOW, { ...CONFIG, EMPTY_AUTO_CLOSE_TIMEOUT: 0 });
+    expect(decision.closeReason).toBe('Auto-closed: Room empty for 0s');
+    expect(decision.nextCheckAt).toBeNull();
+  });
+
+  it('includes the host transfer', () => {
+    const room = buildRoom({ h: member('host', 'offline'), p: member('player', 'online') });
+    expect(decideRoomActions(room, NOW).hostTransfer).toEqual({ from: 'h', to: 'p' });
+  });
+
+  it('keeps the host while one of their tabs is still connected', () => {
+    const room = buildRoom({
+      h: member('host', 'offline', { connections: connections('away', 'online') }),
+      p: member('player', 'online')
+    });
+    expect(decideRoomActions(room, NOW).hostTransfer).toBeNull();
+  });
+
+  it('corrects onlineMemberCount', () => {
+    const room = buildRoom({ h: member('host', 'online'), p: member('player', 'online') });
+    room.members.p = member('player', 'offline');
+    expect(decideRoomActions(room, NOW).updates.onlineMemberCount).toBe(1);
+  });
+
+  it('raises peakPlayers to the players present, never lowers it', () => {
+    const members = { h: member('host', 'online'), p: member('player', 'away'), s: member('spectator', 'online') };
+    expect(decideRoomActions(buildRoom(members, { peakPlayers: 1 }), NOW).updates.peakPlayers).toBe(2);
+    expect(decideRoomActions(buildRoom(members, { peakPlayers: 3 }), NOW).updates).not.toHaveProperty('peakPlayers');
+  });
+});
+
+describe('applyRoomActions', () => {
+  it('applies status updates, host transfer and onlineMemberCount without mutating the input', () => {
+    const room = buildRoom({ h: member('host', 'online'), p: member('player', 'online') }, { hostId: 'h' });
+    room.members.h = member('host', 'offline');
+    const snapshot = JSON.parse(JSON.stringify(room));
+
+    const decision = decideRoomActions(room, NOW);
+    const { room: next, changed } = applyRoomActions(room, decision, NOW);
+
+    expect(changed).toBe(true);
+    expect(room).toEqual(snapshot);
+    expect(next.hostId).toBe('p');
+    expect(next.members.p).toMatchObject({ role: 'host', lastChanged: NOW });
+    expect(next.members.h.role).toBe('player');
+    expect(next.onlineMemberCount).toBe(1);
+    expect(next.stats).toEqual({ activePlayers: 1, awayPlayers: 0, offlinePlayers: 1, totalPlayers: 2, lastChecked: NOW });
+  });
+
+  it('makes a late joiner who becomes host a player of the current round', () => {
+    const room = buildRoom({
+      h: member('host', 'offline'),
+      l: member('spectator', 'online', { lateJoin: true })
+    }, { hostId: 'h' });
+
+    const { room: next } = applyRoomActions(room, decideRoomActions(room, NOW), NOW);
+    expect(next.hostId).toBe('l');
+    expect(next.members.l.role).toBe('host');
+    expect(next.members.l).not.toHaveProperty('lateJoin');
+    expect(room.members.l.lateJoin).toBe(true);
+  });
+
+  it('closes the room with every closing field', () => {
+    const room = buildRoom({ h: member('host', 'offline') }, { inactiveSince: NOW - 4000 });
+    const { room: next, changed } = applyRoomActions(room, decideRoomActions(room, NOW), NOW);
+
+    expect(changed).toBe(true);
+    expect(next).toMatchObject(buildClosedFields('Auto-closed: Room empty for 4s', NOW));
+    expect(isRoomClosed(next)).toBe(true);
+  });
+
+  it('reports no change for a steady room', () => {
+    const room = buildRoom({ h: member('host', 'online') });
+    expect(applyRoomActions(room, decideRoomActions(room, NOW), NOW).changed).toBe(false);
+  });
+
+  it('fixes a wrong onlineMemberCount on its own', () => {
+    const room = buildRoom({ h: member('host', 'online') }, { onlineMemberCount: 5 });
+    const { room: next, changed } = applyRoomActions(room, decideRoomActions(room, NOW), NOW);
+    expect(changed).toBe(true);
+    expect(next.onlineMemberCount).toBe(1);
+  });
+
+  it('leaves closed rooms alone', () => {
+    const room = buildRoom({ h: member('host', 'offline') }, { roomStatus: 'closed', status: 'closed' });
+    expect(applyRoomActions(room, decideRoomActions(room, NOW), NOW)).toEqual({ room, changed: false });
+  });
+
+  it('settles: applying the decision twice changes nothing more', () => {
+    const room = buildRoom({ h: member('host', 'away'), p: member('player', 'online'), q: member('player', 'offline') });
+    room.members.p = member('player', 'away');
+
+    const first = applyRoomActions(room, decideRoomActions(room, NOW), NOW).room;
+    const second = applyRoomActions(first, decideRoomActions(first, NOW), NOW);
+    expect(second.changed).toBe(false);
+  });
+});
+
+describe('buildClosedFields', () => {
+  it('schedules deletion after DELETE_CLOSED_ROOM_AFTER', () => {
+    expect(buildClosedFields('Bye', NOW)).toEqual({
+      roomStatus: 'closed',
+      status: 'closed',
+      closedAt: NOW,
+      closeReason: 'Bye',
+      deleteAt: NOW + CONFIG.DELETE_CLOSED_ROOM_AFTER
+    });
+  });
+});
+
+describe('isGhostRoom', () => {
+  it.each([
+    ['empty past the empty timeout', { status: 'empty', inactiveSince: NOW - CONFIG.EMPTY_AUTO_CLOSE_TIMEOUT - 1 }, true],
+    ['empty within the empty timeout', { status: 'empty', inactiveSince: NOW - CONFIG.EMPTY_AUTO_CLOSE_TIMEOUT }, false],
+    ['abandoned past the ghost age', { hostId: 'h', createdAt: NOW - CONFIG.GHOST_ROOM_MIN_AGE - 1 }, true],
+    ['abandoned but new', { hostId: 'h', createdAt: NOW - CONFIG.GHOST_ROOM_MIN_AGE }, false],
+    ['abandoned but the host is still connected', {
+      hostId: 'h',
+      createdAt: NOW - 3600000,
+      members: { h: member('host', 'online', { connections: connections('online') }) }
+    }, false],
+    ['with a steward lease that lapsed long ago', {
+      hostId: 'h',
+      createdAt: NOW - 3600000,
+      steward: { expiresAt: NOW - CONFIG.GHOST_ROOM_MIN_AGE - 1 }
+    }, true],
+    ['with a steward lease that lapsed recently', {
+      hostId: 'h',
+      createdAt: NOW - 3600000,
+      steward: { expiresAt: NOW - CONFIG.GHOST_ROOM_MIN_AGE }
+    }, false],
+    ['old with a live steward', { hostId: 'h', createdAt: NOW - 3600000, steward: { expiresAt: NOW + 1000 } }, false],
+    ['idle for long', { status: 'idle', inactiveSince: NOW - 3600000 }, false]
+  ])('open room %s → %s', (label, fields, expected) => {
+    expect(isGhostRoom({ roomStatus: 'open', status: 'active', ...fields }, NOW)).toBe(expected);
+  });
+
+  it('is never true for a closed room', () => {
+    expect(isGhostRoom({ roomStatus: 'closed', status: 'empty', inactiveSince: 0, hostId: 'h', createdAt: 0 }, NOW)).toBe(false);
+  });
+});
+
+describe('deletion', () => {
+  it.each([
+    ['deleteAt passed', { deleteAt: NOW }, true],
+    ['deleteAt ahead', { deleteAt: NOW + 1, closedAt: NOW - 1000 }, false],
+    ['closed past the grace period', { closedAt: NOW - CONFIG.CLOSED_ROOM_GRACE - 1 }, true],
+    ['closed within the grace period', { closedAt: NOW - CONFIG.CLOSED_ROOM_GRACE }, false],
+    ['no timestamps', {}, false]
+  ])('closed room with %s → due %s', (label, fields, expected) => {
+    expect(isClosedRoomDue({ roomStatus: 'closed', status: 'closed', ...fields }, NOW)).toBe(expected);
+  });
+
+  it('never deletes an open room just for its deleteAt', () => {
+    expect(isClosedRoomDue({ roomStatus: 'open', status: 'active', deleteAt: NOW - 1 }, NOW)).toBe(false);
+  });
+
+  it('agrees with isRoomClosed whichever field says closed', () => {
+    expect(isClosedRoomDue({ roomStatus: 'open', status: 'closed', deleteAt: NOW - 1 }, NOW)).toBe(true);
+    expect(isClosedRoomDue({ roomStatus: 'closed', status: 'active', deleteAt: NOW - 1 }, NOW)).toBe(true);
+  });
+
+  it('gives a reason for due closed rooms', () => {
+    expect(getDeletionReason({ roomStatus: 'closed', deleteAt: NOW - 1 }, NOW)).toBe('Room status is closed');
+  });
+
+  it('deletes old rooms only when asked to check age', () => {
+    const old = { roomStatus: 'open', status: 'active', createdAt: NOW - CONFIG.MAX_ROOM_AGE - 60000 };
+    expect(getDeletionReason(old, NOW)).toBeNull();
+    expect(getDeletionReason(old, NOW, { checkAge: true })).toBe('Room open for 61 minutes (>60 minutes)');
+    expect(getDeletionReason({ ...old, roomStatus: 'closed' }, NOW, { checkAge: true }))
+      .toBe('Room closed, created 61 minutes ago');
+  });
+
+  it('keeps young open rooms and missing rooms', () => {
+    expect(getDeletionReason({ roomStatus: 'open', createdAt: NOW - 60000 }, NOW, { checkAge: true })).toBeNull();
+    expect(getDeletionReason(null, NOW, { checkAge: true })).toBeNull();
+  });
+});